@@ -0,0 +1,79 @@
+const crypto = require('crypto'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    renderPage = require('./page'),
+    { DEFAULT_LANGUAGE } = require('../i18n'),
+    log = require('../log');
+
+/*
+ * Admin pages for museum staff: what the bot did lately and switches for
+ * features, behind HTTP basic authentication. Without a password in the
+ * config the pages do not exist.
+ */
+const digest = (value) => crypto.createHash('sha256').update(`${value}`).digest();
+
+// Compares digests, so the time it takes does not depend on where the values differ
+const safeEqual = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+const credentialsOf = (req) => {
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) {
+        return null;
+    }
+    const decoded = Buffer.from(encoded, 'base64').toString('utf-8');
+    const separator = decoded.indexOf(':');
+    return separator < 0 ? null : {username: decoded.slice(0, separator), password: decoded.slice(separator + 1)};
+};
+
+module.exports = ({activity, features, username = 'admin', password, language = DEFAULT_LANGUAGE}) => {
+    const router = express.Router();
+
+    // Switching features needs this token from the page, so other sites cannot post the form
+    const formToken = crypto.randomBytes(16).toString('hex');
+
+    router.use((req, res, next) => {
+        if (!password) {
+            res.sendStatus(404);
+            return;
+        }
+
+        const credentials = credentialsOf(req);
+        if (credentials && safeEqual(credentials.username, username) && safeEqual(credentials.password, password)) {
+            next();
+        } else {
+            res.set('WWW-Authenticate', 'Basic realm="Erfgoedbot"');
+            res.sendStatus(401);
+        }
+    });
+
+    router.get('/', (req, res) => res.send(renderPage({
+        language: language,
+        formAction: `${req.baseUrl}/features`,
+        formToken: formToken,
+        features: features.all(),
+        conversations: activity.conversations(),
+        painters: activity.topRequests('painter'),
+        subjects: activity.topRequests('subject'),
+        queryFailures: activity.queryFailures(),
+        sendErrors: activity.sendErrors()
+    })));
+
+    router.post('/features', bodyParser.urlencoded({extended: false}), (req, res) => {
+        if (!req.body.token || !safeEqual(req.body.token, formToken)) {
+            res.sendStatus(403);
+            return;
+        }
+
+        features.set(req.body.name, req.body.enabled === 'true')
+            .then(() => {
+                log.info("Feature switched from the admin pages", {feature: req.body.name, enabled: req.body.enabled === 'true'});
+                res.redirect(303, `${req.baseUrl}/`);
+            })
+            .catch((err) => {
+                log.warn("Failed to switch feature", {err: err});
+                res.sendStatus(400);
+            });
+    });
+
+    return router;
+};
@@ -0,0 +1,88 @@
+const { t } = require('../i18n');
+
+/*
+ * The admin page as HTML. Everything that comes from users or from the
+ * outside world is escaped.
+ */
+const escape = (value) => `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const time = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const table = (language, headings, rows) => rows.length === 0 ? `<p>${escape(t(language, 'adminNothingYet'))}</p>` : `
+    <table>
+        <tr>${headings.map((heading) => `<th>${escape(heading)}</th>`).join('')}</tr>
+        ${rows.map((row) => `<tr>${row.map((cell) => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n')}
+    </table>`;
+
+const featureForm = (language, {formAction, formToken}, name, enabled) => `
+    <form method="post" action="${escape(formAction)}">
+        <input type="hidden" name="token" value="${escape(formToken)}">
+        <input type="hidden" name="name" value="${escape(name)}">
+        <input type="hidden" name="enabled" value="${enabled ? 'false' : 'true'}">
+        ${escape(t(language, 'adminFeature', {name: name}))}:
+        <strong>${escape(t(language, enabled ? 'adminOn' : 'adminOff'))}</strong>
+        <button type="submit">${escape(t(language, enabled ? 'adminSwitchOff' : 'adminSwitchOn'))}</button>
+    </form>`;
+
+const conversation = (language, {user, messages}) => `
+    <h3>${escape(t(language, 'adminUser', {user: user}))}</h3>
+    <ul>
+        ${messages.map((message) => `<li class="${message.incoming ? 'in' : 'out'}">
+            <span class="time">${time(message.at)}</span> ${message.incoming ? '&rarr;' : '&larr;'} ${escape(message.text)}
+        </li>`).join('\n')}
+    </ul>`;
+
+module.exports = (page) => {
+    const language = page.language;
+    const title = escape(t(language, 'adminTitle'));
+    const requestRows = (requests) => requests.map((request) => [request.name, request.count]);
+
+    return `<!DOCTYPE html>
+<html lang="${escape(language)}">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; max-width: 60em; }
+        table { border-collapse: collapse; }
+        th, td { border-bottom: 1px solid #ddd; padding: 0.3em 0.8em; text-align: left; vertical-align: top; }
+        form { margin: 0.5em 0; }
+        ul { list-style: none; padding-left: 0; }
+        li.out { color: #555; }
+        .time { color: #999; font-size: 0.85em; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p>${escape(t(language, 'adminActivityNote'))}</p>
+
+    <h2>${escape(t(language, 'adminFeatures'))}</h2>
+    ${Object.keys(page.features).map((name) => featureForm(language, page, name, page.features[name])).join('\n')}
+
+    <h2>${escape(t(language, 'adminConversations'))}</h2>
+    ${page.conversations.length === 0 ? `<p>${escape(t(language, 'adminNothingYet'))}</p>` :
+        page.conversations.map((c) => conversation(language, c)).join('\n')}
+
+    <h2>${escape(t(language, 'adminTopPainters'))}</h2>
+    ${table(language, [t(language, 'adminName'), t(language, 'adminRequests')], requestRows(page.painters))}
+
+    <h2>${escape(t(language, 'adminTopSubjects'))}</h2>
+    ${table(language, [t(language, 'adminName'), t(language, 'adminRequests')], requestRows(page.subjects))}
+
+    <h2>${escape(t(language, 'adminFailingQueries'))}</h2>
+    ${table(language, [t(language, 'adminTime'), t(language, 'adminEndpoint'), t(language, 'adminError'), t(language, 'adminQuery')],
+        page.queryFailures.map((failure) => [time(failure.at), failure.endpoint, failure.error, failure.query]))}
+
+    <h2>${escape(t(language, 'adminSendErrors'))}</h2>
+    ${table(language, [t(language, 'adminTime'), t(language, 'adminUserColumn'), t(language, 'adminStatus'), t(language, 'adminError')],
+        page.sendErrors.map((error) => [time(error.at), error.user, error.status, error.error]))}
+</body>
+</html>
+`;
+};
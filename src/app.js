@@ -1,25 +1,75 @@
 'use strict';
 
-const fs = require('fs');
-
-// Read config
-const config = fs.existsSync('config/production.json')
-    ? JSON.parse(fs.readFileSync('config/production.json', 'utf-8'))
-    : {
-        "appSecret": process.env.MESSENGER_APP_SECRET,
-        "pageAccessToken": process.env.MESSENGER_PAGE_ACCESS_TOKEN,
-        "validationToken": process.env.MESSENGER_VALIDATION_TOKEN,
-        "serverURL": process.env.SERVER_URL,
-        "pathPrefix": "",
-        "port": process.env.PORT
-    };
+const log = require('./log');
+
+// Read config: defaults, config/<NODE_ENV>.json and environment variables, see ./config
+let config;
+try {
+    config = require('./config').load();
+} catch (err) {
+    log.error("Not starting: the configuration is invalid", {errors: err.errors || [err.message]});
+    process.exit(1);
+}
+log.configure(config.log);
 
 const
     bodyParser = require('body-parser'),
     express = require('express'),
-    fb = require("./fb/fb-lib")(config),
-    botHandlers = require("./bot/handlers")(fb),
-    webHook = require("./bot/webhook")(fb, botHandlers);
+    {createStore} = require('./store'),
+    {createSources} = require('./sources'),
+    {createChannels} = require('./channels'),
+    createCache = require('./bot/cache'),
+    createResilience = require('./bot/resilience'),
+    createScheduler = require('./bot/scheduler'),
+    createMetrics = require('./bot/metrics'),
+    createAdmin = require('./admin'),
+    queries = require('./bot/queries'),
+    search = require('./bot/search'),
+    quiz = require('./bot/quiz'),
+    metrics = createMetrics(),
+    activity = require('./bot/activity')(),
+    wikidata = require('./bot/wikidata')({endpoint: config.wikidataEndpoint}),
+    // Wikidata sources query the configured endpoint, unless their entry names one
+    sources = createSources(config.sources.map((source) => source.type === 'wikidata' ?
+        Object.assign({endpoint: config.wikidataEndpoint}, source) : source)),
+    // Every source can be switched off by its name, see bot/search, and so can the features in the config
+    features = require('./bot/features')(createStore(config.featureStore), sources.all().reduce(
+        (defaults, source) => Object.assign(defaults, {[`source:${source.name}`]: true}), Object.assign({}, config.features))),
+    fb = require("./fb/fb-lib")(config, metrics, activity),
+    telegram = config.telegram.token ? require("./telegram/telegram-lib")(config.telegram, metrics, activity) : null,
+    // The conversations run on Messenger and, when configured, on Telegram
+    channels = createChannels([fb].concat(telegram ? [telegram] : [])),
+    sessions = require("./bot/session")(createStore(config.sessionStore)),
+    favourites = require("./bot/favourites")(createStore(config.favouritesStore)),
+    subscriptions = require("./bot/subscriptions")(createStore(config.subscriptionStore), {timeZone: config.timeZone}),
+    scores = require("./bot/scores")(createStore(config.scoreStore)),
+    views = require("./bot/views")(createStore(config.viewStore), Object.assign({
+        enabled: () => features.isEnabled('socialFeedback')
+    }, config.socialFeedback)),
+    botHandlers = require("./bot/handlers")({
+        channel: channels,
+        sessions: sessions,
+        favourites: favourites,
+        subscriptions: subscriptions,
+        scores: scores,
+        views: views,
+        metrics: metrics,
+        activity: activity,
+        delays: config.delays
+    }),
+    webHook = require("./bot/webhook")(fb, botHandlers, metrics, activity, config.webhook),
+    telegramWebHook = telegram && require("./bot/telegram-webhook")(telegram, botHandlers, metrics, activity, config.webhook);
+
+queries.useCache(createCache(config.cache));
+queries.useResilience(createResilience(config.resilience));
+queries.useMetrics(metrics);
+metrics.watchCache(queries.cacheStats);
+queries.useActivity(activity);
+search.useSources(sources);
+search.useWikidata(wikidata);
+quiz.useWikidata(wikidata);
+search.useFeatures(features);
+features.load().catch((err) => log.error("Failed to load the feature switches", {err: err}));
 
 const PATH_PREFIX = config.pathPrefix;
 
@@ -28,7 +78,25 @@ app.set('port', config.port);
 app.use(bodyParser.json({verify: fb.verifyRequestSignature}));
 
 app.get(`${PATH_PREFIX}/webhook`, fb.validateWebhook);
-app.post(`${PATH_PREFIX}/webhook`, webHook);
-app.listen(app.get('port'), () => console.log('Node app is running on port', app.get('port')));
+app.post(`${PATH_PREFIX}/webhook`, fb.requireValidSignature, webHook);
+if (telegram) {
+    app.post(`${PATH_PREFIX}/telegram`, telegram.requireSecretToken, telegramWebHook);
+}
+app.get(`${PATH_PREFIX}/metrics`, createMetrics.route(metrics, config.metrics.token));
+app.use(`${PATH_PREFIX}/admin`, createAdmin(Object.assign({activity: activity, features: features}, config.admin)));
+app.listen(app.get('port'), () => log.info("Node app is running", {port: app.get('port')}));
+
+// Telegram needs to be told where to send updates, which needs the public URL of the app
+if (telegram && config.serverURL) {
+    telegram.setWebhook(`${config.serverURL}${PATH_PREFIX}/telegram`)
+        .then(() => log.info("Set the Telegram webhook"))
+        .catch((err) => log.error("Failed to set the Telegram webhook", {err: err}));
+}
+
+// Deliver the daily artwork to subscribers, catching up on what was missed while the app was down
+createScheduler(Object.assign({
+    subscriptions: subscriptions,
+    deliver: botHandlers.sendArtworkOfTheDay
+}, config.scheduler)).start();
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const url = require('url');
+const log = require('../log');
+
+/*
+ * What happened lately, for the admin pages: recent conversations, the most
+ * requested painters and subjects, failing queries and Send API errors.
+ *
+ * Sender IDs are replaced by a keyed hash before anything is kept, so the
+ * pages never show who talked to the bot. The log only lives in memory and
+ * starts empty after a restart.
+ */
+const MAX_MESSAGES = 200;
+const MAX_ERRORS = 50;
+const MAX_TEXT = 200;
+
+const truncate = (text) => {
+    const value = `${text === undefined || text === null ? '' : text}`;
+    return value.length > MAX_TEXT ? `${value.slice(0, MAX_TEXT - 1)}…` : value;
+};
+
+// Search result payloads: GVN|facet|value|count for subjects, EUR|who|name for Europeana makers, Q-ids for painters
+const kindOf = (id) => {
+    if (/^GVN\|/.test(id)) {
+        return 'subject';
+    }
+    return /^EUR\|/.test(id) ? 'maker' : 'painter';
+};
+
+// The SPARQL query, or else the path of the API call without keys like wskey, redacted as in the log
+const describeQuery = (uri) => {
+    const parsed = url.parse(`${uri}`.replace(/\s/g, ''), true);
+    return {endpoint: parsed.host || 'unknown', query: truncate(parsed.query.query || log.redact(parsed.path))};
+};
+
+module.exports = ({salt = crypto.randomBytes(16).toString('hex'), now = () => new Date()} = {}) => {
+    const messages = [];
+    const queryFailures = [];
+    const sendErrors = [];
+    const requests = {};
+
+    const push = (list, entry, max) => {
+        list.unshift(entry);
+        list.splice(max);
+    };
+
+    const anonymise = (senderID) => crypto.createHmac('sha256', salt).update(`${senderID}`).digest('hex').slice(0, 10);
+
+    const messageReceived = (senderID, text) =>
+        push(messages, {user: anonymise(senderID), incoming: true, text: truncate(text), at: now()}, MAX_MESSAGES);
+
+    const messageSent = (recipientID, text) =>
+        push(messages, {user: anonymise(recipientID), incoming: false, text: truncate(text), at: now()}, MAX_MESSAGES);
+
+    // A painter, subject or maker whose works were shown, as {id, name}
+    const requested = ({id, name}) => {
+        const request = requests[id] || {id: id, name: name || id, kind: kindOf(id), count: 0};
+        request.name = name || request.name;
+        request.count++;
+        requests[id] = request;
+    };
+
+    const queryFailed = (uri, err) =>
+        push(queryFailures, Object.assign(describeQuery(uri), {error: truncate(err.message), at: now()}), MAX_ERRORS);
+
+    const sendFailed = (recipientID, err) => push(sendErrors, {
+        user: anonymise(recipientID),
+        status: err.statusCode || 0,
+        error: truncate(err.error && err.error.message ? err.error.message : err.message),
+        at: now()
+    }, MAX_ERRORS);
+
+    // The users who talked to the bot last, each with their messages in the order they were sent
+    const conversations = (limit = 10) => messages.reduce((result, message) => {
+        let conversation = result.find((c) => c.user === message.user);
+        if (!conversation && result.length < limit) {
+            conversation = {user: message.user, messages: []};
+            result.push(conversation);
+        }
+        if (conversation) {
+            conversation.messages.unshift(message);
+        }
+        return result;
+    }, []);
+
+    const topRequests = (kind, limit = 10) => Object.keys(requests)
+        .map((id) => requests[id])
+        .filter((request) => request.kind === kind)
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, limit);
+
+    return {
+        messageReceived, messageSent, requested, queryFailed, sendFailed, conversations, topRequests,
+        queryFailures: () => queryFailures.slice(),
+        sendErrors: () => sendErrors.slice()
+    };
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const dirname = require('path').dirname;
+const log = require('../log');
+
+/*
+ * Least recently used response cache with a time to live per entry.
+ *
+ * When a path is given the cache is loaded from that file on creation and
+ * written back (debounced) after changes, so it survives restarts. A file
+ * that cannot be read is left for the next save to replace.
+ */
+const SAVE_DELAY = 1000;
+
+module.exports = ({maxSize = 500, path = null, now = Date.now} = {}) => {
+    // A Map iterates in insertion order, so the first key is the least recently used
+    const entries = new Map();
+    const counts = {hits: 0, misses: 0, evictions: 0};
+    let saveTimer = null;
+
+    const save = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+
+        const contents = {};
+        entries.forEach((entry, key) => contents[key] = entry);
+        return new Promise((resolve, reject) =>
+            fs.writeFile(path, JSON.stringify(contents), 'utf-8', (err) => err ? reject(err) : resolve())
+        );
+    };
+
+    const scheduleSave = () => {
+        if (path && !saveTimer) {
+            saveTimer = setTimeout(() => save().catch((err) => log.error("Failed to save cache", {err: err})), SAVE_DELAY);
+            saveTimer.unref();
+        }
+    };
+
+    const get = (key) => {
+        const entry = entries.get(key);
+
+        if (!entry || entry.expires <= now()) {
+            if (entry) {
+                entries.delete(key);
+            }
+            counts.misses++;
+            return undefined;
+        }
+
+        entries.delete(key);
+        entries.set(key, entry);
+        counts.hits++;
+        return entry.value;
+    };
+
+    const set = (key, value, ttl) => {
+        entries.delete(key);
+        entries.set(key, {value: value, expires: now() + ttl});
+
+        while (entries.size > maxSize) {
+            entries.delete(entries.keys().next().value);
+            counts.evictions++;
+        }
+        scheduleSave();
+    };
+
+    const clear = () => {
+        entries.clear();
+        scheduleSave();
+    };
+
+    const stats = () => ({
+        hits: counts.hits,
+        misses: counts.misses,
+        evictions: counts.evictions,
+        size: entries.size,
+        hitRatio: counts.hits + counts.misses === 0 ? 0 : counts.hits / (counts.hits + counts.misses)
+    });
+
+    if (path && !fs.existsSync(dirname(path))) {
+        fs.mkdirSync(dirname(path));
+    }
+
+    const load = () => {
+        try {
+            return JSON.parse(fs.readFileSync(path, 'utf-8')) || {};
+        } catch (err) {
+            log.warn("Starting with an empty cache, the saved one could not be read", {path: path, err: err});
+            return {};
+        }
+    };
+
+    if (path && fs.existsSync(path)) {
+        const stored = load();
+        Object.keys(stored)
+            .filter((key) => stored[key] && stored[key].expires > now())
+            .forEach((key) => entries.set(key, stored[key]));
+    }
+
+    return { get, set, clear, stats, save };
+};
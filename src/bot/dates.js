@@ -0,0 +1,88 @@
+/*
+ * Understands Dutch questions about painters born or died on a day, like
+ * "12-3", "12/03", "12 maart", "geboren op 1 mei", "gestorven vandaag" or
+ * "wie is er morgen jarig?".
+ *
+ * parse() returns null when a message is not about a date, {error, day, month}
+ * when the date does not exist, where error is the key of the message in
+ * ../i18n, and {day, month, event} otherwise, where event is 'birth' or 'death'.
+ */
+const MONTHS = [
+    'januari', 'februari', 'maart', 'april', 'mei', 'juni',
+    'juli', 'augustus', 'september', 'oktober', 'november', 'december'
+];
+
+const MONTH_ABBREVIATIONS = {
+    jan: 1, feb: 2, mrt: 3, apr: 4, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, okt: 10, nov: 11, dec: 12
+};
+
+// Days in each month; 29 February is somebody's birthday as well
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const RELATIVE_DAYS = {
+    eergisteren: -2,
+    gisteren: -1,
+    vandaag: 0,
+    morgen: 1,
+    overmorgen: 2
+};
+
+const NUMERIC_DATE = /\b(\d{1,2})\s*[-/.]\s*(\d{1,2})(?:\s*[-/.]\s*\d{2,4})?\b/;
+const MONTH_NAMES = MONTHS.concat(Object.keys(MONTH_ABBREVIATIONS)).join('|');
+const WRITTEN_DATE = new RegExp(`\\b(\\d{1,2})\\s+(${MONTH_NAMES})\\.?(?:\\s+\\d{4})?(?=\\s|$|[?!.,])`);
+const RELATIVE_DATE = new RegExp(`\\b(${Object.keys(RELATIVE_DAYS).join('|')})\\b`);
+
+const DEATH_WORDS = /\b(gestorven|overleden|sterfdag|dood|stierf|stierven)\b/;
+
+// Words that may surround a date in a question; anything else means it is not about a date
+const FILLER_WORDS = [
+    'wie', 'welke', 'wat', 'is', 'zijn', 'er', 'werd', 'werden', 'was', 'waren', 'op', 'de', 'het', 'van',
+    'geboren', 'gestorven', 'overleden', 'sterfdag', 'dood', 'stierf', 'stierven', 'jarig', 'verjaardag',
+    'schilder', 'schilders', 'kunstenaar', 'kunstenaars', 'een', 'die', 'en'
+];
+
+const monthNumber = (name) => MONTHS.indexOf(name) > -1 ? MONTHS.indexOf(name) + 1 : MONTH_ABBREVIATIONS[name];
+
+const monthName = (month) => MONTHS[month - 1];
+
+const isFiller = (rest) => rest
+    .replace(/[?!.,]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 0)
+    .every((word) => FILLER_WORDS.indexOf(word) > -1);
+
+const validate = (day, month, event) => {
+    if (month < 1 || month > 12) {
+        return {error: 'noSuchMonth', day, month};
+    }
+    if (day < 1 || day > DAYS_IN_MONTH[month - 1]) {
+        return {error: 'noSuchDay', day, month};
+    }
+    return {day, month, event};
+};
+
+const parse = (text, today = new Date()) => {
+    const msg = text.trim().toLowerCase();
+    const event = DEATH_WORDS.test(msg) ? 'death' : 'birth';
+
+    const numeric = msg.match(NUMERIC_DATE);
+    const written = msg.match(WRITTEN_DATE);
+    const relative = msg.match(RELATIVE_DATE);
+    const match = numeric || written || relative;
+
+    if (!match || !isFiller(msg.replace(match[0], ' '))) {
+        return null;
+    }
+
+    if (match === relative) {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + RELATIVE_DAYS[relative[1]]);
+        return {day: date.getDate(), month: date.getMonth() + 1, event};
+    }
+
+    const day = parseInt(match[1], 10);
+    const month = match === numeric ? parseInt(match[2], 10) : monthNumber(match[2]);
+
+    return validate(day, month, event);
+};
+
+module.exports = { parse, monthName };
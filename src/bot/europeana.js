@@ -0,0 +1,123 @@
+const _ = require("lodash");
+const queries = require("./queries");
+const { t } = require("../i18n");
+const log = require("../log");
+
+/*
+ * Client for the Europeana Search and Record APIs, limited to objects with an
+ * image from Dutch providers. Results are mapped onto the same images shape
+ * as Wikidata artworks, together with the rights statement of the object.
+ */
+const DEFAULT_URL = "https://api.europeana.eu/record/v2";
+
+// Number of objects shown side by side in a carousel
+const CAROUSEL_SIZE = 10;
+
+// Europeana only lets you page through the first 1000 results
+const MAX_START = 1000;
+
+// Search fields are lists, record fields are language maps like {"nl": ["..."], "def": ["..."]}
+const first = (values) => Array.isArray(values) ? values[0] : values;
+const inLanguage = (languageMap, language) => languageMap ?
+    first(languageMap[language] || languageMap.def || _.values(languageMap)[0]) : undefined;
+
+const landingPage = (id) => `https://www.europeana.eu/item${id}`;
+
+const toImage = ({id, title, creator, image, collection, rights}) => ({
+    image: image,
+    label: title || "",
+    description: creator || "",
+    subjectName: creator || null,
+    author: creator ? `EUR|who|${creator}` : null,
+    collection: collection || null,
+    rights: rights || null,
+    id: id,
+    url: landingPage(id)
+});
+
+const fromSearch = (item, language) => toImage({
+    id: item.id,
+    title: inLanguage(item.dcTitleLangAware, language) || first(item.title),
+    creator: first(item.dcCreator),
+    image: first(item.edmIsShownBy) || first(item.edmPreview),
+    collection: first(item.dataProvider),
+    rights: first(item.rights)
+});
+
+const fromRecord = (object, language) => {
+    const proxy = _.find(object.proxies, {europeanaProxy: false}) || object.proxies[0];
+    const aggregation = object.aggregations[0];
+    return toImage({
+        id: object.about,
+        title: inLanguage(proxy.dcTitle, language),
+        creator: inLanguage(proxy.dcCreator, language),
+        image: aggregation.edmIsShownBy || aggregation.edmObject || (object.europeanaAggregation || {}).edmPreview,
+        collection: inLanguage(aggregation.edmDataProvider, language),
+        rights: inLanguage(aggregation.edmRights, language)
+    });
+};
+
+module.exports = ({apiKey, url = DEFAULT_URL, country = "netherlands", reusability = null} = {}) => {
+    if (!apiKey) {
+        throw new Error("Europeana needs an apiKey");
+    }
+
+    // Sent along with every call, but kept out of the urls that are cached
+    const keys = {wskey: apiKey};
+
+    const unavailable = (language, callback) => log.bind((err) => {
+        log.warn("Europeana query failed", {err: err});
+        callback(t(language, 'europeanaUnavailable'), null);
+    });
+
+    // Open, restricted or permission; leaving it out includes all rights statements
+    const searchUrl = (query, rows, start) => [
+        `${url}/search.json?query=${encodeURIComponent(query)}`,
+        `qf=${encodeURIComponent(`COUNTRY:"${country}"`)}`,
+        "qf=TYPE:IMAGE",
+        "media=true",
+        "thumbnail=true",
+        reusability ? `reusability=${encodeURIComponent(reusability)}` : null,
+        "profile=standard",
+        `rows=${rows}`,
+        `start=${start}`
+    ].filter((param) => param !== null).join("&");
+
+    const searchImages = (query, language, {rows = CAROUSEL_SIZE, start = 1, ttl}, callback) => {
+
+        queries
+            .query(null, searchUrl(query, rows, start), ttl, keys)
+            .then((data) => {
+                if (!data.success || !data.items || data.items.length === 0) {
+                    callback(t(language, 'noImage'), null);
+                } else {
+                    callback(null, data.items.map((item) => fromSearch(item, language)));
+                }
+            }, unavailable(language, callback));
+    };
+
+    const search = (q, language, callback) => searchImages(q, language, {}, callback);
+
+    const byCreator = (name, language, callback) =>
+        searchImages(`who:"${name.replace(/"/g, "")}"`, language, {ttl: queries.TTL.LONG}, callback);
+
+    const randomImage = (language, callback) =>
+        searchImages("*", language, {rows: 1, start: _.random(1, MAX_START)}, (err, images) =>
+            callback(err, err ? null : images[0]));
+
+    const record = (id, language, callback) => {
+
+        queries
+            .query(null, `${url}${id}.json`, queries.TTL.LONG, keys)
+            .then((data) => {
+                if (!data.success || !data.object) {
+                    callback(t(language, 'noImage'), null);
+                } else {
+                    callback(null, fromRecord(data.object, language));
+                }
+            }, (err) => err.statusCode === 404 ?
+                callback(t(language, 'noImage'), null) : unavailable(language, callback)(err));
+    };
+
+    return { search, byCreator, randomImage, record };
+};
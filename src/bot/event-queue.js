@@ -0,0 +1,74 @@
+const log = require('../log');
+
+/*
+ * Work queue for messaging events, so the webhook can acknowledge a callback
+ * right away and handle its events afterwards, one at a time and in order.
+ *
+ * Facebook delivers a callback again when it did not get its 200 in time.
+ * Events seen before within `window` milliseconds are dropped: messages by
+ * their message ID, postbacks by their sender and timestamp. Deliveries and
+ * reads are harmless to handle twice and are never dropped. Events of other
+ * channels come with their own keyOf.
+ */
+const dedupeKey = (event) => {
+    if (event.message && event.message.mid) {
+        return `mid:${event.message.mid}`;
+    }
+    if (event.postback && event.sender) {
+        return `postback:${event.sender.id}:${event.timestamp}`;
+    }
+    return null;
+};
+
+module.exports = ({handle, window = 600000, now = Date.now, keyOf = dedupeKey}) => {
+    const seen = new Map();
+    const pending = [];
+    let draining = null;
+
+    // Map keeps insertion order, so the oldest keys come first
+    const forgetOldEvents = (time) => {
+        for (const [key, seenAt] of seen) {
+            if (seenAt > time - window) {
+                break;
+            }
+            seen.delete(key);
+        }
+    };
+
+    const processPending = () => {
+        while (pending.length > 0) {
+            const event = pending.shift();
+            try {
+                handle(event);
+            } catch (err) {
+                log.error("Failed to handle messaging event", {err: err});
+            }
+        }
+        draining = null;
+    };
+
+    // Resolves when the events queued so far are handled
+    const drain = () => draining || Promise.resolve();
+
+    // Returns false for events that were queued before within the window
+    const enqueue = (event) => {
+        const time = now();
+        forgetOldEvents(time);
+
+        const key = keyOf(event);
+        if (key !== null && seen.has(key)) {
+            return false;
+        }
+        if (key !== null) {
+            seen.set(key, time);
+        }
+
+        pending.push(event);
+        if (!draining) {
+            draining = new Promise((resolve) => setImmediate(() => resolve(processPending())));
+        }
+        return true;
+    };
+
+    return { enqueue, drain };
+};
@@ -0,0 +1,49 @@
+/*
+ * Artworks saved by users, keyed by sender ID.
+ *
+ * Favourites are identified by their source and the stable id within that
+ * source (a Wikidata Q-id, a GVN recordIdentifier or a Europeana record id).
+ * A copy of what is needed to show them again is stored along with them, so
+ * listing favourites does not depend on the sources being reachable.
+ */
+const MAX_FAVOURITES = 50;
+
+const FIELDS = ['source', 'id', 'label', 'description', 'image', 'url', 'collection', 'author'];
+
+const sameItem = (source, id) => (favourite) => favourite.source === source && favourite.id === id;
+
+const snapshot = (item) => FIELDS.reduce((favourite, field) => {
+    if (item[field] !== undefined && item[field] !== null) {
+        favourite[field] = item[field];
+    }
+    return favourite;
+}, {});
+
+module.exports = (store) => {
+
+    // Latest favourites first
+    const list = (senderID) => store.get(senderID)
+        .then((favourites) => favourites || []);
+
+    // Resolves false when the item was saved before
+    const add = (senderID, item) => list(senderID)
+        .then((favourites) => {
+            if (favourites.some(sameItem(item.source, item.id))) {
+                return false;
+            }
+            const saved = Object.assign(snapshot(item), {savedAt: Date.now()});
+            return store.set(senderID, [saved].concat(favourites).slice(0, MAX_FAVOURITES)).then(() => true);
+        });
+
+    // Resolves the removed favourite, or null when it was not saved
+    const remove = (senderID, source, id) => list(senderID)
+        .then((favourites) => {
+            const removed = favourites.find(sameItem(source, id)) || null;
+            if (!removed) {
+                return null;
+            }
+            return store.set(senderID, favourites.filter((favourite) => favourite !== removed)).then(() => removed);
+        });
+
+    return { list, add, remove };
+};
@@ -0,0 +1,32 @@
+/*
+ * Features that can be switched on and off at runtime from the admin pages,
+ * such as a heritage source or the social feedback message.
+ *
+ * The switches are saved in a store, so they survive restarts. They are read
+ * from memory, because they are checked in the middle of handling a message.
+ */
+module.exports = (store, defaults) => {
+    const enabled = Object.assign({}, defaults);
+
+    const all = () => Object.assign({}, enabled);
+
+    // Saved switches of features that no longer exist are ignored
+    const load = () => store.all().then((saved) => {
+        Object.keys(saved)
+            .filter((name) => defaults.hasOwnProperty(name))
+            .forEach((name) => enabled[name] = saved[name]);
+        return all();
+    });
+
+    const isEnabled = (name) => enabled[name] !== false;
+
+    const set = (name, on) => {
+        if (!defaults.hasOwnProperty(name)) {
+            return Promise.reject(new Error(`Unknown feature: ${name}`));
+        }
+        enabled[name] = on;
+        return store.set(name, on);
+    };
+
+    return { all, load, isEnabled, set };
+};
@@ -1,92 +1,128 @@
-const rp = require("request-promise");
 const queries = require("./queries");
 const _ = require("lodash");
+const { t } = require("../i18n");
+const log = require("../log");
 
-const randomSample = (data, q) => _.shuffle(
-    data.facets
-        .filter(({name}) => name.indexOf("EN") < 0)
-        .map(facet => facet.values
-            .map(facetValue => ({
-                name: facet.name,
-                value: facetValue.replace(/\([0-9]+\)$/, "").trim(),
-                count: facetValue.replace(/^.*\(([0-9]+)\)$/, "$1"),
-            })))
-        .reduce((a, b) => a.concat(b))
-        .filter(facet => facet.value.toLowerCase().indexOf(q) > -1)
-    ).slice(0, 3)
+// Facet values (subjects, places, people) containing the query, the most illustrated ones first
+const matchingSubjects = (data, q, limit = 10) => data.facets
+    .filter(({name}) => name.indexOf("EN") < 0)
+    .map(facet => facet.values
+        .map(facetValue => ({
+            name: facet.name,
+            value: facetValue.replace(/\([0-9]+\)$/, "").trim(),
+            count: parseInt(facetValue.replace(/^.*\(([0-9]+)\)$/, "$1"), 10) || 0,
+        })))
+    .reduce((a, b) => a.concat(b), [])
+    .filter(facet => facet.value.toLowerCase().indexOf(q) > -1)
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value) || a.name.localeCompare(b.name))
+    .slice(0, limit)
     .map(facet => ({
         title: facet.value,
-        payload: `GVN|${facet.name}|${facet.value}|${facet.count}`
+        payload: `GVN|${facet.name}|${facet.value}|${facet.count}`,
+        count: facet.count
     }));
 
-const search = (q, {onSuccess, onError}) => {
+// Report GVN when it is down, timing out or cut off by its circuit breaker, see queries.callbackFailed
+const gvnUnavailable = (language, callback) => log.bind((err) => {
+    log.warn("GVN query failed", {err: err});
+    callback(t(language, 'gvnUnavailable'), null);
+});
 
-    queries
-        .query(null, `${process.env['GVN_URL']}/results?maxperpage=0&coll=ngvn`)
-        .then((data) => {
-            if (data && data.facets) {
-                const result = randomSample(data, q);
-                if (result.length > 0) {
-                    setTimeout(() =>
-                        onSuccess(null, {type: "buttons", buttons: {text: "Welk onderwerp wil je hebben?", data: result}}),
-                        1000
-                    );
-                } else {
-                    onError()
-                }
-            } else {
-                onError();
-            }
-        }).catch(onError);
-};
+const callbackFailed = (language, callback) => queries.callbackFailed(t(language, 'gvnUnavailable'), callback);
+
+// The images of the GVN API at url
+module.exports = ({url}) => {
+    const search = (q, language, callback) => {
 
-const imageByDidl = (result, callback) => {
+        queries
+            .query(null, `${url}/results?maxperpage=0&coll=ngvn`, queries.TTL.LONG)
+            .then((data) => callback(null, data && data.facets ? matchingSubjects(data, q) : []),
+                gvnUnavailable(language, callback))
+            .catch(callbackFailed(language, callback));
+    };
 
-    queries
-        .query(null, `${process.env['GVN_URL']}/resource?coll=ngvn&identifier=` +
-            `${encodeURIComponent(result.recordIdentifier)}&type=didl`)
+    // Resolves with the url of the biggest image of a result, or undefined when there is none
+    const imageByDidl = (result) => queries
+        .query(null, `${url}/resource?coll=ngvn&identifier=` +
+            `${encodeURIComponent(result.recordIdentifier)}&type=didl`, queries.TTL.LONG)
         .then((data) => {
-            console.log(JSON.stringify(data, null, 2));
+            log.debug("GVN DIDL response", {
+                identifier: result.recordIdentifier,
+                images: data.resourceList && data.resourceList.images ? data.resourceList.images.length : 0
+            });
             if (data.resourceList && data.resourceList.images &&
                 data.resourceList.images.length > 0 && data.resourceList.images[0].image.length > 0 &&
                 data.resourceList.images[0].image[data.resourceList.images[0].image.length - 1].src
             ) {
-                callback(data.resourceList.images[0].image[data.resourceList.images[0].image.length - 1].src)
-            } else {
-                callback();
+                return data.resourceList.images[0].image[data.resourceList.images[0].image.length - 1].src;
             }
-        })
-        .catch(() => callback());
-};
-
-const imageByFacet = (facet, callback) => {
-    const [x, facetName, facetValue, facetCount] = facet.split("|");
-    const page = _.random(1, facetCount);
+        }, () => undefined);
 
-    queries
-        .query(null, `${process.env['GVN_URL']}/results?maxperpage=1&page=${page}&coll=ngvn` +
-            `&facets[${encodeURIComponent(facetName)}][]=${encodeURIComponent(facetValue)}`)
-        .then((data) => {
-            if(data.diag || !data.records || data.records.length === 0) {
-                callback("Geen beeld gevonden");
-            } else {
-                const [ result ]= data.records;
-                const title = typeof result.title === 'string' ? result.title : result.title[0];
-                imageByDidl(result, (biggerImageUrl = null) => callback(null, {
-                    type: "images",
-                    images: {
-                        image: biggerImageUrl || result.thumbnail,
-                        label: title,
-                        description: result.creator || "",
-                        subjectName: "dit onderwerp",
-                        author: facet,
-                        collection: result.institutionString,
-                        url: `http://geheugenvannederland.nl/nl/geheugen/view?identifier=${encodeURIComponent(result.recordIdentifier)}`
-                    }
-                }));
+    // An image record in the same shape as a Wikidata artwork, with the biggest image available
+    const toImage = (result, facet, language, callback) => {
+        const title = typeof result.title === 'string' ? result.title : result.title[0];
+        imageByDidl(result).then((biggerImageUrl = null) => callback(null, {
+            type: "images",
+            images: {
+                image: biggerImageUrl || result.thumbnail,
+                label: title,
+                description: result.creator || "",
+                subjectName: t(language, 'thisSubject'),
+                author: facet,
+                collection: result.institutionString,
+                id: result.recordIdentifier,
+                url: `http://geheugenvannederland.nl/nl/geheugen/view?identifier=${encodeURIComponent(result.recordIdentifier)}`
             }
-        })
-        .catch(() => callback("Geen beeld gevonden"));
-};
+        })).catch(callbackFailed(language, callback));
+    };
+
+    const imageByFacet = (facet, language, callback) => {
+        const [x, facetName, facetValue, facetCount] = facet.split("|");
+        const page = _.random(1, facetCount);
 
-module.exports = { search, imageByFacet };
\ No newline at end of file
+        queries
+            .query(null, `${url}/results?maxperpage=1&page=${page}&coll=ngvn` +
+                `&facets[${encodeURIComponent(facetName)}][]=${encodeURIComponent(facetValue)}`)
+            .then((data) => {
+                if(data.diag || !data.records || data.records.length === 0) {
+                    callback(t(language, 'noImage'));
+                } else {
+                    toImage(data.records[0], facet, language, callback);
+                }
+            }, gvnUnavailable(language, callback))
+            .catch(callbackFailed(language, callback));
+    };
+
+    const imageByIdentifier = (identifier, language, callback) => {
+
+        queries
+            .query(null, `${url}/results?maxperpage=1&coll=ngvn` +
+                `&identifier=${encodeURIComponent(identifier)}`, queries.TTL.LONG)
+            .then((data) => {
+                if(data.diag || !data.records || data.records.length === 0) {
+                    callback(t(language, 'noImage'));
+                } else {
+                    toImage(data.records[0], null, language, callback);
+                }
+            }, gvnUnavailable(language, callback))
+            .catch(callbackFailed(language, callback));
+    };
+
+    // An image for a random subject, place or person
+    const randomImage = (language, callback) => {
+
+        queries
+            .query(null, `${url}/results?maxperpage=0&coll=ngvn`, queries.TTL.LONG)
+            .then((data) => {
+                const subject = data && data.facets ? _.sample(matchingSubjects(data, "", Infinity)) : null;
+                if (subject) {
+                    imageByFacet(subject.payload, language, callback);
+                } else {
+                    callback(t(language, 'noImage'));
+                }
+            }, gvnUnavailable(language, callback))
+            .catch(callbackFailed(language, callback));
+    };
+
+    return { search, imageByFacet, imageByIdentifier, randomImage };
+};
@@ -1,111 +1,562 @@
-module.exports = (fb) => {
+module.exports = ({channel, sessions, favourites, subscriptions, scores, views, metrics, activity, delays = {}}) => {
 
     const
         search = require('./search.js'),
-        gvn = require('./gvn'),
+        dates = require('./dates'),
+        quiz = require('./quiz'),
+        {STEPS} = require('./session'),
+        {parseTime} = require('./subscriptions'),
+        i18n = require('../i18n'),
+        {t} = i18n,
+        log = require('../log'),
         _ = require('lodash');
 
-    function sendDelayedRandomizedSocialFeedback(recipientId) {
-        setTimeout(function () {
-            fb.sendTextMessage(recipientId, `${_.random(8, 50)} mensen zagen deze afbeelding ook, ${_.random(2, 4)} mensen kijken op dit moment`);
-        }, 4000);
+    const MORE_PATTERN = /^(nog een|nog één|nog eentje|meer|another|one more|more)\b/;
+    const WHO_PATTERN = /^(wie is (dat|dit|het)|who is (that|this|it)|who made (that|this|it))\b/;
+    const MONUMENTS_PATTERN = /^(monumenten|monuments) (in|rond|bij|near|around) /;
+    const FAVOURITES_PATTERN = /^(mijn favorieten|favorieten|my favou?rites|favou?rites)$/;
+    const SUBSCRIBE_PATTERN = /^(kunstwerk van de dag|dagelijks|abonneer|artwork of the day|daily|subscribe)\b/;
+    const UNSUBSCRIBE_PATTERN = /^(stop dagelijks|stop kunstwerk van de dag|afmelden|stop daily|unsubscribe)$/;
+    const DEFAULT_DAILY_TIME = '09:00';
+    const QUIZ_PATTERN = /^(quiz|speel|play)$/;
+    const SCORE_PATTERN = /^(score|mijn score|my score)$/;
+    const LEADERBOARD_PATTERN = /^(ranglijst|leaderboard)$/;
+    const WELCOME_PATTERN = /^(start|hallo|hoi|hello|hi|help)$/;
+    // Pauses in milliseconds, to give the user time to look at an image before more follows
+    const DELAYS = Object.assign({afterImage: 3000, beforeFeedback: 1000, beforeCollection: 1000}, delays);
+    const LANGUAGE_COMMANDS = {
+        english: 'en',
+        engels: 'en',
+        nederlands: 'nl',
+        dutch: 'nl'
+    };
+
+    const logSessionError = (err) => log.error("Failed to update session", {err: err});
+
+    const intentHandled = (senderID, intent) => {
+        metrics.intentHandled(intent);
+        log.info("Handling intent", {senderID: senderID, intent: intent});
+    };
+
+    const rememberArtwork = (recipientId, images) => sessions.get(recipientId)
+        .then((session) => {
+            const choice = _.find(session.choices, {payload: images.author});
+            const artist = images.author ? {
+                id: images.author,
+                name: choice ? choice.name || choice.title : images.subjectName || null
+            } : null;
+            if (artist) {
+                activity.requested(artist);
+            }
+            return sessions.update(recipientId, {
+                lastArtwork: _.pick(images, ['id', 'label', 'description', 'url', 'image']),
+                lastArtist: artist,
+                step: STEPS.VIEWING
+            });
+        })
+        .catch(logSessionError);
+
+    /*
+     * Resolve the language of the conversation: a language chosen before,
+     * or else the one matching the locale in the user's profile on their channel.
+     * The default language of profiles without a locale is remembered as well,
+     * so the profile is only fetched once.
+     */
+    const languageOf = (senderID) => sessions.get(senderID)
+        .then((session) => session.language || channel.getUserProfile(senderID)
+            .then((profile) => {
+                const language = i18n.fromLocale(profile.locale);
+                return sessions.update(senderID, {language: language}).then(() => language);
+            }))
+        .catch((err) => {
+            logSessionError(err);
+            return i18n.DEFAULT_LANGUAGE;
+        });
+
+    // Channels like Messenger only let the artwork of the day be sent within a day of the last message
+    const heard = (senderID) => subscriptions.seen(senderID, new Date())
+        .then((subscription) => subscription && subscription.skipped ?
+            channel.sendTextMessage(senderID, t(subscription.language, 'artworksSkipped', {count: subscription.skipped})) : null)
+        .catch((err) => log.error("Failed to remember the last message of a subscriber", {senderID: senderID, err: err}));
+
+    const formatDistance = (km, language) => {
+        if (km < 1) {
+            return t(language, 'meters', {meters: Math.round(km * 100) * 10});
+        }
+        return t(language, 'kilometers', {km: km});
+    };
+
+    // Favourites are saved and removed with payloads like FAV|add|wikidata|Q5582
+    const favouritePayload = (action, item) => `FAV|${action}|${item.source || 'wikidata'}|${item.id}`;
+
+    const saveReply = (language, item) => ({title: t(language, 'save'), payload: favouritePayload('add', item)});
+
+    /*
+     * Show several artworks or monuments side by side, each card linking to
+     * more works by the same maker and to a page with more information. Cards
+     * can be saved as favourites, or removed when showing the favourites.
+     */
+    const sendCarousel = (recipientId, data, language) => {
+        if (data.author) {
+            rememberArtwork(recipientId, Object.assign({}, data.items[0], {author: data.author}));
+        }
+
+        data.items.forEach((item) => recordView(recipientId, item));
+        channel.sendTextMessage(recipientId, data.text);
+        channel.sendGenericTemplate(recipientId, data.items.map((item) => {
+            const buttons = [];
+            if (item.author) {
+                buttons.push({title: t(language, 'moreFromPainter'), payload: item.author});
+            }
+            buttons.push(data.favourites ?
+                {title: t(language, 'remove'), payload: favouritePayload('remove', item)} :
+                {title: t(language, 'save'), payload: favouritePayload('add', item)});
+            buttons.push({title: t(language, 'readMore'), url: item.url || `http://www.wikidata.org/wiki/${item.id}`});
+
+            const distance = item.distance === undefined ? '' : ` (${formatDistance(item.distance, language)})`;
+            return {
+                title: `${item.label}${distance}`,
+                subtitle: [item.description, item.collection].filter((x) => x).join(', '),
+                image: item.image,
+                buttons: buttons
+            };
+        }));
+
+        if (data.more) {
+            channel.sendQuickReplies(recipientId, {
+                text: t(language, 'wantMore'),
+                data: [{title: t(language, 'yesPlease'), payload: data.more}]
+            });
+        }
+    };
+
+    // Resolves the view counts of the artwork, or null when they could not be recorded
+    const recordView = (recipientId, item) => views.record(recipientId, item)
+        .catch((err) => {
+            log.error("Failed to record view", {recipientId: recipientId, err: err});
+            return null;
+        });
+
+    function sendSocialFeedback(recipientId, counts, pause, language) {
+        const proof = counts && views.socialProof(counts);
+        if (proof) {
+            channel.sendTypingPause(recipientId, pause);
+            channel.sendTextMessage(recipientId, t(language, proof.watching ? 'socialFeedback' : 'socialFeedbackSeen', proof));
+        }
     }
 
+    const urlLabels = (language) => ({text: t(language, 'wantToKnowMore'), title: t(language, 'readMore')});
+
 
-    const handleSearchResponse = (recipientID) => (err, data) => {
-        fb.sendTypingOff(recipientID);
+    // Responses arrive after the event was handled; bind keeps its correlation ID in the log
+    const handleSearchResponse = (recipientID, language) => log.bind((err, data) => {
+        channel.sendTypingOff(recipientID);
 
         if (err) {
-            fb.sendTextMessage(recipientID, err);
+            channel.sendTextMessage(recipientID, err);
         } else {
             if (data.type === 'buttons') {
-                fb.sendButtonMessage(recipientID, data.buttons);
+                sessions.update(recipientID, {choices: data.buttons.data}).catch(logSessionError);
+                channel.sendQuickReplies(recipientID, data.buttons);
             }
 
             if (data.type === 'images') {
-                fb.sendTextMessage(recipientID, `Je gaat zo zien: ${data.images.label}, ${data.images.description}`);
-                fb.sendImageMessage(recipientID, data.images.image);
-                setTimeout(function () {
-                    fb.sendURL(recipientID, `http://www.wikidata.org/wiki/${data.images.id}`);
-                }, 3000);
-                sendDelayedRandomizedSocialFeedback(recipientID);
+                rememberArtwork(recipientID, data.images);
+                // Counted before sending anything, so the feedback is queued in its place among the messages
+                recordView(recipientID, data.images).then((counts) => {
+                    channel.sendTextMessage(recipientID, t(language, 'youWillSee', data.images));
+                    channel.sendImageMessage(recipientID, data.images.image);
+                    channel.sendTypingPause(recipientID, DELAYS.afterImage);
+                    channel.sendURL(recipientID, `http://www.wikidata.org/wiki/${data.images.id}`, urlLabels(language));
+                    sendSocialFeedback(recipientID, counts, DELAYS.beforeFeedback, language);
+                    channel.sendQuickReplies(recipientID, {text: t(language, 'saveThis'), data: [saveReply(language, data.images)]});
+                });
+            }
+
+            if (data.type === 'carousel') {
+                sendCarousel(recipientID, data, language);
             }
 
             if (data.type === 'text') {
-                fb.sendTextMessage(recipientID, data.text);
+                channel.sendTextMessage(recipientID, data.text);
             }
         }
-    };
+    });
 
-    const handlePostbackResponse = (recipientId) => (err, data) => {
+    const handlePostbackResponse = (recipientId, language) => log.bind((err, data) => {
         if (err) {
-            fb.sendTextMessage(recipientId, `Er ging iets mis: ${err}`);
+            channel.sendTextMessage(recipientId, t(language, 'somethingWentWrong', {err: err}));
         } else {
             if (data.type === 'images') {
-                fb.sendTextMessage(recipientId, `Je gaat zo zien: ${data.images.label}, ${data.images.description}`);
-                fb.sendImageMessage(recipientId, data.images.image);
-                sendDelayedRandomizedSocialFeedback(recipientId);
-                if (data.images.collection) {
-                    setTimeout(function () {
-                        fb.sendTextMessage(recipientId, `Dit kun je trouwens zien in de collectie van ${data.images.collection}`)
+                rememberArtwork(recipientId, data.images);
+                recordView(recipientId, data.images).then((counts) => {
+                    channel.sendTextMessage(recipientId, t(language, 'youWillSee', data.images));
+                    channel.sendImageMessage(recipientId, data.images.image);
+                    sendSocialFeedback(recipientId, counts, DELAYS.afterImage + DELAYS.beforeFeedback, language);
+                    if (data.images.collection) {
+                        channel.sendTypingPause(recipientId, DELAYS.beforeCollection);
+                        channel.sendTextMessage(recipientId, t(language, 'inCollection', data.images));
+                        if (data.images.rights) {
+                            channel.sendTextMessage(recipientId, t(language, 'rights', data.images));
+                        }
                         const moreUrl = data.images.url ? data.images.url : `http://www.wikidata.org/wiki/${data.images.id}?width=800`;
-                        fb.sendURL(recipientId, moreUrl);
-                        fb.sendButtonMessage(recipientId, {
-                            text: `Nog een werk van ${data.images.subjectName || "deze schilder"}?`,
+                        channel.sendURL(recipientId, moreUrl, urlLabels(language));
+                    }
+                    // Objects without a known maker have nothing more to offer, but can still be saved
+                    if (data.images.collection && data.images.author) {
+                        channel.sendQuickReplies(recipientId, {
+                            text: t(language, 'moreOf', {name: data.images.subjectName || t(language, 'thisPainter')}),
                             data: [{
-                                title: "Ja, leuk!",
+                                title: t(language, 'yesNice'),
                                 payload: data.images.author
-                            }]
-                        })
-                    }, 5000);
-                }
+                            }, saveReply(language, data.images)]
+                        });
+                    } else {
+                        channel.sendQuickReplies(recipientId, {text: t(language, 'saveThis'), data: [saveReply(language, data.images)]});
+                    }
+                });
+            }
+
+            if (data.type === 'carousel') {
+                sendCarousel(recipientId, data, language);
             }
         }
-    };
+    });
 
 
-    const onTextMessage = (messageText, senderID) => {
-        const parsedMsg = messageText.trim().toLowerCase();
-        fb.sendTextMessage(senderID, "Ik ben nu aan het zoeken, een momentje...");
-        fb.sendTypingOn(senderID);
-
-        if (parsedMsg.indexOf('-') !== -1) {
-            const dates = parsedMsg.split('-');
-            search.painterByDate(dates[1], dates[0], handleSearchResponse(senderID));
-        } else if (parsedMsg === 'utrecht') {
-            search.getMonuments(handleSearchResponse(senderID));
-        } else if (parsedMsg === 'surprise') {
-            search.randomArtist(handleSearchResponse(senderID));
+    const onMoreRequest = (senderID, session, language) => {
+        if (session.lastArtist) {
+            onPostback(senderID, session.lastArtist.id);
+        } else {
+            channel.sendTextMessage(senderID, t(language, 'nothingToRepeat'));
+        }
+    };
+
+    const onWhoRequest = (senderID, session, language) => {
+        const artwork = session.lastArtwork;
+        if (artwork) {
+            const artist = session.lastArtist && session.lastArtist.name ? t(language, 'madeBy', session.lastArtist) : "";
+            channel.sendTextMessage(senderID, `${t(language, 'thatWas', artwork)}${artist}`);
+            channel.sendURL(senderID, artwork.url || `http://www.wikidata.org/wiki/${artwork.id}`, urlLabels(language));
         } else {
-            const searchPainters = () => search.searchPainters(parsedMsg, handleSearchResponse(senderID));
-            if(_.random(true, false)) {
-                searchPainters();
+            channel.sendTextMessage(senderID, t(language, 'nothingShownYet'));
+        }
+    };
+
+    const onFavouritesRequest = (senderID, language) => favourites.list(senderID)
+        .then((saved) => {
+            if (saved.length === 0) {
+                channel.sendTextMessage(senderID, t(language, 'noFavourites'));
             } else {
-                gvn.search(parsedMsg, {onSuccess: handleSearchResponse(senderID), onError: searchPainters});
+                sendCarousel(senderID, {
+                    text: t(language, 'yourFavourites'),
+                    items: saved,
+                    favourites: true
+                }, language);
             }
+        })
+        .catch((err) => {
+            log.error("Failed to read favourites", {senderID: senderID, err: err});
+            channel.sendTextMessage(senderID, t(language, 'somethingWentWrong', {err: err.message}));
+        });
+
+    const onFavouritePostback = (senderID, payload, language) => {
+        const [x, action, source, ...rest] = payload.split("|");
+        const id = rest.join("|");
+        const failed = (err) => {
+            log.error("Failed to update favourites", {senderID: senderID, err: err});
+            channel.sendTextMessage(senderID, t(language, 'somethingWentWrong', {err: err.message}));
+        };
+
+        if (action === 'remove') {
+            favourites.remove(senderID, source, id)
+                .then((removed) => channel.sendTextMessage(senderID, removed ?
+                    t(language, 'removedFavourite', removed) : t(language, 'notAFavourite')))
+                .catch(failed);
+        } else {
+            search.getItem(source, id, language, (err, item) => {
+                if (err) {
+                    channel.sendTextMessage(senderID, err);
+                    return;
+                }
+                favourites.add(senderID, Object.assign({source: source}, item, {id: id}))
+                    .then((added) => channel.sendTextMessage(senderID, added ?
+                        t(language, 'savedFavourite', item) : t(language, 'alreadyFavourite', item)))
+                    .catch(failed);
+            });
+        }
+    };
 
+    const onSubscribe = (senderID, parsedMsg, language) => {
+        const timeText = parsedMsg.replace(SUBSCRIBE_PATTERN, '').trim();
+        const time = timeText ? parseTime(timeText) : DEFAULT_DAILY_TIME;
+        if (!time) {
+            channel.sendTextMessage(senderID, t(language, 'invalidTime'));
+            return Promise.resolve();
         }
+
+        return subscriptions.subscribe(senderID, {time: time, language: language})
+            .then(() => channel.sendTextMessage(senderID, t(language, 'subscribed', {time: time})))
+            .catch((err) => {
+                log.error("Failed to subscribe", {senderID: senderID, err: err});
+                channel.sendTextMessage(senderID, t(language, 'somethingWentWrong', {err: err.message}));
+            });
     };
 
-    const onAttachments = (senderID) =>
-        fb.sendTextMessage(senderID, "Sorry, dit snap ik even niet.");
+    const onUnsubscribe = (senderID, language) => subscriptions.unsubscribe(senderID)
+        .then((unsubscribed) => channel.sendTextMessage(senderID, t(language, unsubscribed ? 'unsubscribed' : 'notSubscribed')))
+        .catch((err) => {
+            log.error("Failed to unsubscribe", {senderID: senderID, err: err});
+            channel.sendTextMessage(senderID, t(language, 'somethingWentWrong', {err: err.message}));
+        });
 
+    // Resolves once the artwork of the day is queued
+    const sendArtwork = (recipientId, language) => new Promise((resolve, reject) =>
+        search.artworkOfTheDay(new Date(), language, (err, data) => {
+            if (err) {
+                reject(new Error(err));
+                return;
+            }
 
-    const onPostback = (senderID, payload) => {
+            const artwork = data.images;
+            resolve(Promise.all([
+                channel.sendTextMessage(recipientId, data.bornToday ?
+                    t(language, 'artworkOfTheDayBornToday', {name: artwork.subjectName}) : t(language, 'artworkOfTheDay')),
+                channel.sendTextMessage(recipientId, t(language, 'youWillSee', artwork)),
+                channel.sendImageMessage(recipientId, artwork.image),
+                channel.sendURL(recipientId, artwork.url || `http://www.wikidata.org/wiki/${artwork.id}`, urlLabels(language)),
+                channel.sendQuickReplies(recipientId, {text: t(language, 'saveThis'), data: [saveReply(language, artwork)]})
+            ]));
+        })
+    );
 
-        if(payload.charAt(0) === 'Q') {
-            search.paintingsByArtist(payload, handlePostbackResponse(senderID));
+    /*
+     * Called by the scheduler, possibly long after the user's last message.
+     * When the channel no longer lets the bot message the user, the artwork
+     * of the day is skipped, and the user is told so by heard when they are back.
+     */
+    const sendArtworkOfTheDay = (recipientId, {language, lastMessageAt}) => channel.canReach(recipientId, lastMessageAt)
+        .then((reachable) => reachable ? sendArtwork(recipientId, language) : subscriptions.markSkipped(recipientId)
+            .then(() => log.info("Skipping the artwork of the day outside the messaging window", {recipientId: recipientId})));
 
-            fb.sendTextMessage(senderID, "Ik ben nu een schilderij aan het ophalen...");
-        } else if(payload.match(/^GVN/)) {
-            gvn.imageByFacet(payload, handlePostbackResponse(senderID));
-            fb.sendTextMessage(senderID, "Ik ben nu een beeld aan het ophalen...");
+    // Quiz answers, the next question and the leaderboard use payloads like QUIZ|answer|Q5582
+    const quizReplies = (language) => [
+        {title: t(language, 'quizNext'), payload: 'QUIZ|next'},
+        {title: t(language, 'leaderboardButton'), payload: 'QUIZ|leaderboard'}
+    ];
+
+    const onQuizQuestion = (senderID, language) => {
+        channel.sendTypingOn(senderID);
+        quiz.question(language, log.bind((err, question) => {
+            channel.sendTypingOff(senderID);
+            if (err) {
+                channel.sendTextMessage(senderID, err);
+                return;
+            }
+
+            sessions.update(senderID, {
+                quiz: {answer: question.answer, artwork: _.pick(question.artwork, ['id', 'label', 'description', 'url'])}
+            }).catch(logSessionError);
+            channel.sendImageMessage(senderID, question.artwork.image);
+            channel.sendQuickReplies(senderID, {
+                text: t(language, 'quizQuestion'),
+                data: question.options.map((painter) => ({title: painter.name, payload: `QUIZ|answer|${painter.id}`}))
+            });
+        }));
+    };
+
+    const onQuizAnswer = (senderID, painterId, language) => sessions.get(senderID)
+        .then((session) => {
+            const question = session.quiz;
+            if (!question) {
+                channel.sendTextMessage(senderID, t(language, 'quizAnswered'));
+                return null;
+            }
+
+            const correct = painterId === question.answer.id;
+            return sessions.update(senderID, {quiz: null})
+                .then(() => channel.getUserProfile(senderID))
+                .then((profile) => scores.record(senderID, {correct: correct, name: profile.first_name}))
+                .then((score) => {
+                    channel.sendTextMessage(senderID, correct ?
+                        t(language, 'quizCorrect', {name: question.answer.name, streak: score.streak}) :
+                        t(language, 'quizWrong', {name: question.answer.name}));
+                    channel.sendURL(senderID, question.artwork.url || `http://www.wikidata.org/wiki/${question.artwork.id}`,
+                        urlLabels(language));
+                    channel.sendQuickReplies(senderID, {text: t(language, 'quizScore', score), data: quizReplies(language)});
+                });
+        })
+        .catch((err) => {
+            log.error("Failed to record quiz answer", {senderID: senderID, err: err});
+            channel.sendTextMessage(senderID, t(language, 'somethingWentWrong', {err: err.message}));
+        });
+
+    const onScoreRequest = (senderID, language) => scores.get(senderID)
+        .then((score) => channel.sendQuickReplies(senderID, {
+            text: score.answered > 0 ? t(language, 'quizScore', score) : t(language, 'quizNoScore'),
+            data: quizReplies(language)
+        }))
+        .catch((err) => {
+            log.error("Failed to read quiz score", {senderID: senderID, err: err});
+            channel.sendTextMessage(senderID, t(language, 'somethingWentWrong', {err: err.message}));
+        });
+
+    const onLeaderboardRequest = (senderID, language) => scores.leaderboard()
+        .then((entries) => {
+            const lines = entries.map((entry, i) => t(language, 'leaderboardEntry', {
+                rank: i + 1,
+                name: entry.senderID === senderID ? t(language, 'you') : entry.name || t(language, 'anonymousPlayer'),
+                points: entry.points
+            }));
+            channel.sendTextMessage(senderID, lines.length > 0 ?
+                [t(language, 'leaderboard')].concat(lines).join("\n") : t(language, 'leaderboardEmpty'));
+        })
+        .catch((err) => {
+            log.error("Failed to read the leaderboard", {senderID: senderID, err: err});
+            channel.sendTextMessage(senderID, t(language, 'somethingWentWrong', {err: err.message}));
+        });
+
+    const onQuizPostback = (senderID, payload, language) => {
+        const [x, action, painterId] = payload.split("|");
+        if (action === 'answer') {
+            onQuizAnswer(senderID, painterId, language);
+        } else if (action === 'leaderboard') {
+            onLeaderboardRequest(senderID, language);
+        } else {
+            onQuizQuestion(senderID, language);
+        }
+    };
+
+    const onLanguageCommand = (senderID, language) => sessions.update(senderID, {language: language})
+        .catch(logSessionError)
+        .then(() => channel.sendTextMessage(senderID, t(language, 'languageChanged')));
+
+    const onTextMessage = (messageText, senderID) => {
+        const parsedMsg = messageText.trim().toLowerCase();
+        heard(senderID);
+
+        if (LANGUAGE_COMMANDS[parsedMsg]) {
+            intentHandled(senderID, 'language');
+            return onLanguageCommand(senderID, LANGUAGE_COMMANDS[parsedMsg]);
         }
+
+        return languageOf(senderID).then(log.bind((language) => {
+            if (WELCOME_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'welcome');
+                return channel.sendTextMessage(senderID, t(language, 'welcome'));
+            }
+
+            if (FAVOURITES_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'favourites');
+                return onFavouritesRequest(senderID, language);
+            }
+
+            if (QUIZ_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'quiz');
+                return onQuizQuestion(senderID, language);
+            }
+
+            if (SCORE_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'score');
+                return onScoreRequest(senderID, language);
+            }
+
+            if (LEADERBOARD_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'leaderboard');
+                return onLeaderboardRequest(senderID, language);
+            }
+
+            if (UNSUBSCRIBE_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'unsubscribe');
+                return onUnsubscribe(senderID, language);
+            }
+
+            if (SUBSCRIBE_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'subscribe');
+                return onSubscribe(senderID, parsedMsg, language);
+            }
+
+            if (MORE_PATTERN.test(parsedMsg) || WHO_PATTERN.test(parsedMsg)) {
+                const onFollowUp = MORE_PATTERN.test(parsedMsg) ? onMoreRequest : onWhoRequest;
+                intentHandled(senderID, MORE_PATTERN.test(parsedMsg) ? 'more' : 'who');
+                return sessions.get(senderID)
+                    .then((session) => onFollowUp(senderID, session, language))
+                    .catch(logSessionError);
+            }
+
+            const date = dates.parse(parsedMsg);
+            const respond = handleSearchResponse(senderID, language);
+            sessions.addSearch(senderID, parsedMsg).catch(logSessionError);
+            channel.sendTextMessage(senderID, t(language, 'searching'));
+            channel.sendTypingOn(senderID);
+
+            if (MONUMENTS_PATTERN.test(parsedMsg)) {
+                intentHandled(senderID, 'monuments');
+                search.searchPlaces(parsedMsg.replace(MONUMENTS_PATTERN, '').trim(), language, respond);
+            } else if (date && date.error) {
+                intentHandled(senderID, 'date');
+                channel.sendTypingOff(senderID);
+                channel.sendTextMessage(senderID, t(language, date.error, date));
+            } else if (date) {
+                intentHandled(senderID, 'date');
+                search.painterByDate(date.month, date.day, date.event, language, respond);
+            } else if (parsedMsg === 'surprise') {
+                intentHandled(senderID, 'surprise');
+                search.randomArtist(language, respond);
+            } else {
+                intentHandled(senderID, 'search');
+                search.searchAll(parsedMsg, language, respond);
+            }
+        }));
     };
 
+    const onAttachments = (senderID, attachments) => languageOf(senderID).then(log.bind((language) => {
+        heard(senderID);
+        const location = _.find(attachments, {type: 'location'});
+
+        if (location) {
+            intentHandled(senderID, 'nearby');
+            const {lat, long} = location.payload.coordinates;
+            channel.sendTextMessage(senderID, t(language, 'searchingNearby'));
+            channel.sendTypingOn(senderID);
+            search.monumentsNearby(lat, long, language, handleSearchResponse(senderID, language));
+        } else {
+            intentHandled(senderID, 'unknown');
+            channel.sendTextMessage(senderID, t(language, 'notUnderstood'));
+        }
+    }));
+
+
+    const onPostback = (senderID, payload) => languageOf(senderID).then(log.bind((language) => {
+        heard(senderID);
+
+        if(payload.match(/^FAV\|/)) {
+            intentHandled(senderID, 'favourite');
+            onFavouritePostback(senderID, payload, language);
+        } else if(payload.match(/^QUIZ\|/)) {
+            intentHandled(senderID, 'quiz');
+            onQuizPostback(senderID, payload, language);
+        } else if(payload.match(/^MON\|/)) {
+            const [x, location, offset] = payload.split("|");
+            intentHandled(senderID, 'monuments');
+            search.getMonuments(location, parseInt(offset, 10), language, handleSearchResponse(senderID, language));
+            channel.sendTextMessage(senderID, t(language, 'fetchingMonuments'));
+        } else {
+            // Painters, subjects and other search results of the heritage sources
+            intentHandled(senderID, 'works');
+            search.itemsByCreator(payload, language, handlePostbackResponse(senderID, language));
+            channel.sendTextMessage(senderID, t(language, 'fetchingWorks'));
+        }
+    }));
+
+    // Quick replies use the same payloads as postbacks
+    const onQuickReply = (senderID, payload) => onPostback(senderID, payload);
+
     return {
         onAttachments: onAttachments,
         onPostback: onPostback,
-        onTextMessage: onTextMessage
+        onQuickReply: onQuickReply,
+        onTextMessage: onTextMessage,
+        sendArtworkOfTheDay: sendArtworkOfTheDay
     }
 };
\ No newline at end of file
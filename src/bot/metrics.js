@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const url = require('url');
+
+/*
+ * Counters and histograms about the bot, exposed in the Prometheus text
+ * format on the /metrics route.
+ *
+ * Only what the bot needs of the format is implemented: counters and
+ * histograms with labels, and gauges and counters whose value is read when
+ * rendering.
+ */
+const PREFIX = 'erfgoedbot';
+
+// Buckets of the query latency histogram, in seconds
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => `${value}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const names = Object.keys(labels);
+    return names.length === 0 ? '' : `{${names.map((name) => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+};
+
+const keyOf = (labels) => JSON.stringify(Object.keys(labels).sort().map((name) => [name, `${labels[name]}`]));
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+function counter(name, help) {
+    const values = {};
+
+    const inc = (labels = {}, amount = 1) => {
+        const key = keyOf(labels);
+        values[key] = values[key] || {labels: labels, value: 0};
+        values[key].value += amount;
+    };
+
+    const render = () => header(name, help, 'counter')
+        .concat(Object.keys(values).map((key) => `${name}${formatLabels(values[key].labels)} ${values[key].value}`));
+
+    return { inc, render };
+}
+
+function histogram(name, help, buckets) {
+    const values = {};
+
+    const observe = (labels, value) => {
+        const key = keyOf(labels);
+        values[key] = values[key] || {labels: labels, counts: buckets.map(() => 0), sum: 0, count: 0};
+        buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                values[key].counts[i]++;
+            }
+        });
+        values[key].sum += value;
+        values[key].count++;
+    };
+
+    const render = () => header(name, help, 'histogram').concat(...Object.keys(values).map((key) => {
+        const {labels, counts, sum, count} = values[key];
+        return buckets.map((bound, i) => `${name}_bucket${formatLabels(Object.assign({}, labels, {le: bound}))} ${counts[i]}`)
+            .concat(
+                `${name}_bucket${formatLabels(Object.assign({}, labels, {le: '+Inf'}))} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`
+            );
+    }));
+
+    return { observe, render };
+}
+
+function reading(name, help, type, read) {
+    const render = () => header(name, help, type).concat(`${name} ${read()}`);
+
+    return { render };
+}
+
+const gauge = (name, help, read) => reading(name, help, 'gauge', read);
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+module.exports = (now = () => new Date()) => {
+    const events = counter(`${PREFIX}_messaging_events_total`, 'Messaging events received by the webhook, by type');
+    const intents = counter(`${PREFIX}_intents_total`, 'Intents handled, by intent');
+    const queryDuration = histogram(`${PREFIX}_query_duration_seconds`, 'Latency of outbound queries, by endpoint', LATENCY_BUCKETS);
+    const queryFailures = counter(`${PREFIX}_query_failures_total`, 'Outbound queries that failed, by endpoint');
+    const sendResults = counter(`${PREFIX}_send_api_requests_total`, 'Calls to the Send API, by result and status code');
+
+    // Only the senders of the current day are kept
+    let activeDay = dayOf(now());
+    let activeUsers = new Set();
+    const activeToday = () => {
+        const today = dayOf(now());
+        if (today !== activeDay) {
+            activeDay = today;
+            activeUsers = new Set();
+        }
+        return activeUsers;
+    };
+    const dailyActiveUsers = gauge(`${PREFIX}_daily_active_users`, 'Distinct users who messaged the bot today (UTC)',
+        () => activeToday().size);
+
+    // The response cache counts its own hits and misses, see watchCache
+    let cacheStats = () => null;
+    const fromCache = (key) => () => (cacheStats() || {[key]: 0})[key];
+    const cacheHits = reading(`${PREFIX}_cache_hits_total`, 'Outbound queries answered from the cache', 'counter',
+        fromCache('hits'));
+    const cacheMisses = reading(`${PREFIX}_cache_misses_total`, 'Outbound queries not found in the cache', 'counter',
+        fromCache('misses'));
+    const cacheEntries = gauge(`${PREFIX}_cache_entries`, 'Responses in the cache', fromCache('size'));
+
+    // One of message, postback, delivery, read, unknown or duplicate
+    const eventReceived = (type) => events.inc({type: type});
+
+    const intentHandled = (intent) => intents.inc({intent: intent});
+
+    const queryFinished = (uri, seconds, err) => {
+        const endpoint = url.parse(`${uri}`.trim()).host || 'unknown';
+        queryDuration.observe({endpoint: endpoint}, seconds);
+        if (err) {
+            queryFailures.inc({endpoint: endpoint});
+        }
+    };
+
+    // Network errors without a response count with status code 0
+    const sendFinished = (statusCode) => sendResults.inc({
+        result: statusCode === 200 ? 'success' : 'failure',
+        status: statusCode || 0
+    });
+
+    const userActive = (senderID) => activeToday().add(`${senderID}`);
+
+    // stats returns the stats of ./cache, or null while there is no cache
+    const watchCache = (stats) => {
+        cacheStats = stats;
+    };
+
+    const render = () => [events, intents, queryDuration, queryFailures, sendResults, dailyActiveUsers,
+        cacheHits, cacheMisses, cacheEntries]
+        .map((metric) => metric.render().join('\n'))
+        .join('\n') + '\n';
+
+    return { eventReceived, intentHandled, queryFinished, sendFinished, userActive, watchCache, render };
+};
+
+const digest = (value) => crypto.createHash('sha256').update(`${value}`).digest();
+
+/*
+ * The /metrics route. It needs the token as a bearer token, compared in
+ * constant time via the digests, and does not exist when no token is
+ * configured.
+ */
+module.exports.route = (metrics, token) => (req, res) => {
+    if (!token) {
+        res.sendStatus(404);
+        return;
+    }
+
+    const given = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!given || !crypto.timingSafeEqual(digest(given[1]), digest(token))) {
+        res.sendStatus(403);
+        return;
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4');
+    res.send(metrics.render());
+};
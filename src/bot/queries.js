@@ -1,74 +1,240 @@
+const querystring = require('querystring');
 const rp = require('request-promise');
+const { sparql, entity, property, literal, languages, integer, decimal, QueryParameterError } = require('./sparql');
+const createResilience = require('./resilience');
+const createMetrics = require('./metrics');
+const createActivity = require('./activity');
+const log = require('../log');
 
-function monuments(location) {
-    return `
-        SELECT ?item ?itemLabel ?itemDescription ?image WHERE {
+function monuments(location, limit, offset, language = 'nl') {
+    return sparql`
+        SELECT ?item ?itemLabel ?itemDescription (SAMPLE(?picture) AS ?image) WHERE {
           ?item wdt:P1435 wd:Q916333 .
-          ?item wdt:P131 wd:${location} .
+          ?item wdt:P131 ${entity(location)} .
+          ?item wdt:P18 ?picture .
+          SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)}. }
+        } GROUP BY ?item ?itemLabel ?itemDescription
+        ORDER BY ?itemLabel ?item
+        LIMIT ${integer(limit)} OFFSET ${integer(offset)}
+    `;
+}
+
+function places(name, language = 'nl') {
+    return sparql`
+        SELECT DISTINCT ?item ?itemLabel ?provinceLabel WHERE {
+          SERVICE wikibase:mwapi {
+            bd:serviceParam wikibase:endpoint "www.wikidata.org"; wikibase:api "EntitySearch"; mwapi:search ${literal(name)}; mwapi:language "nl" .
+            ?item wikibase:apiOutputItem mwapi:item .
+          }
+          ?item wdt:P17 wd:Q55 .
+          ?item wdt:P31/wdt:P279* ?type .
+          VALUES ?type { wd:Q2039348 wd:Q486972 }
+          OPTIONAL { ?item wdt:P131* ?province . ?province wdt:P31 wd:Q134390 . }
+          SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)}. }
+        } LIMIT 10
+    `;
+}
+
+function monumentsNearby(lat, long, radius, language = 'nl') {
+    return sparql`
+        SELECT ?item ?itemLabel ?itemDescription ?image ?distance WHERE {
+          SERVICE wikibase:around {
+            ?item wdt:P625 ?location .
+            bd:serviceParam wikibase:center "Point(${decimal(long)} ${decimal(lat)})"^^geo:wktLiteral .
+            bd:serviceParam wikibase:radius "${decimal(radius)}" .
+            bd:serviceParam wikibase:distance ?distance .
+          }
+          ?item wdt:P1435 ?heritage .
           ?item wdt:P18 ?image .
-          SERVICE wikibase:label { bd:serviceParam wikibase:language "nl". }
-        } LIMIT 100
+          SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)}. }
+        } ORDER BY ?distance LIMIT 10
     `;
 }
 
-function painterByDate(month, day) {
-    return `
+// Wikidata properties for the date of birth and the date of death
+const DATE_PROPERTIES = {
+    birth: 'P569',
+    death: 'P570'
+};
+
+function painterByDate(month, day, event = 'birth', language = 'en,nl') {
+    if (!DATE_PROPERTIES[event]) {
+        throw new QueryParameterError(`Unknown event: ${event}`);
+    }
+
+    return sparql`
     PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
 
     SELECT ?entity (YEAR(?date) AS ?year) ?entityLabel WHERE {
       ?entity wdt:P31 wd:Q5.
       ?entity wdt:P106 wd:Q1028181.
-      ?entity wdt:P569 ?date.
-      SERVICE wikibase:label { bd:serviceParam wikibase:language "en,nl". }
-      FILTER(((DATATYPE(?date)) = xsd:dateTime) && ((MONTH(?date)) = ${month}) && ((DAY(?date)) = ${day}))
+      ?entity ${property(DATE_PROPERTIES[event])} ?date.
+      SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)}. }
+      FILTER(((DATATYPE(?date)) = xsd:dateTime) && ((MONTH(?date)) = ${integer(month)}) && ((DAY(?date)) = ${integer(day)}))
     } LIMIT 3`;
 }
 
-function paintingsByArtist(id) {
-    return `
+function paintingsByArtist(id, language = 'en,nl') {
+    return sparql`
         select distinct ?item ?image ?itemLabel ?itemDescription ?collectionLabel ?described where {
-        ?item wdt:P170 wd:${id} .
+        ?item wdt:P170 ${entity(id)} .
         ?item wdt:P18 ?image .
         ?item wdt:P195 ?collection .
         ?item wdt:P973 ?described .
-        SERVICE wikibase:label { bd:serviceParam wikibase:language "en,nl" }
+        SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)} }
     } LIMIT 100`;
 }
 
-function searchPainters(q) {
-    return `
+function artwork(id, language = 'en,nl') {
+    return sparql`
+        select ?item ?image ?itemLabel ?itemDescription ?collectionLabel ?described ?creator ?creatorLabel where {
+        VALUES ?item { ${entity(id)} }
+        ?item wdt:P18 ?image .
+        OPTIONAL { ?item wdt:P195 ?collection . }
+        OPTIONAL { ?item wdt:P973 ?described . }
+        OPTIONAL { ?item wdt:P170 ?creator . }
+        SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)} }
+    } LIMIT 1`;
+}
+
+function searchPainters(q, language = 'nl') {
+    return sparql`
     select distinct ?item ?itemLabel ?itemDescription ?itemAltLabel where {
         ?item wdt:P31 wd:Q5; wdt:P106 wd:Q1028181; rdfs:label ?label .
         FILTER( LANG(?label) = "nl" || LANG(?label) = "en" ) .
-        FILTER( CONTAINS(LCASE(?label), "${q}") || CONTAINS(LCASE(?altLabel), "${q}") ) .
-        SERVICE wikibase:label { bd:serviceParam wikibase:language "nl" } .
+        FILTER( CONTAINS(LCASE(?label), ${literal(q)}) || CONTAINS(LCASE(?altLabel), ${literal(q)}) ) .
+        SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)} } .
     } order by desc(?item)`;
 }
 
-function randomArtist() {
-    return `
+function randomArtist(language = 'en,nl') {
+    return sparql`
     SELECT DISTINCT ?item ?itemLabel WHERE {
         ?work wdt:P31 wd:Q3305213 .
         ?work wdt:P18 ?image .
         ?work wdt:P195 ?collection .
         ?collection wdt:P17 wd:Q55 .
         ?work wdt:P170 ?item .
-        SERVICE wikibase:label { bd:serviceParam wikibase:language "en,nl" }
+        SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)} }
     } LIMIT 1000`;
 }
 
-function query(q, url = null) {
-    const ENDPOINT = url || `
-        https://query.wikidata.org/bigdata/namespace/wdq/sparql
+// The painters of randomArtist, with their year of birth and movements to find others of the same era
+function paintersWithEra(language = 'en,nl') {
+    return sparql`
+    SELECT DISTINCT ?item ?itemLabel ?born ?movement WHERE {
+        ?work wdt:P31 wd:Q3305213 .
+        ?work wdt:P18 ?image .
+        ?work wdt:P195 ?collection .
+        ?collection wdt:P17 wd:Q55 .
+        ?work wdt:P170 ?item .
+        OPTIONAL { ?item wdt:P569 ?birth . BIND(YEAR(?birth) AS ?born) }
+        OPTIONAL { ?item wdt:P135 ?movement . }
+        SERVICE wikibase:label { bd:serviceParam wikibase:language ${languages(language)} }
+    } LIMIT 2000`;
+}
+
+// How long responses are cached, in milliseconds
+const TTL = {
+    SHORT: 10 * 60 * 1000,
+    DEFAULT: 60 * 60 * 1000,
+    LONG: 24 * 60 * 60 * 1000
+};
+
+// Responses are only cached after useCache is called with a cache from ./cache
+let cache = null;
+
+function useCache(responseCache) {
+    cache = responseCache;
+}
+
+function cacheStats() {
+    return cache ? cache.stats() : null;
+}
+
+// The SPARQL endpoint queries without a url go to
+const WIKIDATA_ENDPOINT = 'https://query.wikidata.org/bigdata/namespace/wdq/sparql';
+
+// Timeouts, retries and circuit breakers for the endpoints, see ./resilience
+let resilience = createResilience();
+
+function useResilience(outboundResilience) {
+    resilience = outboundResilience;
+}
+
+// Latency and failures of the calls that were not cached, see ./metrics
+let metrics = createMetrics();
+
+function useMetrics(botMetrics) {
+    metrics = botMetrics;
+}
+
+// Failing calls are logged for the admin pages, see ./activity
+let activity = createActivity();
+
+function useActivity(activityLog) {
+    activity = activityLog;
+}
+
+/*
+ * Sources pass their handler of failed queries to then() next to the handler
+ * of the response, so an error thrown by their callback is not taken for a
+ * failed query. What is thrown there is caught after that by callbackFailed:
+ * it is logged, and the callback gets the apology after all.
+ */
+function callbackFailed(apology, cb) {
+    return log.bind((err) => {
+        log.error("Failed to handle a query response", {err: err});
+        cb(apology, null);
+    });
+}
+
+/*
+ * Run the SPARQL query q at the endpoint url, or without a query, get the JSON
+ * at url. Keys like {wskey: "..."} are added to the url when it is called, but
+ * left out of the cache, which is written to disk, and of the logs and metrics.
+ */
+function query(q, url = null, ttl = TTL.DEFAULT, keys = null) {
+    const ENDPOINT = q === null ? url : `
+        ${url || WIKIDATA_ENDPOINT}
         ?format=json&query=${encodeURIComponent(q)}
     `;
 
-    return rp.get({
-        uri : ENDPOINT,
+    const cached = cache ? cache.get(ENDPOINT) : undefined;
+    if (cached !== undefined) {
+        return Promise.resolve(cached);
+    }
+
+    // Taken now, as the query is answered after the event that asked for it was handled
+    const correlationId = log.correlationId();
+    const started = Date.now();
+    const finished = (err) => {
+        const seconds = (Date.now() - started) / 1000;
+        metrics.queryFinished(ENDPOINT, seconds, err);
+        log[err ? 'warn' : 'debug'](err ? "Query failed" : "Query finished", Object.assign({
+            correlationId: correlationId,
+            endpoint: ENDPOINT.replace(/\s/g, ''),
+            seconds: seconds
+        }, err ? {err: err} : {}));
+    };
+
+    return resilience.call(ENDPOINT, () => rp.get({
+        uri : keys ? `${ENDPOINT}${ENDPOINT.indexOf('?') < 0 ? '?' : '&'}${querystring.stringify(keys)}` : ENDPOINT,
         json : true
+    })).then((data) => {
+        finished(null);
+        if (cache) {
+            cache.set(ENDPOINT, data, ttl);
+        }
+        return data;
+    }, (err) => {
+        finished(err);
+        activity.queryFailed(ENDPOINT, err);
+        throw err;
     });
 }
 
 module.exports = {
-    monuments, painterByDate, paintingsByArtist, searchPainters, randomArtist, query
+    monuments, places, monumentsNearby, painterByDate, paintingsByArtist, artwork, searchPainters, randomArtist,
+    paintersWithEra, query, callbackFailed, useCache, cacheStats, useResilience, useMetrics, useActivity, TTL, WIKIDATA_ENDPOINT
 };
\ No newline at end of file
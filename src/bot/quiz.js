@@ -0,0 +1,86 @@
+const _ = require('lodash');
+const queries = require('./queries.js');
+const createWikidata = require('./wikidata.js');
+const { t, labelLanguages } = require('../i18n');
+const log = require('../log');
+
+/*
+ * "Guess the painter": a random painting from a Dutch collection with three
+ * painters to choose from. The wrong answers are painters of the same
+ * movement, or else born around the same time, so guessing is not too easy.
+ */
+const WRONG_ANSWERS = 2;
+
+// Painters born this many years apart still count as the same era
+const ERA_YEARS = 30;
+
+// Painters whose works turn out to have no usable image are skipped, up to this many times
+const MAX_ATTEMPTS = 3;
+
+// The painters and their works come from Wikidata, replaced with the configured endpoint by useWikidata
+let wikidata = createWikidata();
+
+function useWikidata(client) {
+    wikidata = client;
+}
+
+const toPainters = (bindings) => _(bindings)
+    .groupBy((p) => p.item.value)
+    .map((rows) => ({
+        id: rows[0].item.value.replace('http://www.wikidata.org/entity/', ''),
+        name: rows[0].itemLabel.value,
+        born: rows[0].born ? parseInt(rows[0].born.value, 10) : null,
+        movements: _.uniq(rows.filter((p) => p.movement).map((p) => p.movement.value))
+    }))
+    // Painters without a label in any of the languages are only known by their Q-id
+    .filter((painter) => !/^Q[0-9]+$/.test(painter.name))
+    .value();
+
+function wrongAnswers(painter, painters) {
+    const others = painters.filter((other) => other.id !== painter.id && other.name !== painter.name);
+    const sameMovement = others.filter((other) => _.intersection(other.movements, painter.movements).length > 0);
+    const sameEra = painter.born === null ? [] : _.sortBy(
+        others.filter((other) => other.born !== null && Math.abs(other.born - painter.born) <= ERA_YEARS),
+        (other) => Math.abs(other.born - painter.born)
+    );
+
+    return _.uniqBy(_.shuffle(sameMovement).concat(sameEra, _.shuffle(others)), 'id').slice(0, WRONG_ANSWERS);
+}
+
+/*
+ * Responds with {artwork, answer, options}, where answer and options are
+ * painters as {id, name} and options includes the answer in random order.
+ */
+function question(language, cb) {
+    queries.query(queries.paintersWithEra(labelLanguages(language)), wikidata.endpoint, queries.TTL.LONG).then((data) => {
+        const painters = toPainters(data.results.bindings || []);
+        if (painters.length <= WRONG_ANSWERS) {
+            cb(t(language, 'wikidataUnavailable'), null);
+            return;
+        }
+
+        const ask = (attempt) => {
+            const painter = _.sample(painters);
+            wikidata.paintingsByArtist(painter.id, language, (err, artwork) => {
+                if (err && attempt < MAX_ATTEMPTS) {
+                    ask(attempt + 1);
+                } else if (err) {
+                    cb(err, null);
+                } else {
+                    const answer = _.pick(painter, ['id', 'name']);
+                    cb(null, {
+                        artwork: artwork,
+                        answer: answer,
+                        options: _.shuffle([answer].concat(wrongAnswers(painter, painters).map((p) => _.pick(p, ['id', 'name']))))
+                    });
+                }
+            });
+        };
+        ask(1);
+    }, log.bind((err) => {
+        log.warn("Wikidata query failed", {err: err});
+        cb(t(language, 'wikidataUnavailable'), null);
+    }));
+}
+
+module.exports = { question, wrongAnswers, useWikidata };
@@ -0,0 +1,115 @@
+const url = require('url');
+const log = require('../log');
+
+/*
+ * Protects calls to outbound data sources with a timeout, a bounded number of
+ * retries with exponential backoff, and a circuit breaker per endpoint.
+ *
+ * After `failureThreshold` consecutive failed calls the circuit of an endpoint
+ * opens and calls fail right away for `resetTimeout` milliseconds. Then one
+ * trial call is let through, and other calls keep failing right away until
+ * it settles: when it succeeds the circuit closes again.
+ */
+class TimeoutError extends Error {
+    constructor(timeout) {
+        super(`Timed out after ${timeout}ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+class CircuitOpenError extends Error {
+    constructor(endpoint) {
+        super(`Circuit for ${endpoint} is open`);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+const CLOSED = 'closed', OPEN = 'open', HALF_OPEN = 'half-open';
+
+// Network errors, timeouts, rate limiting and server errors are worth another try
+const isTransient = (err) => !err.statusCode || err.statusCode === 429 || err.statusCode >= 500;
+
+const endpointOf = (uri) => url.parse(`${uri}`.trim()).host || `${uri}`;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = ({
+    timeout = 10000,
+    retries = 2,
+    backoff = 500,
+    failureThreshold = 5,
+    resetTimeout = 30000,
+    now = Date.now
+} = {}) => {
+    const circuits = {};
+
+    const circuitFor = (endpoint) => {
+        if (!circuits[endpoint]) {
+            circuits[endpoint] = {state: CLOSED, failures: 0, openedAt: null, trialInFlight: false};
+        }
+        return circuits[endpoint];
+    };
+
+    const withTimeout = (promise) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new TimeoutError(timeout)), timeout);
+        promise.then(
+            (data) => { clearTimeout(timer); resolve(data); },
+            (err) => { clearTimeout(timer); reject(err); }
+        );
+    });
+
+    const attempt = (fn, attemptsLeft, wait) => withTimeout(Promise.resolve().then(fn))
+        .catch((err) => {
+            if (attemptsLeft > 0 && isTransient(err)) {
+                return delay(wait).then(() => attempt(fn, attemptsLeft - 1, wait * 2));
+            }
+            throw err;
+        });
+
+    /*
+     * Call fn, which returns a promise for a request to the given uri.
+     */
+    const call = (uri, fn) => {
+        const endpoint = endpointOf(uri);
+        const circuit = circuitFor(endpoint);
+
+        if (circuit.state === OPEN && now() - circuit.openedAt >= resetTimeout) {
+            circuit.state = HALF_OPEN;
+        }
+        if (circuit.state === OPEN || circuit.trialInFlight) {
+            return Promise.reject(new CircuitOpenError(endpoint));
+        }
+
+        // The trial is the one call let through a half-open circuit
+        const trial = circuit.state === HALF_OPEN;
+        const settled = () => {
+            if (trial) {
+                circuit.trialInFlight = false;
+            }
+        };
+        circuit.trialInFlight = trial;
+
+        return attempt(fn, trial ? 0 : retries, backoff).then((data) => {
+            settled();
+            circuit.state = CLOSED;
+            circuit.failures = 0;
+            return data;
+        }, (err) => {
+            settled();
+            circuit.failures++;
+            if (circuit.state === HALF_OPEN || circuit.failures >= failureThreshold) {
+                log.warn("Opening circuit", {endpoint: endpoint, failures: circuit.failures});
+                circuit.state = OPEN;
+                circuit.openedAt = now();
+            }
+            throw err;
+        });
+    };
+
+    const state = (uri) => circuitFor(endpointOf(uri)).state;
+
+    return { call, state };
+};
+
+module.exports.TimeoutError = TimeoutError;
+module.exports.CircuitOpenError = CircuitOpenError;
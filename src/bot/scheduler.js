@@ -0,0 +1,48 @@
+const log = require('../log');
+
+/*
+ * In-process scheduler for the daily artwork.
+ *
+ * Every interval it delivers the subscriptions that are due. Subscriptions
+ * remember the day they were last sent, so after a restart the first check
+ * catches up on what was missed today without sending anything twice.
+ */
+module.exports = ({subscriptions, deliver, interval = 60000, now = () => new Date()}) => {
+    let timer = null;
+    let running = null;
+
+    const deliverDue = () => {
+        const date = now();
+        return subscriptions.due(date).then((due) => Promise.all(due.map(({senderID, subscription}) =>
+            // Mark first: a failing delivery is not retried every interval for the rest of the day
+            subscriptions.markSent(senderID, date)
+                .then(() => deliver(senderID, subscription))
+                .catch((err) => log.error("Failed to deliver the daily artwork", {senderID: senderID, err: err}))
+        )));
+    };
+
+    // Checks never overlap; a check that is still running is returned instead
+    const tick = () => {
+        if (!running) {
+            running = deliverDue()
+                .catch((err) => log.error("Failed to check subscriptions", {err: err}))
+                .then(() => running = null);
+        }
+        return running;
+    };
+
+    const start = () => {
+        if (!timer) {
+            timer = setInterval(tick, interval);
+            timer.unref();
+            tick();
+        }
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return { start, stop, tick };
+};
@@ -0,0 +1,62 @@
+/*
+ * Quiz scores, keyed by sender ID.
+ *
+ * Every player has a running score, a streak of correct answers in a row and
+ * the points per week, from which the weekly leaderboard is made. Only the
+ * first name of a player is kept, to show on the leaderboard.
+ */
+const pad = (n) => n < 10 ? `0${n}` : `${n}`;
+
+// ISO 8601 week, like 2017-W10; weeks start on Monday
+const weekOf = (date) => {
+    const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const weekday = day.getUTCDay() || 7;
+    day.setUTCDate(day.getUTCDate() + 4 - weekday);
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${pad(week)}`;
+};
+
+// Only this many weeks are kept per player
+const MAX_WEEKS = 8;
+
+const newScore = () => ({name: null, score: 0, answered: 0, streak: 0, bestStreak: 0, weeks: {}});
+
+module.exports = (store, now = () => new Date()) => {
+
+    const get = (senderID) => store.get(senderID)
+        .then((score) => Object.assign(newScore(), score));
+
+    // Resolves the updated score
+    const record = (senderID, {correct, name}) => get(senderID)
+        .then((score) => {
+            const week = weekOf(now());
+            const streak = correct ? score.streak + 1 : 0;
+            const weeks = Object.assign({}, score.weeks, {[week]: (score.weeks[week] || 0) + (correct ? 1 : 0)});
+
+            return store.set(senderID, Object.assign(score, {
+                name: name || score.name,
+                score: score.score + (correct ? 1 : 0),
+                answered: score.answered + 1,
+                streak: streak,
+                bestStreak: Math.max(score.bestStreak, streak),
+                weeks: Object.keys(weeks).sort().slice(-MAX_WEEKS)
+                    .reduce((kept, key) => Object.assign(kept, {[key]: weeks[key]}), {})
+            }));
+        });
+
+    // The best players of this week as [{senderID, name, points}], best first
+    const leaderboard = (limit = 5) => store.all()
+        .then((scores) => {
+            const week = weekOf(now());
+            return Object.keys(scores)
+                .map((senderID) => ({senderID: senderID, name: scores[senderID].name, points: scores[senderID].weeks[week] || 0}))
+                .filter((entry) => entry.points > 0)
+                .sort((a, b) => b.points - a.points || (a.name || "").localeCompare(b.name || ""))
+                .slice(0, limit);
+        });
+
+    return { get, record, leaderboard };
+};
+
+module.exports.weekOf = weekOf;
@@ -1,8 +1,34 @@
-const wikidata = require('./wikidata.js');
+const createWikidata = require('./wikidata.js');
 const _ = require('lodash');
+const { t } = require('../i18n');
+const { createSources } = require('../sources');
+const log = require('../log');
 
-function randomArtist(callback) {
-    wikidata.randomArtist((err, data) => {
+// The heritage sources searched for free text, replaced with the configured ones by useSources
+let sources = createSources();
+
+function useSources(configured) {
+    sources = configured;
+}
+
+// Painters, dates and monuments come from Wikidata, replaced with the configured endpoint by useWikidata
+let wikidata = createWikidata();
+
+function useWikidata(client) {
+    wikidata = client;
+}
+
+// Sources can be switched off at runtime with the feature source:<name>, see ./features
+let features = null;
+
+function useFeatures(switches) {
+    features = switches;
+}
+
+const activeSources = () => sources.all().filter((source) => !features || features.isEnabled(`source:${source.name}`));
+
+function randomArtist(language, callback) {
+    wikidata.randomArtist(language, (err, data) => {
         if (err) {
             handlePainters(err, null, callback);
         } else {
@@ -12,10 +38,12 @@ function randomArtist(callback) {
     });
 }
 
-function painterByDate(month, day, callback) {
-    wikidata.painterByDate(month, day, (err, data) => {
-        if (!data || data.length === 0) {
-            callback('Geen resultaten gevonden', null);
+function painterByDate(month, day, event, language, callback) {
+    wikidata.painterByDate(month, day, event, language, (err, data) => {
+        if (typeof err === 'string') {
+            callback(err, null);
+        } else if (!data || data.length === 0) {
+            callback(t(language, 'noResults'), null);
         } else {
             callback(null, {
                 type : 'buttons',
@@ -25,9 +53,55 @@ function painterByDate(month, day, callback) {
     });
 }
 
-function getMonuments(callback) {
-    wikidata.getMonuments((err, data) => {
-        handleImages(err, data,callback);
+function getMonuments(location, offset, language, callback) {
+    wikidata.getMonuments(location, offset, language, (err, data) => {
+        if (err) {
+            callback(err, null);
+        } else {
+            callback(null, {
+                type : 'carousel',
+                text : t(language, offset === 0 ? 'monumentsFound' : 'moreMonumentsFound'),
+                items : data.monuments,
+                more : data.next === null ? null : `MON|${location}|${data.next}`
+            });
+        }
+    });
+}
+
+function searchPlaces(name, language, callback) {
+    wikidata.searchPlaces(name, language, (err, places) => {
+        if (err) {
+            callback(err, null);
+        } else if (places.length === 0) {
+            callback(t(language, 'noPlace'), null);
+        } else if (places.length === 1) {
+            getMonuments(places[0].id, 0, language, callback);
+        } else {
+            callback(null, {
+                type : 'buttons',
+                buttons : {
+                    text : t(language, 'choosePlace'),
+                    data : places.map((place) => ({
+                        title : place.province ? `${place.label} (${place.province})` : place.label,
+                        payload : `MON|${place.id}|0`
+                    }))
+                }
+            });
+        }
+    });
+}
+
+function monumentsNearby(lat, long, language, callback) {
+    wikidata.monumentsNearby(lat, long, language, (err, data) => {
+        if (err) {
+            callback(err, null);
+        } else {
+            callback(null, {
+                type : 'carousel',
+                text : t(language, 'monumentsNearby'),
+                items : data
+            });
+        }
     });
 }
 
@@ -42,10 +116,78 @@ function handlePainters(err, data, callback) {
     }
 }
 
-function searchPainters(q, callback) {
-    wikidata.searchPainters(q, (err, data) => {
-        handlePainters(err, data, callback);
-    });
+// Quick replies allow 11 choices; keep the same number as a single source offers
+const MAX_CHOICES = 10;
+
+// Exact names first, then names starting with the query, then names with a word starting with it
+function matchRank(q, title) {
+    const name = title.toLowerCase();
+    if (name === q) {
+        return 0;
+    } else if (name.indexOf(q) === 0) {
+        return 1;
+    } else if (` ${name}`.indexOf(` ${q}`) > -1) {
+        return 2;
+    }
+    return name.indexOf(q) > -1 ? 3 : 4;
+}
+
+/*
+ * Ranks the hits of all sources into one list. Ties keep the order of the
+ * sources and of the hits within a source, so the same query always gets
+ * the same answer.
+ */
+function rankResults(q, hits) {
+    return _.sortBy(hits, [(hit) => matchRank(q, hit.name), 'sourceRank', 'position']).slice(0, MAX_CHOICES);
+}
+
+const toChoice = (hit) => ({
+    title: `${hit.source.icon} ${hit.name}`,
+    name: hit.name,
+    source: hit.source.name,
+    payload: hit.payload
+});
+
+// Explains the icons of the sources that turn up in the results
+function legend(hits, language) {
+    const descriptions = t(language, 'sourceResults');
+    return _.uniq(hits.map((hit) => hit.source))
+        .map((source) => `${source.icon} ${descriptions[source.name] || source.name}`)
+        .join(", ");
+}
+
+// Free text is looked up in every source; each choice shows where it comes from
+function searchAll(q, language, callback) {
+    const query = q.trim().toLowerCase();
+    const lookups = activeSources().map((source, sourceRank) => new Promise((resolve) =>
+        source.search(query, language, (err, data) => resolve({
+            err: err,
+            hits: (data || []).map((hit, position) => ({
+                name: hit.title,
+                payload: hit.id,
+                source: source,
+                sourceRank: sourceRank,
+                position: position
+            }))
+        }))
+    ));
+
+    Promise.all(lookups).then((results) => {
+        const hits = rankResults(query, _.flatMap(results, 'hits'));
+        if (hits.length === 0) {
+            // Only pass on a source's own apology when no source could answer at all
+            const failed = results.length > 0 && results.every((result) => result.err);
+            callback(failed ? results[0].err : t(language, 'nothingFound'), null);
+        } else {
+            callback(null, {
+                type : 'buttons',
+                buttons : {text: t(language, 'chooseResult', {legend: legend(hits, language)}), data: hits.map(toChoice)}
+            });
+        }
+    }).catch(log.bind((err) => {
+        log.error("Failed to search the sources", {err: err});
+        callback(t(language, 'somethingWentWrong', {err: err.message}), null);
+    }));
 }
 
 function handleImages(err, data, callback) {
@@ -59,10 +201,68 @@ function handleImages(err, data, callback) {
     }
 }
 
-function paintingsByArtist(id, callback) {
-    wikidata.paintingsByArtist(id, (err, data) => {
-        handleImages(err, data, callback);
+// The works of a painter or the images of a subject picked from the search results
+function itemsByCreator(id, language, callback) {
+    const source = sources.forId(id);
+    if (!source) {
+        callback(t(language, 'noResults'), null);
+        return;
+    }
+
+    source.itemsByCreator(id, language, (err, items) => {
+        if (err) {
+            callback(err, null);
+        } else if (items.length === 1) {
+            handleImages(null, items[0], callback);
+        } else {
+            callback(null, {
+                type : 'carousel',
+                text : t(language, 'worksFound'),
+                author : id,
+                items : items
+            });
+        }
     });
 }
 
-module.exports = {  paintingsByArtist, searchPainters, painterByDate, getMonuments, randomArtist };
\ No newline at end of file
+// A single item, for instance a favourite, by the name of its source and its id there
+function getItem(sourceName, id, language, callback) {
+    const source = sources.get(sourceName);
+    if (!source) {
+        callback(t(language, 'noResults'), null);
+        return;
+    }
+
+    source.getItem(id, language, callback);
+}
+
+/*
+ * An artwork by one of the painters born on the given day, or when none of
+ * them has works with an image, a random item from the first source that is on.
+ */
+function artworkOfTheDay(date, language, callback) {
+    const randomItem = () => (activeSources()[0] || sources.all()[0]).randomItem(language, (err, item) => handleImages(err, item, callback));
+    const tryPainters = (painters) => {
+        if (painters.length === 0) {
+            randomItem();
+            return;
+        }
+        const [painter, ...others] = painters;
+        wikidata.paintingsByArtist(painter.payload, language, (err, artwork) => {
+            if (err) {
+                tryPainters(others);
+            } else {
+                callback(null, {
+                    type : 'images',
+                    bornToday : true,
+                    images : Object.assign({source: 'wikidata', subjectName: painter.title}, artwork)
+                });
+            }
+        });
+    };
+
+    wikidata.painterByDate(date.getMonth() + 1, date.getDate(), 'birth', language, (err, data) =>
+        tryPainters(err || !data ? [] : _.shuffle(data.data)));
+}
+
+module.exports = {  itemsByCreator, getItem, artworkOfTheDay, searchAll, useSources, useWikidata, useFeatures, painterByDate, getMonuments, searchPlaces, monumentsNearby, randomArtist };
\ No newline at end of file
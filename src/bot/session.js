@@ -0,0 +1,46 @@
+/*
+ * Per-user conversation sessions, keyed by sender ID.
+ *
+ * A session remembers the last artist and artwork shown, the latest searches,
+ * the language of the conversation and the current dialog step, so follow-up
+ * messages like "nog een" or "wie is dat?" can be answered without the user
+ * repeating themselves.
+ */
+const MAX_HISTORY = 10;
+
+const STEPS = {
+    IDLE: 'idle',
+    CHOOSING: 'choosing',
+    VIEWING: 'viewing'
+};
+
+const newSession = () => ({
+    lastArtist: null,
+    lastArtwork: null,
+    searchHistory: [],
+    choices: [],
+    language: null,
+    quiz: null,
+    step: STEPS.IDLE
+});
+
+module.exports = (store) => {
+
+    const get = (senderID) => store.get(senderID)
+        .then((session) => Object.assign(newSession(), session));
+
+    const update = (senderID, changes) => get(senderID)
+        .then((session) => store.set(senderID, Object.assign(session, changes, {updatedAt: Date.now()})));
+
+    const addSearch = (senderID, q) => get(senderID)
+        .then((session) => update(senderID, {
+            searchHistory: [q].concat(session.searchHistory).slice(0, MAX_HISTORY),
+            step: STEPS.CHOOSING
+        }));
+
+    const reset = (senderID) => store.remove(senderID);
+
+    return { get, update, addSearch, reset };
+};
+
+module.exports.STEPS = STEPS;
@@ -0,0 +1,101 @@
+/*
+ * A small SPARQL query builder.
+ *
+ * Queries are written as tagged templates; every interpolated value has to be
+ * a typed parameter (entity, property, literal, languages, integer or decimal), which is validated
+ * and escaped before it ends up in the query. Interpolating anything else
+ * throws, so user input can never be pasted into a query as is.
+ *
+ *   sparql`SELECT ?item WHERE { ?item wdt:P170 ${entity(id)} . }`
+ */
+class QueryParameterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryParameterError';
+    }
+}
+
+class Parameter {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+const ENTITY_PATTERN = /^Q[1-9][0-9]*$/;
+const PROPERTY_PATTERN = /^P[1-9][0-9]*$/;
+const LANGUAGES_PATTERN = /^[a-z]{2,3}(,[a-z]{2,3})*$/;
+const INTEGER_PATTERN = /^-?[0-9]+$/;
+const DECIMAL_PATTERN = /^-?[0-9]+(\.[0-9]+)?$/;
+
+const ESCAPES = {
+    '\\': '\\\\',
+    '"': '\\"',
+    "'": "\\'",
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f'
+};
+
+// A Wikidata item, rendered as wd:Q123
+const entity = (id) => {
+    if (!ENTITY_PATTERN.test(`${id}`)) {
+        throw new QueryParameterError(`Not a Wikidata item ID: ${id}`);
+    }
+    return new Parameter(`wd:${id}`);
+};
+
+// A Wikidata property, rendered as wdt:P123
+const property = (id) => {
+    if (!PROPERTY_PATTERN.test(`${id}`)) {
+        throw new QueryParameterError(`Not a Wikidata property ID: ${id}`);
+    }
+    return new Parameter(`wdt:${id}`);
+};
+
+// A string, rendered as a double quoted literal with all special characters escaped
+const literal = (str) => {
+    if (typeof str !== 'string') {
+        throw new QueryParameterError(`Not a string: ${str}`);
+    }
+    return new Parameter(`"${str.replace(/[\\"'\n\r\t\b\f]/g, (c) => ESCAPES[c])}"`);
+};
+
+// A comma separated list of language codes for the label service, rendered as a literal
+const languages = (codes) => {
+    if (!LANGUAGES_PATTERN.test(`${codes}`)) {
+        throw new QueryParameterError(`Not a list of language codes: ${codes}`);
+    }
+    return new Parameter(`"${codes}"`);
+};
+
+// A whole number; numeric strings like "12" are accepted as well
+const integer = (n) => {
+    if (!INTEGER_PATTERN.test(`${n}`.trim())) {
+        throw new QueryParameterError(`Not an integer: ${n}`);
+    }
+    return new Parameter(`${parseInt(n, 10)}`);
+};
+
+// A finite number, rendered without exponent
+const decimal = (n) => {
+    const str = typeof n === 'number' ? `${n}` : `${n}`.trim();
+    if (!DECIMAL_PATTERN.test(str)) {
+        throw new QueryParameterError(`Not a decimal number: ${n}`);
+    }
+    return new Parameter(str);
+};
+
+const sparql = (strings, ...values) => strings.reduce((query, str, i) => {
+    if (i === 0) {
+        return str;
+    }
+    const value = values[i - 1];
+    if (!(value instanceof Parameter)) {
+        throw new QueryParameterError(`Untyped query parameter: ${value}`);
+    }
+    return query + value.value + str;
+}, '');
+
+module.exports = { sparql, entity, property, literal, languages, integer, decimal, QueryParameterError };
@@ -0,0 +1,88 @@
+/*
+ * Subscriptions to the daily artwork, keyed by sender ID.
+ *
+ * A subscription holds the time of day at which the user wants the artwork
+ * ("HH:MM" in the configured time zone), their language and the day it was last
+ * sent, so nothing is sent twice or skipped when the bot restarts. It also
+ * holds the time of the user's last message, as channels like Messenger only
+ * let the bot start a conversation within a day of it, and the number of
+ * artworks skipped since, to tell the user when they are back.
+ */
+const pad = (n) => n < 10 ? `0${n}` : `${n}`;
+
+// Most subscribers live in the Netherlands, wherever the server runs
+const DEFAULT_TIME_ZONE = 'Europe/Amsterdam';
+
+// The day ("YYYY-MM-DD") and the time of day ("HH:MM") of dates in a time zone; throws for unknown zones
+const clockIn = (timeZone) => {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+    return (date) => {
+        const parts = format.formatToParts(date).reduce((all, part) => Object.assign(all, {[part.type]: part.value}), {});
+        return {day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`};
+    };
+};
+
+// Times like 8, 8:30, 8.30 or 08:30, with an optional "uur"; null for anything else
+const parseTime = (text) => {
+    const match = text.trim().match(/^(?:om |at )?([0-9]{1,2})(?:[:.]([0-9]{2}))?(?: ?uur| ?h)?$/);
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    return hours < 24 && minutes < 60 ? `${pad(hours)}:${pad(minutes)}` : null;
+};
+
+module.exports = (store, {timeZone = DEFAULT_TIME_ZONE, now = () => new Date()} = {}) => {
+    const clock = clockIn(timeZone);
+    const timeOfDay = (date) => clock(date).time;
+    const dayOf = (date) => clock(date).day;
+
+    const get = (senderID) => store.get(senderID);
+
+    // A subscription starts with the first occurrence of its time from now on
+    const subscribe = (senderID, {time, language}) => {
+        const today = now();
+        return store.set(senderID, {
+            time: time,
+            language: language,
+            subscribedAt: today.getTime(),
+            lastMessageAt: today.getTime(),
+            lastSent: timeOfDay(today) >= time ? dayOf(today) : null
+        });
+    };
+
+    // Resolves false when there was no subscription
+    const unsubscribe = (senderID) => get(senderID)
+        .then((subscription) => subscription ? store.remove(senderID).then(() => true) : false);
+
+    // Subscriptions whose time has come today and that were not sent today
+    const due = (date) => store.all().then((subscriptions) => Object.keys(subscriptions)
+        .filter((senderID) => subscriptions[senderID].time <= timeOfDay(date) &&
+            subscriptions[senderID].lastSent !== dayOf(date))
+        .map((senderID) => ({senderID: senderID, subscription: subscriptions[senderID]})));
+
+    const markSent = (senderID, date) => get(senderID)
+        .then((subscription) => subscription ?
+            store.set(senderID, Object.assign(subscription, {lastSent: dayOf(date)})) : null);
+
+    const markSkipped = (senderID) => get(senderID)
+        .then((subscription) => subscription ?
+            store.set(senderID, Object.assign(subscription, {skipped: (subscription.skipped || 0) + 1})) : null);
+
+    /*
+     * Remember when a subscriber last sent a message. Resolves with the
+     * subscription as it was before, with the artworks skipped until now,
+     * or null for other senders.
+     */
+    const seen = (senderID, date) => get(senderID)
+        .then((subscription) => subscription ?
+            store.set(senderID, Object.assign({}, subscription, {lastMessageAt: date.getTime(), skipped: 0}))
+                .then(() => subscription) : null);
+
+    return { get, subscribe, unsubscribe, due, markSent, markSkipped, seen };
+};
+
+module.exports.parseTime = parseTime;
@@ -0,0 +1,67 @@
+const createMetrics = require('./metrics');
+const createActivity = require('./activity');
+const createEventQueue = require('./event-queue');
+const log = require('../log');
+
+/*
+ * Webhook for Telegram updates, the counterpart of ./webhook for Messenger.
+ * Telegram sends an update again until it gets a 200, so updates are
+ * acknowledged first and seen ones are dropped by their update ID.
+ */
+const updateKey = (update) => update.update_id === undefined ? null : `update:${update.update_id}`;
+
+// What an incoming update looks like in the admin's conversation log
+const describeUpdate = (update) => update.message ?
+    update.message.text || (update.message.location ? '[location]' : '[attachment]') :
+    update.callback_query.data;
+
+module.exports = (telegram, handlers, metrics = createMetrics(), activity = createActivity(), {dedupeWindow} = {}) => {
+
+    const handleUpdate = (update) => {
+        // Every update gets its own correlation ID, shared by the log lines about handling it
+        const correlationId = log.newCorrelationId();
+        log.withCorrelation(correlationId, () => {
+            const senderID = telegram.senderOf(update);
+            if (!senderID) {
+                metrics.eventReceived('unknown');
+                log.info("Telegram webhook received an unimplemented update", {updateId: update.update_id});
+                return;
+            }
+
+            metrics.eventReceived(update.message ? 'message' : 'postback');
+            metrics.userActive(senderID);
+            log.correlate(senderID, correlationId);
+            activity.messageReceived(senderID, describeUpdate(update));
+
+            if (update.message) {
+                telegram.receivedMessage(update, handlers);
+            } else {
+                telegram.receivedCallbackQuery(update, handlers);
+            }
+        });
+    };
+
+    const updates = createEventQueue({handle: handleUpdate, window: dedupeWindow, keyOf: updateKey});
+
+    const webhook = function (req, res) {
+        const update = req.body;
+
+        if (!update || typeof update !== 'object') {
+            log.warn("Telegram webhook received a request without an update");
+            res.sendStatus(400);
+            return;
+        }
+
+        res.sendStatus(200);
+
+        if (!updates.enqueue(update)) {
+            metrics.eventReceived('duplicate');
+            log.info("Dropped a redelivered Telegram update", {updateId: update.update_id});
+        }
+    };
+
+    // Resolves when the updates received so far are handled
+    webhook.drain = updates.drain;
+
+    return webhook;
+};
@@ -0,0 +1,41 @@
+/*
+ * Who looked at which artwork, keyed by the source and id of the artwork.
+ *
+ * Every artwork counts the people who saw it, and remembers when each viewer
+ * last saw it for a sliding window, which tells how many are looking at it
+ * right now. Viewers are forgotten after the window, so the artworks do not
+ * grow without bound; someone who comes back later is counted again. Counts
+ * are only worth telling when they reach a threshold.
+ */
+const artworkKey = (item) => `${item.source || 'wikidata'}|${item.id}`;
+
+module.exports = (store, {window = 600000, minSeen = 5, minWatching = 2, enabled = () => true} = {}, now = () => Date.now()) => {
+
+    // Resolves how many other people saw the artwork and how many of them did so within the window
+    const record = (senderID, item) => {
+        const key = artworkKey(item);
+        const time = now();
+        return store.get(key)
+            .then((views) => {
+                const previous = (views && views.viewers) || {};
+                // Artworks recorded before there was a count counted all their viewers
+                const seen = views && views.seen !== undefined ? views.seen : Object.keys(previous).length;
+                const viewers = Object.keys(previous)
+                    .filter((viewer) => previous[viewer] > time - window)
+                    .reduce((recent, viewer) => Object.assign(recent, {[viewer]: previous[viewer]}), {});
+                const returning = viewers.hasOwnProperty(senderID);
+                const watching = Object.keys(viewers).filter((viewer) => viewer !== senderID).length;
+                viewers[senderID] = time;
+                return store.set(key, {seen: returning ? seen : seen + 1, viewers: viewers}).then(() => ({
+                    seen: returning ? seen - 1 : seen,
+                    watching: watching
+                }));
+            });
+    };
+
+    // The counts worth telling, or null when too few people saw the artwork or the feedback is switched off
+    const socialProof = ({seen, watching}) => !enabled() || seen < minSeen ? null :
+        {seen: seen, watching: watching >= minWatching ? watching : 0};
+
+    return { record, socialProof };
+};
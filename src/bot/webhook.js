@@ -1,32 +1,78 @@
-module.exports = (fb, handlers) => function (req, res) {
-    const data = req.body;
-
-    // Make sure this is a page subscription
-    if (data.object == 'page') {
-        // Iterate over each entry
-        // There may be multiple if batched
-        data.entry.forEach(function (pageEntry) {
-
-            // Iterate over each messaging event
-            pageEntry.messaging.forEach(function (messagingEvent) {
-                if (messagingEvent.message) {
-                    fb.receivedMessage(messagingEvent, handlers);
-                } else if (messagingEvent.delivery) {
-                    fb.receivedDeliveryConfirmation(messagingEvent);
-                } else if (messagingEvent.postback) {
-                    fb.receivedPostback(messagingEvent, handlers);
-                } else if (messagingEvent.read) {
-                    fb.receivedMessageRead(messagingEvent);
-                } else {
-                    console.log("Webhook received unimplemented messagingEvent: ", messagingEvent);
+const createMetrics = require('./metrics');
+const createActivity = require('./activity');
+const createEventQueue = require('./event-queue');
+const log = require('../log');
+
+// What an incoming message looks like in the admin's conversation log
+const describeMessage = (message) => message.text ||
+    (message.attachments || []).map((attachment) => `[${attachment.type}]`).join(' ');
+
+module.exports = (fb, handlers, metrics = createMetrics(), activity = createActivity(), {dedupeWindow} = {}) => {
+
+    const handleEvent = (messagingEvent) => {
+        // Every event gets its own correlation ID, shared by the log lines about handling it
+        const correlationId = log.newCorrelationId();
+        log.withCorrelation(correlationId, () => {
+            if (messagingEvent.message) {
+                metrics.eventReceived('message');
+                // Echoes of our own messages have the page as sender
+                if (!messagingEvent.message.is_echo) {
+                    metrics.userActive(messagingEvent.sender.id);
+                    log.correlate(messagingEvent.sender.id, correlationId);
+                    activity.messageReceived(messagingEvent.sender.id, describeMessage(messagingEvent.message));
                 }
-            });
+                fb.receivedMessage(messagingEvent, handlers);
+            } else if (messagingEvent.delivery) {
+                metrics.eventReceived('delivery');
+                fb.receivedDeliveryConfirmation(messagingEvent);
+            } else if (messagingEvent.postback) {
+                metrics.eventReceived('postback');
+                metrics.userActive(messagingEvent.sender.id);
+                log.correlate(messagingEvent.sender.id, correlationId);
+                activity.messageReceived(messagingEvent.sender.id,
+                    messagingEvent.postback.title || messagingEvent.postback.payload);
+                fb.receivedPostback(messagingEvent, handlers);
+            } else if (messagingEvent.read) {
+                metrics.eventReceived('read');
+                fb.receivedMessageRead(messagingEvent);
+            } else {
+                metrics.eventReceived('unknown');
+                log.info("Webhook received unimplemented messagingEvent", {event: messagingEvent});
+            }
         });
+    };
+
+    const events = createEventQueue({handle: handleEvent, window: dedupeWindow});
+
+    const webhook = function (req, res) {
+        const data = req.body;
 
-        // Assume all went well.
-        //
-        // You must send back a 200, within 20 seconds, to let us know you've
-        // successfully received the callback. Otherwise, the request will time out.
+        // Make sure this is a page subscription
+        if (!data || data.object !== 'page') {
+            log.warn("Webhook received a callback for another object", {object: data ? data.object : null});
+            res.sendStatus(404);
+            return;
+        }
+
+        // Acknowledge first: Facebook wants a 200 within 20 seconds, or it
+        // delivers the callback again. The events are handled from the queue.
         res.sendStatus(200);
-    }
-};
\ No newline at end of file
+
+        // There may be multiple entries and events if batched
+        (data.entry || []).forEach((pageEntry) => (pageEntry.messaging || []).forEach((messagingEvent) => {
+            if (!events.enqueue(messagingEvent)) {
+                metrics.eventReceived('duplicate');
+                log.info("Dropped a redelivered event", {
+                    senderID: messagingEvent.sender ? messagingEvent.sender.id : null,
+                    mid: messagingEvent.message ? messagingEvent.message.mid : undefined,
+                    timestamp: messagingEvent.timestamp
+                });
+            }
+        }));
+    };
+
+    // Resolves when the events received so far are handled
+    webhook.drain = events.drain;
+
+    return webhook;
+};
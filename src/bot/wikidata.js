@@ -1,69 +1,69 @@
 const _ = require('lodash');
 const queries = require('./queries.js');
-
-function getMonuments(callback) {
-    const q = queries.monuments("Q803");
-
-    queries.query(q).then((data) => {
-        handleImages(data, callback);
-    });
-}
-
-function painterByDate(month, day, cb) {
-    const q = queries.painterByDate(month, day);
-
-    queries.query(q).then((data) => {
-        data = data.results.bindings.map((item) => {
-            return {
-                title : item.entityLabel.value,
-                payload : item.entity.value.replace('http://www.wikidata.org/entity/', '')
-            };
-        });
-
-        cb(null, {
-            text : `Deze schilders zijn geboren op ${day}-${month}. Kies er een.`,
-            data : data
-        });
-    });
-}
-
-function handleImages(data, cb, authorId) {
-    authorId = authorId || null;
-
-    if (!data.results.bindings || data.results.bindings.length === 0) {
-        cb("Sorry, daar kan ik geen schilderijen van vinden.", null);
-        return;
+const { QueryParameterError } = require('./sparql');
+const { t, labelLanguages } = require('../i18n');
+const log = require('../log');
+
+// Painter choices are sent as quick replies, which allow more than the 3 entries of a button template
+const MAX_CHOICES = 10;
+
+// Number of works shown side by side in a carousel
+const CAROUSEL_SIZE = 10;
+
+// Number of monuments shown at once when browsing a place
+const MONUMENTS_PAGE_SIZE = CAROUSEL_SIZE;
+
+// Search radius around a shared location, in kilometers
+const NEARBY_RADIUS = 2;
+
+// Report Wikidata when it is down, timing out or cut off by its circuit breaker, see queries.callbackFailed
+const sourceUnavailable = (language, cb) => log.bind((err) => {
+    log.warn("Wikidata query failed", {err: err});
+    cb(t(language, 'wikidataUnavailable'), null);
+});
+
+const callbackFailed = (language, cb) => queries.callbackFailed(t(language, 'wikidataUnavailable'), cb);
+
+// Build a query from user input; invalid input is reported to the callback instead of thrown
+function buildQuery(build, language, cb) {
+    try {
+        return build();
+    } catch (e) {
+        if (e instanceof QueryParameterError) {
+            log.warn("Invalid query input", {err: e});
+            cb(t(language, 'invalidInput'), null);
+            return null;
+        }
+        throw e;
     }
+}
 
-    const p = _.sample(data.results.bindings);
-
-    const result = {
+function toArtwork(p, authorId) {
+    return {
         image: `${p.image.value}?width=800`,
         label: p.itemLabel.value,
-        description: p.itemDescription.value,
+        description: p.itemDescription ? p.itemDescription.value : "",
         id: p.item.value.replace('http://www.wikidata.org/entity/', ''),
-        author: authorId
+        author: authorId || null,
+        collection: p.collectionLabel ? p.collectionLabel.value : null,
+        url: p.described ? p.described.value : null
     };
-
-    result.collection = p.collectionLabel ? p.collectionLabel.value : null;
-    result.url = p.described ? p.described.value : null;
-
-    cb(null, result);
 }
 
-function paintingsByArtist(id, cb) {
-    const q = queries.paintingsByArtist(id);
+function handleImages(data, language, cb, authorId) {
+    if (!data.results.bindings || data.results.bindings.length === 0) {
+        cb(t(language, 'noPaintings'), null);
+        return;
+    }
 
-    queries.query(q).then((data) => {
-        handleImages(data, cb, id);
-    });
+    cb(null, toArtwork(_.sample(data.results.bindings), authorId));
 }
 
-function handlePainters(data, cb, limit) {
-    limit = limit || 3;
+function handlePainters(data, language, cb, limit) {
+    limit = limit || MAX_CHOICES;
 
     if (!data.results.bindings || data.results.bindings.length === 0) {
-        cb("Sorry, ik kan geen schilders vinden die zo heten.", null);
+        cb(t(language, 'noPainters'), null);
     } else {
         data = data.results.bindings.slice(0, limit).map((item) => {
             return {
@@ -75,26 +75,165 @@ function handlePainters(data, cb, limit) {
         });
 
         cb(null, {
-            text : `Welke van deze schilders wil je hebben?`,
+            text : t(language, 'choosePainter'),
             data : data
         });
     }
 }
 
-function searchPainters(q, cb) {
-    q = queries.searchPainters(q.toLowerCase());
+// The queries at a Wikidata SPARQL endpoint, the public one by default
+module.exports = ({endpoint = queries.WIKIDATA_ENDPOINT} = {}) => {
+    function getMonuments(location, offset, language, cb) {
+        // Fetch one extra monument to find out if there is a next page
+        const q = buildQuery(() => queries.monuments(location, MONUMENTS_PAGE_SIZE + 1, offset, labelLanguages(language)), language, cb);
+        if (q === null) {
+            return;
+        }
+
+        queries.query(q, endpoint, queries.TTL.LONG).then((data) => {
+            if (!data.results.bindings || data.results.bindings.length === 0) {
+                cb(t(language, 'noMonuments'), null);
+                return;
+            }
+
+            const hasMore = data.results.bindings.length > MONUMENTS_PAGE_SIZE;
+
+            cb(null, {
+                monuments: data.results.bindings.slice(0, MONUMENTS_PAGE_SIZE).map((p) => ({
+                    image: `${p.image.value}?width=800`,
+                    label: p.itemLabel.value,
+                    description: p.itemDescription ? p.itemDescription.value : "",
+                    id: p.item.value.replace('http://www.wikidata.org/entity/', '')
+                })),
+                next: hasMore ? offset + MONUMENTS_PAGE_SIZE : null
+            });
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
 
-    queries.query(q).then((data) => {
-        handlePainters(data, cb);
-    });
-}
+    function searchPlaces(name, language, cb) {
+        const q = buildQuery(() => queries.places(name, labelLanguages(language)), language, cb);
+        if (q === null) {
+            return;
+        }
+
+        queries.query(q, endpoint, queries.TTL.LONG).then((data) => {
+            cb(null, _.uniqBy(data.results.bindings, (p) => p.item.value).map((p) => ({
+                id: p.item.value.replace('http://www.wikidata.org/entity/', ''),
+                label: p.itemLabel.value,
+                province: p.provinceLabel ? p.provinceLabel.value : null
+            })));
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
 
-function randomArtist(cb) {
-    q = queries.randomArtist();
+    function monumentsNearby(lat, long, language, cb) {
+        const q = buildQuery(() => queries.monumentsNearby(lat, long, NEARBY_RADIUS, labelLanguages(language)), language, cb);
+        if (q === null) {
+            return;
+        }
+
+        queries.query(q, endpoint).then((data) => {
+            if (!data.results.bindings || data.results.bindings.length === 0) {
+                cb(t(language, 'noMonumentsNearby'), null);
+                return;
+            }
+
+            cb(null, _.uniqBy(data.results.bindings, (p) => p.item.value).map((p) => ({
+                image: `${p.image.value}?width=800`,
+                label: p.itemLabel.value,
+                description: p.itemDescription ? p.itemDescription.value : "",
+                id: p.item.value.replace('http://www.wikidata.org/entity/', ''),
+                distance: parseFloat(p.distance.value)
+            })).sort((a, b) => a.distance - b.distance));
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
 
-    queries.query(q).then((data) => {
-        handlePainters(data, cb, 100);
-    });
-}
+    function painterByDate(month, day, event, language, cb) {
+        const q = buildQuery(() => queries.painterByDate(month, day, event, labelLanguages(language)), language, cb);
+        if (q === null) {
+            return;
+        }
+
+        queries.query(q, endpoint, queries.TTL.LONG).then((data) => {
+            data = data.results.bindings.map((item) => {
+                return {
+                    title : item.entityLabel.value,
+                    payload : item.entity.value.replace('http://www.wikidata.org/entity/', '')
+                };
+            });
+
+            cb(null, {
+                text : t(language, event === 'death' ? 'paintersDiedOn' : 'paintersBornOn', {day, month}),
+                data : data
+            });
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
+
+    function paintingsByArtist(id, language, cb) {
+        const q = buildQuery(() => queries.paintingsByArtist(id, labelLanguages(language)), language, cb);
+        if (q === null) {
+            return;
+        }
+
+        queries.query(q, endpoint, queries.TTL.LONG).then((data) => {
+            handleImages(data, language, cb, id);
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
+
+    function worksByArtist(id, language, cb) {
+        const q = buildQuery(() => queries.paintingsByArtist(id, labelLanguages(language)), language, cb);
+        if (q === null) {
+            return;
+        }
+
+        queries.query(q, endpoint, queries.TTL.LONG).then((data) => {
+            if (!data.results.bindings || data.results.bindings.length === 0) {
+                cb(t(language, 'noPaintings'), null);
+                return;
+            }
+
+            const works = _.uniqBy(data.results.bindings, (p) => p.item.value);
+            cb(null, _.sampleSize(works, CAROUSEL_SIZE).map((p) => toArtwork(p, id)));
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
+
+    function artwork(id, language, cb) {
+        const q = buildQuery(() => queries.artwork(id, labelLanguages(language)), language, cb);
+        if (q === null) {
+            return;
+        }
+
+        queries.query(q, endpoint, queries.TTL.LONG).then((data) => {
+            const [p] = data.results.bindings || [];
+            if (!p) {
+                cb(t(language, 'noPaintings'), null);
+                return;
+            }
+
+            const creatorId = p.creator ? p.creator.value.replace('http://www.wikidata.org/entity/', '') : null;
+            cb(null, Object.assign(toArtwork(p, creatorId), {
+                subjectName: p.creatorLabel ? p.creatorLabel.value : null
+            }));
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
+
+    function searchPainters(q, language, cb) {
+        const query = buildQuery(() => queries.searchPainters(q.toLowerCase(), labelLanguages(language)), language, cb);
+        if (query === null) {
+            return;
+        }
+
+        queries.query(query, endpoint).then((data) => {
+            handlePainters(data, language, cb);
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
+
+    function randomArtist(language, cb) {
+        const q = queries.randomArtist(labelLanguages(language));
+
+        queries.query(q, endpoint, queries.TTL.LONG).then((data) => {
+            handlePainters(data, language, cb, 100);
+        }, sourceUnavailable(language, cb)).catch(callbackFailed(language, cb));
+    }
 
-module.exports = { paintingsByArtist, searchPainters, painterByDate, getMonuments, randomArtist };
\ No newline at end of file
+    return { endpoint, paintingsByArtist, worksByArtist, artwork, searchPainters, painterByDate, getMonuments, searchPlaces, monumentsNearby, randomArtist };
+};
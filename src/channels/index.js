@@ -0,0 +1,83 @@
+/*
+ * Channels the bot talks on, like Messenger (../fb/fb-lib) and Telegram
+ * (../telegram/telegram-lib).
+ *
+ * Every channel sends with the same interface, so the conversations in
+ * ../bot/handlers run on any of them. Sends resolve when the message is
+ * sent; messages to a recipient arrive in the order they were sent.
+ *
+ *   name                                       unique name
+ *   owns(recipientId)                          true for the users of this channel
+ *   getUserProfile(userId)                     resolves {first_name, locale}, or {}
+ *   sendTextMessage(recipientId, text)
+ *   sendImageMessage(recipientId, url)
+ *   sendQuickReplies(recipientId, {text, data: [{title, payload}]})
+ *   sendButtonMessage(recipientId, {text, data: [{title, payload}]})
+ *   sendGenericTemplate(recipientId, [{title, subtitle, image, buttons: [{title, payload} or {title, url}]}])
+ *   sendURL(recipientId, url, {text, title})
+ *   sendTypingOn(recipientId)
+ *   sendTypingOff(recipientId)
+ *   sendTypingPause(recipientId, ms)           holds back the next messages
+ *   canReach(recipientId, lastMessageAt)       resolves whether messages the user did not ask for
+ *                                              right now may be sent, given the time of their last message
+ *
+ * Calls for users of no channel are logged and resolve like a failed call:
+ * sends with null, getUserProfile with {} and canReach with false.
+ *
+ * Payloads of quick replies and buttons come back to the onPostback and
+ * onQuickReply handlers; text to onTextMessage and a shared location to
+ * onAttachments as [{type: 'location', payload: {coordinates: {lat, long}}}].
+ */
+const log = require('../log');
+
+const METHODS = [
+    'owns', 'getUserProfile', 'sendTextMessage', 'sendImageMessage', 'sendQuickReplies', 'sendButtonMessage',
+    'sendGenericTemplate', 'sendURL', 'sendTypingOn', 'sendTypingOff', 'sendTypingPause', 'canReach'
+];
+
+// Methods whose first argument is the user
+const PER_USER_METHODS = METHODS.filter((method) => method !== 'owns');
+
+// What calls for users of no channel resolve with, null for the sends
+const NO_CHANNEL = {
+    getUserProfile: () => ({}),
+    canReach: () => false
+};
+
+const checkChannel = (channel) => {
+    const missing = METHODS.filter((method) => typeof channel[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Channel ${channel.name} does not implement ${missing.join(', ')}`);
+    }
+    return channel;
+};
+
+/*
+ * Combine channels into one, which passes every call on to the channel of
+ * the user. Users are known by IDs that tell their channel, see owns.
+ */
+const createChannels = (channels) => {
+    channels.forEach(checkChannel);
+
+    const forId = (userId) => channels.find((channel) => channel.owns(userId)) || null;
+
+    const combined = PER_USER_METHODS.reduce((methods, method) => Object.assign(methods, {
+        [method]: (userId, ...args) => {
+            const channel = forId(userId);
+            if (!channel) {
+                log.warn("No channel for user", {userId: userId, method: method});
+                return Promise.resolve(NO_CHANNEL[method] ? NO_CHANNEL[method]() : null);
+            }
+            return channel[method](userId, ...args);
+        }
+    }), {});
+
+    return Object.assign(combined, {
+        name: channels.map((channel) => channel.name).join(','),
+        all: () => channels,
+        forId: forId,
+        owns: (userId) => forId(userId) !== null
+    });
+};
+
+module.exports = { createChannels, checkChannel, METHODS };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { validate, typeAt } = require('./schema');
+
+/*
+ * The configuration of the bot, in layers: the defaults below, then
+ * config/<NODE_ENV>.json, then environment variables. Later layers win;
+ * objects are merged, lists like the sources are replaced. The result is
+ * validated against ./schema, and every problem is reported at once.
+ */
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const defaults = (environment) => ({
+    requireSignature: environment === 'production',
+    pathPrefix: "",
+    port: 8080,
+    graphApiUrl: "https://graph.facebook.com",
+    graphApiVersion: "v2.6",
+    wikidataEndpoint: "https://query.wikidata.org/bigdata/namespace/wdq/sparql",
+    webhook: {dedupeWindow: 600000},
+    sendApi: {minInterval: 50, retries: 3, backoff: 500, mock: false},
+    // The Telegram channel is used as soon as there is a token for it
+    telegram: {apiUrl: "https://api.telegram.org", sendApi: {minInterval: 50, retries: 3, backoff: 500}},
+    delays: {afterImage: 3000, beforeFeedback: 1000, beforeCollection: 1000},
+    sessionStore: {type: "memory"},
+    favouritesStore: {type: "memory"},
+    subscriptionStore: {type: "memory"},
+    scoreStore: {type: "memory"},
+    viewStore: {type: "memory"},
+    featureStore: {type: "memory"},
+    socialFeedback: {window: 600000, minSeen: 5, minWatching: 2},
+    features: {socialFeedback: true},
+    log: {level: "info", redactSenders: false},
+    metrics: {},
+    admin: {username: "admin", language: "nl"},
+    scheduler: {interval: 60000},
+    // The time zone of the times at which subscribers get the artwork of the day
+    timeZone: "Europe/Amsterdam",
+    cache: {maxSize: 500, path: null},
+    resilience: {timeout: 10000, retries: 2, backoff: 500, failureThreshold: 5, resetTimeout: 30000},
+    // GVN has no public url to default to, see GVN_URL
+    sources: [{type: "wikidata"}]
+});
+
+const fileStore = (key) => (config, value) => Object.assign(config, {[key]: {type: "file", path: value}});
+
+// Sets a setting of the sources of a type, or adds a source of that type when there is none
+const ofSource = (type, key) => (config, value) => Object.assign(config, {
+    sources: config.sources.some((source) => source.type === type) ?
+        config.sources.map((source) => source.type === type ? Object.assign({}, source, {[key]: value}) : source) :
+        config.sources.concat([{type: type, [key]: value}])
+});
+
+/*
+ * Environment variables, with the setting they override: a path like
+ * "log.level", whose value is converted to the type in the schema, or a
+ * function of the configuration and the value.
+ */
+const VARIABLES = {
+    MESSENGER_APP_SECRET: "appSecret",
+    MESSENGER_PAGE_ACCESS_TOKEN: "pageAccessToken",
+    MESSENGER_VALIDATION_TOKEN: "validationToken",
+    REQUIRE_SIGNATURE: "requireSignature",
+    SERVER_URL: "serverURL",
+    PATH_PREFIX: "pathPrefix",
+    PORT: "port",
+    GRAPH_API_URL: "graphApiUrl",
+    GRAPH_API_VERSION: "graphApiVersion",
+    WIKIDATA_ENDPOINT: "wikidataEndpoint",
+    TELEGRAM_BOT_TOKEN: "telegram.token",
+    TELEGRAM_SECRET_TOKEN: "telegram.secretToken",
+    TELEGRAM_API_URL: "telegram.apiUrl",
+    // MODE=mock logs Send API calls instead of making them
+    MODE: (config, value) => _.set(config, 'sendApi.mock', value === 'mock'),
+    SESSION_STORE_PATH: fileStore('sessionStore'),
+    FAVOURITES_STORE_PATH: fileStore('favouritesStore'),
+    SUBSCRIPTION_STORE_PATH: fileStore('subscriptionStore'),
+    SCORE_STORE_PATH: fileStore('scoreStore'),
+    VIEW_STORE_PATH: fileStore('viewStore'),
+    FEATURE_STORE_PATH: fileStore('featureStore'),
+    LOG_LEVEL: "log.level",
+    LOG_REDACT_SENDERS: "log.redactSenders",
+    METRICS_TOKEN: "metrics.token",
+    ADMIN_USERNAME: "admin.username",
+    ADMIN_PASSWORD: "admin.password",
+    CACHE_PATH: "cache.path",
+    TIME_ZONE: "timeZone",
+    // GVN is used as soon as there is a url for it
+    GVN_URL: ofSource('gvn', 'url'),
+    // Europeana is opt-in: it is used as soon as there is a key for it, here or in a source
+    // like {"type": "europeana", "apiKey": "...", "reusability": "open,restricted"}
+    EUROPEANA_API_KEY: ofSource('europeana', 'apiKey')
+};
+
+// Values that do not convert are left as they are, for the schema to report
+const convert = (value, type) => {
+    if (type === 'number' && /^[0-9]+(\.[0-9]+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+const fromVariables = (config, env) => Object.keys(VARIABLES)
+    .filter((name) => env[name] !== undefined && env[name] !== '')
+    .reduce((merged, name) => typeof VARIABLES[name] === 'function' ?
+        VARIABLES[name](merged, env[name]) :
+        _.set(merged, VARIABLES[name], convert(env[name], typeAt(VARIABLES[name].split('.')))), config);
+
+const readFile = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new ConfigError([`${file} could not be read: ${err.message}`]);
+    }
+};
+
+// Lists are replaced as a whole, so a file can leave out a default source
+const merge = (...layers) => _.mergeWith({}, ...layers, (current, value) => Array.isArray(value) ? value : undefined);
+
+/*
+ * The environment to read the file of. Without NODE_ENV that is production
+ * when there is a config/production.json, as deployments only copy that file,
+ * and development otherwise.
+ */
+const environmentOf = (env, dir) => env.NODE_ENV ||
+    (fs.existsSync(path.join(dir, 'production.json')) ? 'production' : 'development');
+
+/*
+ * Load and validate the configuration. Throws a ConfigError listing what is
+ * wrong; the names of the settings are the paths in the JSON files.
+ */
+const load = ({env = process.env, dir = __dirname} = {}) => {
+    const environment = environmentOf(env, dir);
+    const file = path.join(dir, `${environment}.json`);
+    const config = fromVariables(merge(defaults(environment), fs.existsSync(file) ? readFile(file) : {}), env);
+
+    const errors = validate(config);
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return config;
+};
+
+module.exports = { load, ConfigError };
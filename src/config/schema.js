@@ -0,0 +1,203 @@
+const { LEVELS } = require('../log');
+const { LANGUAGES } = require('../i18n');
+
+/*
+ * The settings the bot knows, with their types. A setting may be required,
+ * limited to some values (oneOf), to a range (min, max) or to a pattern, and
+ * objects may check how their settings go together (check). Settings not in
+ * the schema are reported, so typos do not go unnoticed.
+ */
+const string = (options) => Object.assign({type: 'string'}, options);
+const number = (options) => Object.assign({type: 'number', min: 0}, options);
+const boolean = (options) => Object.assign({type: 'boolean'}, options);
+const object = (properties, options) => Object.assign({type: 'object', properties: properties}, options);
+const arrayOf = (items, options) => Object.assign({type: 'array', items: items}, options);
+
+const isTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', {timeZone: timeZone});
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+const store = object({
+    type: string({required: true, oneOf: ['memory', 'file']}),
+    path: string()
+}, {
+    check: (storeConfig) => storeConfig.type === 'file' && !storeConfig.path ? ['needs a path for a file store'] : []
+});
+
+const source = object({
+    type: string({required: true, oneOf: ['wikidata', 'gvn', 'europeana']}),
+    name: string(),
+    icon: string(),
+    url: string(),
+    endpoint: string(),
+    apiKey: string(),
+    country: string(),
+    reusability: string()
+}, {
+    check: (sourceConfig) => [].concat(
+        sourceConfig.type === 'gvn' && !sourceConfig.url ? ['needs the url of GVN'] : [],
+        sourceConfig.type === 'europeana' && !sourceConfig.apiKey ? ['needs an apiKey for Europeana'] : []
+    )
+});
+
+const schema = object({
+    appSecret: string(),
+    pageAccessToken: string(),
+    validationToken: string(),
+    requireSignature: boolean({required: true}),
+    serverURL: string(),
+    pathPrefix: string({pattern: /^(\/[^/]+)*$/, format: '/erfgoedbot, without a trailing slash'}),
+    port: number({required: true, min: 1, max: 65535}),
+    graphApiUrl: string({required: true}),
+    graphApiVersion: string({required: true, pattern: /^v[0-9]+\.[0-9]+$/, format: 'v2.6'}),
+    wikidataEndpoint: string({required: true}),
+    webhook: object({
+        dedupeWindow: number()
+    }),
+    sendApi: object({
+        minInterval: number(),
+        retries: number(),
+        backoff: number(),
+        mock: boolean()
+    }),
+    telegram: object({
+        token: string(),
+        secretToken: string(),
+        apiUrl: string({required: true}),
+        sendApi: object({
+            minInterval: number(),
+            retries: number(),
+            backoff: number()
+        })
+    }, {
+        check: (telegram) => telegram.token && !telegram.secretToken ? ['needs a secretToken to check updates'] : []
+    }),
+    delays: object({
+        afterImage: number(),
+        beforeFeedback: number(),
+        beforeCollection: number()
+    }),
+    sessionStore: store,
+    favouritesStore: store,
+    subscriptionStore: store,
+    scoreStore: store,
+    viewStore: store,
+    featureStore: store,
+    socialFeedback: object({
+        window: number(),
+        minSeen: number(),
+        minWatching: number()
+    }),
+    // Defaults of the feature switches on the admin pages, next to one per source
+    features: object({}, {values: boolean()}),
+    log: object({
+        level: string({oneOf: Object.keys(LEVELS)}),
+        redactSenders: boolean()
+    }),
+    metrics: object({
+        token: string()
+    }),
+    admin: object({
+        username: string(),
+        password: string(),
+        language: string({oneOf: LANGUAGES})
+    }),
+    scheduler: object({
+        interval: number({min: 1000})
+    }),
+    timeZone: string({required: true, check: (timeZone) => isTimeZone(timeZone) ? [] : ['should be a time zone like Europe/Amsterdam']}),
+    cache: object({
+        maxSize: number(),
+        path: string()
+    }),
+    resilience: object({
+        timeout: number(),
+        retries: number(),
+        backoff: number(),
+        failureThreshold: number({min: 1}),
+        resetTimeout: number()
+    }),
+    sources: arrayOf(source, {required: true})
+}, {
+    // Without Messenger tokens the bot can only run with a mock Send API
+    check: (config) => [].concat(
+        config.sendApi && config.sendApi.mock ? [] : [
+            !config.pageAccessToken ? 'pageAccessToken is required' : null,
+            !config.validationToken ? 'validationToken is required' : null
+        ].filter((error) => error !== null),
+        config.requireSignature && !config.appSecret ? ['appSecret is required to check signatures'] : []
+    )
+});
+
+const join = (path, key) => path ? `${path}.${key}` : key;
+
+const typeOf = (value) => Array.isArray(value) ? 'array' : typeof value;
+
+// Empty strings are what an unset variable or an unfilled example setting looks like
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/*
+ * Validate a value against a schema. Returns a list of messages naming the
+ * settings that are wrong, empty when all is well.
+ */
+function validate(value, spec = schema, path = '') {
+    if (isMissing(value)) {
+        return spec.required ? [`${path} is required`] : [];
+    }
+
+    if (typeOf(value) !== spec.type || (spec.type === 'number' && isNaN(value))) {
+        return [`${path} should be a ${spec.type}, not ${JSON.stringify(value)}`];
+    }
+
+    const errors = [];
+    if (spec.oneOf && spec.oneOf.indexOf(value) < 0) {
+        errors.push(`${path} should be one of ${spec.oneOf.join(', ')}, not ${JSON.stringify(value)}`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${path} should be at least ${spec.min}, not ${value}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        errors.push(`${path} should be at most ${spec.max}, not ${value}`);
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+        errors.push(`${path} should look like ${spec.format}, not ${JSON.stringify(value)}`);
+    }
+
+    if (spec.type === 'object') {
+        Object.keys(value).forEach((key) => {
+            const propertySpec = spec.properties[key] || spec.values;
+            if (propertySpec) {
+                errors.push(...validate(value[key], propertySpec, join(path, key)));
+            } else {
+                errors.push(`${join(path, key)} is not a setting`);
+            }
+        });
+        Object.keys(spec.properties)
+            .filter((key) => !value.hasOwnProperty(key))
+            .forEach((key) => errors.push(...validate(undefined, spec.properties[key], join(path, key))));
+    }
+
+    if (spec.type === 'array') {
+        value.forEach((item, i) => errors.push(...validate(item, spec.items, `${path}[${i}]`)));
+    }
+
+    if (spec.check) {
+        errors.push(...spec.check(value).map((error) => path ? `${path} ${error}` : error));
+    }
+
+    return errors;
+}
+
+// The type of the setting at a path like ['log', 'level'], or null when there is none
+const typeAt = (keys) => {
+    const spec = keys.reduce((found, key) =>
+        found && found.type === 'object' ? found.properties[key] || found.values || null : null, schema);
+    return spec ? spec.type : null;
+};
+
+module.exports = { schema, validate, typeAt };
@@ -1,6 +1,10 @@
 const crypto = require('crypto'),
     https = require('https'),
-    request = require('request');
+    request = require('request'),
+    createSendQueue = require('./send-queue'),
+    createMetrics = require('../bot/metrics'),
+    createActivity = require('../bot/activity'),
+    log = require('../log');
 
 /*
  * Copyright 2016-present, Facebook, Inc.
@@ -10,14 +14,33 @@ const crypto = require('crypto'),
  * LICENSE file in the root directory of this source tree.
  *
  */
-module.exports = (config) => {
+module.exports = (config, metrics = createMetrics(), activity = createActivity()) => {
 
     // Arbitrary value used to validate a webhook
     const VALIDATION_TOKEN = config.validationToken;
     // App Secret can be retrieved from the App Dashboard
     const APP_SECRET = config.appSecret;
+    // Unsigned callbacks are only let through when switched off, for testing with curl and the like
+    const REQUIRE_SIGNATURE = config.requireSignature !== false;
     // Generate a page access token for your page from the App Dashboard
     const PAGE_ACCESS_TOKEN = config.pageAccessToken;
+    // The Graph API can be pointed elsewhere, for instance to a fake one in tests
+    const GRAPH_API_URL = `${config.graphApiUrl || 'https://graph.facebook.com'}/${config.graphApiVersion || 'v2.6'}`;
+    // Rate limit and retries for the outbound queue; in mock mode calls are only logged
+    const SEND_API = Object.assign({minInterval: 50, retries: 3, backoff: 500, mock: false}, config.sendApi);
+    // Messages the user did not ask for may only be sent within 24 hours of their last message
+    const MESSAGING_WINDOW = 24 * 60 * 60 * 1000;
+
+    // Limits imposed by the Send API on quick replies
+    const MAX_QUICK_REPLIES = 11;
+    const MAX_QUICK_REPLY_TITLE = 20;
+    // ...and on the number of cards in a generic template and their titles and subtitles
+    const MAX_GENERIC_ELEMENTS = 10;
+    const MAX_GENERIC_TITLE = 80;
+    const MAX_GENERIC_SUBTITLE = 80;
+    const MAX_BUTTON_TITLE = 20;
+
+    const truncate = (text, max) => text && text.length > max ? `${text.slice(0, max - 1)}…` : text;
 
     /*
      * Use your own validation token. Check that the token used in the Webhook
@@ -27,51 +50,133 @@ module.exports = (config) => {
     function validateWebhook(req, res) {
         if (req.query['hub.mode'] === 'subscribe' &&
             req.query['hub.verify_token'] === VALIDATION_TOKEN) {
-            console.log("Validating webhook");
+            log.info("Validating webhook");
             res.status(200).send(req.query['hub.challenge']);
         } else {
-            console.error("Failed validation. Make sure the validation tokens match.");
+            log.warn("Failed validation. Make sure the validation tokens match.");
             res.sendStatus(403);
         }
     }
 
 
+    // The correlation ID of the event each queued message answers
+    const correlations = new WeakMap();
+
     /*
-     * Call the Send API. The message data goes in the body. If successful, we'll
-     * get the message id in a response
+     * Post a message to the Send API. Resolves with the response body, or
+     * rejects with an error carrying the status code and Send API error.
      *
      */
-    function callSendAPI(messageData) {
-        if (process.env.MODE === 'mock') {
-            console.log(JSON.stringify(messageData, null, 2));
-            return;
-        }
-
-        request({
-            uri: 'https://graph.facebook.com/v2.6/me/messages',
+    function postToSendAPI(messageData) {
+        const correlationId = correlations.get(messageData) || null;
+        return new Promise((resolve, reject) => request({
+            uri: `${GRAPH_API_URL}/me/messages`,
             qs: {access_token: PAGE_ACCESS_TOKEN},
             method: 'POST',
             json: messageData
 
         }, function (error, response, body) {
+            metrics.sendFinished(response ? response.statusCode : 0);
             if (!error && response.statusCode == 200) {
-                const recipientId = body.recipient_id;
-                const messageId = body.message_id;
+                log.info(body.message_id ? "Sent message" : "Called Send API", {
+                    correlationId: correlationId,
+                    recipientId: body.recipient_id,
+                    messageId: body.message_id
+                });
+                log.debug("Message data", {correlationId: correlationId, messageData: messageData});
+                resolve(body);
+            } else {
+                const err = error || new Error(`Send API responded with ${response.statusCode} ${response.statusMessage}`);
+                err.statusCode = response ? response.statusCode : undefined;
+                err.error = body && body.error;
+                reject(err);
+            }
+        }));
+    }
 
-                if (messageId) {
-                    console.log("Successfully sent message with id %s to recipient %s", messageId, recipientId);
-                } else {
-                    console.log("Successfully called Send API for recipient %s", recipientId);
-                }
-                console.log("Message data was:", JSON.stringify(messageData, null, 2));
-                console.log("=====\n\n")
+    const sendQueue = createSendQueue({
+        send: postToSendAPI,
+        minInterval: SEND_API.minInterval,
+        retries: SEND_API.retries,
+        backoff: SEND_API.backoff,
+        onFailure: (messageData, err) => {
+            activity.sendFailed(messageData.recipient.id, err);
+            log.error("Failed calling Send API", {
+                correlationId: correlations.get(messageData) || null,
+                recipientId: messageData.recipient.id,
+                err: err,
+                messageData: messageData
+            });
+        }
+    });
+
+    /*
+     * Call the Send API. The message data goes in the body. Messages are queued
+     * per recipient, so they arrive in the order they were sent.
+     *
+     */
+    // What a message looks like in the admin's conversation log
+    const describeMessage = ({message}) => message.text || (message.attachment ?
+        `[${message.attachment.payload && message.attachment.payload.template_type || message.attachment.type}]` : '');
+
+    function callSendAPI(messageData) {
+        if (messageData.message) {
+            activity.messageSent(messageData.recipient.id, describeMessage(messageData));
+        }
 
+        if (SEND_API.mock) {
+            log.info("Mock Send API call", {recipientId: messageData.recipient.id, messageData: messageData});
+            return Promise.resolve();
+        }
+
+        correlations.set(messageData, log.correlationId(messageData.recipient.id));
+        return sendQueue.enqueue(messageData.recipient.id, messageData);
+    }
+
+    /*
+     * Whether messages the user did not ask for right now, such as a daily
+     * subscription, may be sent. Messenger only allows them within 24 hours
+     * of the user's last message; the message tags that lift this are not
+     * meant for promotional content like the artwork of the day.
+     *
+     */
+    function canReach(recipientId, lastMessageAt) {
+        return Promise.resolve(typeof lastMessageAt === 'number' && Date.now() - lastMessageAt < MESSAGING_WINDOW);
+    }
+
+    /*
+     * Fetch the public profile of a user, for instance their locale. Resolves
+     * with an empty profile when it cannot be fetched.
+     *
+     */
+    function getUserProfile(userId) {
+        if (SEND_API.mock) {
+            return Promise.resolve({});
+        }
+
+        return new Promise((resolve) => request({
+            uri: `${GRAPH_API_URL}/${encodeURIComponent(userId)}`,
+            qs: {fields: 'first_name,locale', access_token: PAGE_ACCESS_TOKEN},
+            method: 'GET',
+            json: true
+        }, function (error, response, body) {
+            if (!error && response.statusCode == 200) {
+                resolve(body);
             } else {
-                console.error("Failed calling Send API", response.statusCode, response.statusMessage, body.error);
-                console.error("Message data was:", JSON.stringify(messageData, null, 2));
-                console.error("=====\n\n")
+                log.warn("Failed fetching user profile", {userId: userId, err: error || response.statusCode});
+                resolve({});
             }
-        });
+        }));
+    }
+
+    /*
+     * Show the typing indicator and hold back the next messages for the
+     * recipient for the given number of milliseconds.
+     *
+     */
+    function sendTypingPause(recipientId, ms) {
+        sendTypingOn(recipientId);
+        return sendQueue.enqueue(recipientId, {pause: ms});
     }
 
     /*
@@ -79,7 +184,7 @@ module.exports = (config) => {
      *
      */
     function sendTypingOn(recipientId) {
-        console.log("Turning typing indicator on");
+        log.debug("Turning typing indicator on", {recipientId: recipientId});
 
         const messageData = {
             recipient: {
@@ -88,7 +193,7 @@ module.exports = (config) => {
             sender_action: "typing_on"
         };
 
-        callSendAPI(messageData);
+        return callSendAPI(messageData);
     }
 
     /*
@@ -96,7 +201,7 @@ module.exports = (config) => {
      *
      */
     function sendTypingOff(recipientId) {
-        console.log("Turning typing indicator off");
+        log.debug("Turning typing indicator off", {recipientId: recipientId});
 
         const messageData = {
             recipient: {
@@ -105,36 +210,66 @@ module.exports = (config) => {
             sender_action: "typing_off"
         };
 
-        callSendAPI(messageData);
+        return callSendAPI(messageData);
     }
 
     /*
      * Verify that the callback came from Facebook. Using the App Secret from
      * the App Dashboard, we can verify the signature that is sent with each
-     * callback in the x-hub-signature field, located in the header.
+     * callback in the X-Hub-Signature-256 (HMAC-SHA256) or the older
+     * X-Hub-Signature (HMAC-SHA1) header. When both are sent, SHA-256 wins.
      *
      * https://developers.facebook.com/docs/graph-api/webhooks#setup
      *
+     * This is the verify hook of the JSON body parser, which only gets to see
+     * the raw body. It marks the request as 'valid', 'invalid' or 'missing'
+     * and leaves rejecting it to requireValidSignature, so the sender gets a
+     * 403 instead of an error thrown inside the body parser.
+     *
      */
-    function verifyRequestSignature(req, res, buf) {
-        const signature = req.headers["x-hub-signature"];
+    const SIGNATURE_HEADERS = [
+        {header: 'x-hub-signature-256', algorithm: 'sha256'},
+        {header: 'x-hub-signature', algorithm: 'sha1'}
+    ];
+
+    function checkSignature(headers, buf) {
+        const signed = SIGNATURE_HEADERS.find(({header}) => headers[header]);
+        if (!signed) {
+            return 'missing';
+        }
 
-        if (!signature) {
-            // For testing, let's log an error. In production, you should throw an
-            // error.
-            console.error("Couldn't validate the signature.");
-        } else {
-            const elements = signature.split('=');
-            const method = elements[0];
-            const signatureHash = elements[1];
+        const [method, signatureHash] = `${headers[signed.header]}`.split('=');
+        if (method !== signed.algorithm || !APP_SECRET) {
+            return 'invalid';
+        }
 
-            const expectedHash = crypto.createHmac('sha1', APP_SECRET)
-                .update(buf)
-                .digest('hex');
+        const expected = crypto.createHmac(signed.algorithm, APP_SECRET).update(buf).digest();
+        const given = Buffer.from(signatureHash || '', 'hex');
 
-            if (signatureHash != expectedHash) {
-                throw new Error("Couldn't validate the request signature.");
-            }
+        // The length of a hash is no secret; its contents are compared in constant time
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? 'valid' : 'invalid';
+    }
+
+    function verifyRequestSignature(req, res, buf) {
+        req.signature = checkSignature(req.headers, buf);
+    }
+
+    /*
+     * Middleware for the webhook route: rejects callbacks with an invalid
+     * signature, and in production those without one.
+     *
+     */
+    function requireValidSignature(req, res, next) {
+        const signature = req.signature || 'missing';
+
+        if (signature === 'valid') {
+            next();
+        } else if (signature === 'missing' && !REQUIRE_SIGNATURE) {
+            log.warn("Accepting a callback without signature; unsigned callbacks are rejected in production");
+            next();
+        } else {
+            log.warn("Rejecting a callback", {reason: `${signature} signature`});
+            res.sendStatus(403);
         }
     }
 
@@ -152,14 +287,14 @@ module.exports = (config) => {
      * then we'll simply confirm that we've received the attachment.
      *
      */
-    function receivedMessage(event, { onTextMessage, onAttachments}) {
+    function receivedMessage(event, { onTextMessage, onAttachments, onQuickReply}) {
         const senderID = event.sender.id;
         const recipientID = event.recipient.id;
         const timeOfMessage = event.timestamp;
         const message = event.message;
 
-        console.log("Received message for user %d and page %d at %d with message:", senderID, recipientID, timeOfMessage);
-        console.log(JSON.stringify(message));
+        log.info("Received message", {senderID: senderID, pageID: recipientID, timestamp: timeOfMessage, mid: message.mid});
+        log.debug("Message", {senderID: senderID, message: message});
 
         const isEcho = message.is_echo;
         const messageId = message.mid;
@@ -168,23 +303,23 @@ module.exports = (config) => {
         const quickReply = message.quick_reply;
 
         if (isEcho) {
-            // Just logging message echoes to console
-            console.log("Received echo for message %s and app %d with metadata %s", messageId, appId, metadata);
+            // Just logging message echoes
+            log.debug("Received echo", {mid: messageId, appId: appId, metadata: metadata});
             return;
         } else if (quickReply) {
             const quickReplyPayload = quickReply.payload;
-            console.log("Quick reply for message %s with payload %s", messageId, quickReplyPayload);
-            fb.sendTextMessage(senderID, "Quick reply tapped");
+            log.info("Quick reply", {senderID: senderID, mid: messageId, payload: quickReplyPayload});
+            onQuickReply(senderID, quickReplyPayload);
             return;
         }
         // You may get a text or attachment but not both
         const messageText = message.text;
 
-        // Currently the only type we support is text
+        // Text is handled as a search, attachments such as a shared location separately
         if (messageText) {
             onTextMessage(messageText, senderID)
         } else {
-            onAttachments(senderID);
+            onAttachments(senderID, message.attachments || []);
         }
     }
 
@@ -204,8 +339,7 @@ module.exports = (config) => {
         // button for Structured Messages.
         const payload = event.postback.payload;
 
-        console.log("Received postback for user %d and page %d with payload '%s' " +
-            "at %d", senderID, recipientID, payload, timeOfPostback);
+        log.info("Received postback", {senderID: senderID, pageID: recipientID, timestamp: timeOfPostback, payload: payload});
 
         onPostback(senderID, payload);
     }
@@ -221,14 +355,7 @@ module.exports = (config) => {
         const delivery = event.delivery;
         const messageIDs = delivery.mids;
         const watermark = delivery.watermark;
-        if (messageIDs) {
-            messageIDs.forEach(function (messageID) {
-                console.log("Received delivery confirmation for message ID: %s",
-                    messageID);
-            });
-        }
-
-        console.log("All message before %d were delivered.", watermark);
+        log.debug("Received delivery confirmation", {mids: messageIDs || [], watermark: watermark});
     }
 
     /*
@@ -243,8 +370,7 @@ module.exports = (config) => {
         const watermark = event.read.watermark;
         const sequenceNumber = event.read.seq;
 
-        console.log("Received message read event for watermark %d and sequence " +
-            "number %d", watermark, sequenceNumber);
+        log.debug("Received message read event", {watermark: watermark, seq: sequenceNumber});
     }
 
     /*
@@ -254,7 +380,7 @@ module.exports = (config) => {
     function sendImageMessage(recipientId, url) {
         url = `${url}`;
 
-        callSendAPI({
+        return callSendAPI({
             recipient: {
                 id: recipientId
             },
@@ -284,7 +410,7 @@ module.exports = (config) => {
             }
         };
 
-        callSendAPI(messageData);
+        return callSendAPI(messageData);
     }
 
     /*
@@ -314,11 +440,74 @@ module.exports = (config) => {
             }
         };
 
-        callSendAPI(data);
+        return callSendAPI(data);
     }
 
-    function sendURL(recId, url) {
-        callSendAPI({
+    /*
+     * Send a text message with quick reply options using the Send API.
+     * Messenger shows at most 11 quick replies with titles of up to 20
+     * characters, so longer lists are cut off and long titles are shortened.
+     *
+     */
+    function sendQuickReplies(recipientId, quickReplies) {
+        return callSendAPI({
+            recipient: {
+                id: recipientId
+            },
+            message: {
+                text: quickReplies.text,
+                quick_replies: quickReplies.data.slice(0, MAX_QUICK_REPLIES).map((q) => {
+                    return {
+                        content_type: "text",
+                        title: truncate(q.title, MAX_QUICK_REPLY_TITLE),
+                        payload: q.payload
+                    };
+                })
+            }
+        });
+    }
+
+    /*
+     * Send a carousel of cards using the generic template of the Send API.
+     * Each card has a title, subtitle, image and buttons; buttons with a url
+     * open a web page, the others send their payload back as a postback.
+     *
+     */
+    function sendGenericTemplate(recipientId, elements) {
+        return callSendAPI({
+            recipient: {
+                id: recipientId
+            },
+            message: {
+                attachment: {
+                    type: "template",
+                    payload: {
+                        "template_type": "generic",
+                        elements: elements.slice(0, MAX_GENERIC_ELEMENTS).map((e) => {
+                            return {
+                                title: truncate(e.title, MAX_GENERIC_TITLE),
+                                subtitle: truncate(e.subtitle, MAX_GENERIC_SUBTITLE),
+                                image_url: e.image,
+                                buttons: e.buttons.map((b) => {
+                                    if (b.url) {
+                                        return {type: "web_url", url: b.url, title: truncate(b.title, MAX_BUTTON_TITLE)};
+                                    }
+                                    return {type: "postback", title: truncate(b.title, MAX_BUTTON_TITLE), payload: b.payload};
+                                })
+                            };
+                        })
+                    }
+                }
+            }
+        });
+    }
+
+    /*
+     * Send a button linking to a web page. The text and button title default to Dutch.
+     *
+     */
+    function sendURL(recId, url, {text = 'Wil je meer weten?', title = 'Lees verder'} = {}) {
+        return callSendAPI({
             recipient: {
                 id: recId
             },
@@ -327,11 +516,11 @@ module.exports = (config) => {
                     type: "template",
                     payload: {
                         "template_type": "button",
-                        "text": 'Wil je meer weten?',
+                        "text": text,
                         buttons: [{
                             type: "web_url",
                             url: url,
-                            title: "Lees verder"
+                            title: title
                         }]
                     }
                 }
@@ -340,13 +529,27 @@ module.exports = (config) => {
     }
 
 
+    // Page-scoped user IDs are all digits, unlike the IDs of users on other channels
+    function owns(userId) {
+        return /^[0-9]+$/.test(`${userId}`);
+    }
+
+
     return {
+        name: 'messenger',
+        owns: owns,
         validateWebhook: validateWebhook,
+        getUserProfile: getUserProfile,
+        canReach: canReach,
         sendTypingOn: sendTypingOn,
         sendTypingOff: sendTypingOff,
+        sendTypingPause: sendTypingPause,
         verifyRequestSignature: verifyRequestSignature,
+        requireValidSignature: requireValidSignature,
         sendURL: sendURL,
         sendButtonMessage: sendButtonMessage,
+        sendQuickReplies: sendQuickReplies,
+        sendGenericTemplate: sendGenericTemplate,
         sendTextMessage: sendTextMessage,
         sendImageMessage: sendImageMessage,
         receivedDeliveryConfirmation: receivedDeliveryConfirmation,
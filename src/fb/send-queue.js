@@ -0,0 +1,82 @@
+/*
+ * Outbound queue for the Send API.
+ *
+ * Every recipient gets their own queue, so their messages are sent strictly
+ * in order, one after the other. Besides messages a queue can hold pause
+ * steps ({pause: ms}), which replace timers for spacing out messages.
+ *
+ * All sends share one rate limit of a message every `minInterval` ms.
+ * Transient failures (network errors, 5xx, rate limiting and temporary Send
+ * API errors) are retried with exponential backoff; permanent failures are
+ * handed to `onFailure` and do not hold up the rest of the queue.
+ */
+
+// Send API error codes for temporary problems and rate limiting
+const TRANSIENT_ERROR_CODES = [1, 2, 4, 613, 1200];
+
+const isTransient = (err) => !err.statusCode ||
+    err.statusCode === 429 ||
+    err.statusCode >= 500 ||
+    (err.error && TRANSIENT_ERROR_CODES.indexOf(err.error.code) > -1);
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = ({
+    send,
+    minInterval = 0,
+    retries = 3,
+    backoff = 500,
+    onFailure = () => {},
+    now = Date.now
+}) => {
+    const queues = {};
+    let nextSlot = 0;
+
+    const waitForSlot = () => {
+        const time = now();
+        const wait = Math.max(0, nextSlot - time);
+        nextSlot = Math.max(time, nextSlot) + minInterval;
+        return delay(wait);
+    };
+
+    const attempt = (messageData, attemptsLeft, wait) => waitForSlot()
+        .then(() => send(messageData))
+        .catch((err) => {
+            if (attemptsLeft > 0 && isTransient(err)) {
+                return delay(wait).then(() => attempt(messageData, attemptsLeft - 1, wait * 2));
+            }
+            throw err;
+        });
+
+    const run = (step) => {
+        if (step.pause !== undefined) {
+            return delay(step.pause);
+        }
+
+        return attempt(step, retries, backoff).catch((err) => {
+            onFailure(step, err);
+            return null;
+        });
+    };
+
+    /*
+     * Add a message or pause step to the queue of a recipient. The returned
+     * promise resolves with the Send API response once the step is done, or
+     * with null when it failed permanently.
+     */
+    const enqueue = (recipientId, step) => {
+        const tail = (queues[recipientId] || Promise.resolve()).then(() => run(step));
+        queues[recipientId] = tail;
+        tail.then(() => {
+            if (queues[recipientId] === tail) {
+                delete queues[recipientId];
+            }
+        });
+        return tail;
+    };
+
+    // Resolves when all queued steps are done
+    const idle = () => Promise.all(Object.keys(queues).map((recipientId) => queues[recipientId]));
+
+    return { enqueue, idle };
+};
@@ -0,0 +1,133 @@
+/*
+ * English messages. Entries with placeholders are functions of a params object.
+ */
+module.exports = {
+    // Handlers
+    searching: "I'm searching, just a moment...",
+    searchingNearby: "I'm looking for monuments near you, just a moment...",
+    fetchingWorks: "I'm fetching some works...",
+    fetchingMonuments: "I'm fetching monuments...",
+    notUnderstood: "Sorry, I don't understand this.",
+    welcome: "Hi! Type the name of a painter or a subject, a date like 12-3, or quiz to guess who painted what.",
+    buttonExpired: "This button no longer works. Feel free to search again.",
+    somethingWentWrong: ({err}) => `Something went wrong: ${err}`,
+    youWillSee: ({label, description}) => `Coming up: ${label}, ${description}`,
+    socialFeedback: ({seen, watching}) => `${seen} people saw this image too, ${watching} people are looking at it right now`,
+    socialFeedbackSeen: ({seen}) => `${seen} people saw this image too`,
+    inCollection: ({collection}) => `By the way, you can see this in the collection of ${collection}`,
+    rights: ({rights}) => `Rights: ${rights}`,
+    moreOf: ({name}) => `Another work by ${name}?`,
+    thisPainter: "this painter",
+    yesNice: "Yes, please!",
+    yesPlease: "Yes, please!",
+    wantMore: "Would you like to see more?",
+    moreFromPainter: "More by this painter",
+    readMore: "Read more",
+    wantToKnowMore: "Want to know more?",
+    nothingToRepeat: "I don't know what you'd like to see more of yet. Search for a painter or subject first.",
+    nothingShownYet: "I haven't shown you anything yet. Search for a painter or subject first.",
+    thatWas: ({label, description}) => `That was ${label}, ${description}.`,
+    madeBy: ({name}) => ` It was made by ${name}.`,
+    languageChanged: "From now on I'll speak English with you.",
+    meters: ({meters}) => `${meters} meters`,
+    kilometers: ({km}) => `${km.toFixed(1)} km`,
+
+    // Wikidata
+    wikidataUnavailable: "Wikidata can't be reached right now. Please try again later.",
+    invalidInput: "Sorry, I don't understand that.",
+    noMonuments: "Sorry, I can't find any monuments there.",
+    noMonumentsNearby: "Sorry, I can't find any monuments near you.",
+    noPaintings: "Sorry, I can't find any paintings for that.",
+    noPainters: "Sorry, I can't find any painters with that name.",
+    choosePainter: "Which of these painters would you like?",
+    paintersBornOn: ({day, month}) => `These painters were born on ${day}-${month}. Pick one.`,
+    paintersDiedOn: ({day, month}) => `These painters died on ${day}-${month}. Pick one.`,
+    noSuchMonth: ({month}) => `There is no month ${month}. Type a date like 12-3.`,
+    noSuchDay: ({day, month}) => `${day}-${month} does not exist. Type a date like 12-3.`,
+
+    // Search
+    noResults: "No results found",
+    monumentsFound: "These are the monuments I found:",
+    moreMonumentsFound: "Here are a few more:",
+    monumentsNearby: "These are the monuments closest to you:",
+    worksFound: "These are the works I found:",
+    noPlace: "Sorry, I can't find a place with that name.",
+    choosePlace: "Which place do you mean?",
+
+    // Searching all sources at once
+    chooseResult: ({legend}) => `This is what I found (${legend}):`,
+    nothingFound: "Sorry, I can't find anything with that name.",
+    sourceResults: {
+        wikidata: "a painter from Wikidata",
+        gvn: "a subject from the Memory of the Netherlands",
+        europeana: "an object from Europeana"
+    },
+
+    // Het Geheugen van Nederland
+    noImage: "No image found",
+    thisSubject: "this subject",
+    gvnUnavailable: "Het Geheugen van Nederland (the Memory of the Netherlands) can't be reached right now. Please try again later.",
+
+    // Europeana
+    europeanaUnavailable: "Europeana can't be reached right now. Please try again later.",
+
+    // Favourites
+    save: "Save",
+    remove: "Remove",
+    saveThis: "Would you like to save this work?",
+    savedFavourite: ({label}) => `${label} is now one of your favourites. Type "my favourites" to see them.`,
+    alreadyFavourite: ({label}) => `${label} is already one of your favourites.`,
+    removedFavourite: ({label}) => `${label} is no longer one of your favourites.`,
+    notAFavourite: "That work is not one of your favourites.",
+    noFavourites: "You don't have any favourites yet. Tap Save on an artwork to keep it.",
+    yourFavourites: "These are your favourites:",
+
+    // Artwork of the day
+    subscribed: ({time}) => `From now on you'll get an artwork of the day every day at ${time}. Reply to it now and then to keep it coming. Type "stop daily" to unsubscribe.`,
+    unsubscribed: "You won't get an artwork of the day anymore.",
+    notSubscribed: "You weren't subscribed to the artwork of the day.",
+    invalidTime: "I don't understand that time. Try for instance \"daily at 8:30\".",
+    artworkOfTheDay: "Here is your artwork of the day!",
+    artworkOfTheDayBornToday: ({name}) => `Here is your artwork of the day, by ${name}, who was born on this day!`,
+    artworksSkipped: ({count}) => `You missed ${count === 1 ? "an artwork" : `${count} artworks`} of the day: when you don't say anything for more than a day, I'm not allowed to message you. Now that you're back, you'll get it every day again.`,
+
+    // Quiz
+    quizQuestion: "Who painted this?",
+    quizCorrect: ({name, streak}) => streak > 1 ? `Well done, it's ${name}! That's ${streak} right in a row.` : `Well done, it's ${name}!`,
+    quizWrong: ({name}) => `Sorry, it's ${name}.`,
+    quizAnswered: "You already answered this question. Type quiz for a new one.",
+    quizScore: ({score, answered, bestStreak}) => `You got ${score} of ${answered} questions right. Your longest streak is ${bestStreak}.`,
+    quizNoScore: "You haven't answered any quiz questions yet. Fancy one?",
+    quizNext: "Next question",
+    leaderboardButton: "Leaderboard",
+    leaderboard: "The best players of this week:",
+    leaderboardEntry: ({rank, name, points}) => `${rank}. ${name}: ${points} ${points === 1 ? "point" : "points"}`,
+    leaderboardEmpty: "Nobody got a question right this week yet. Type quiz to be the first!",
+    you: "you",
+    anonymousPlayer: "an anonymous player",
+
+    // Admin pages
+    adminTitle: "Erfgoedbot admin",
+    adminActivityNote: "This is what the bot did since it was last restarted. Users are anonymised.",
+    adminFeatures: "Features",
+    adminFeature: ({name}) => name === "socialFeedback" ? "Telling how many people saw an artwork" : name.replace(/^source:/, "Source: "),
+    adminOn: "on",
+    adminOff: "off",
+    adminSwitchOn: "Switch on",
+    adminSwitchOff: "Switch off",
+    adminConversations: "Recent conversations",
+    adminUser: ({user}) => `User ${user}`,
+    adminTopPainters: "Most requested painters",
+    adminTopSubjects: "Most requested GVN subjects",
+    adminFailingQueries: "Failing queries",
+    adminSendErrors: "Errors sending messages",
+    adminNothingYet: "Nothing yet.",
+    adminName: "Name",
+    adminRequests: "Times requested",
+    adminTime: "Time (UTC)",
+    adminEndpoint: "Source",
+    adminError: "Error",
+    adminQuery: "Query",
+    adminUserColumn: "User",
+    adminStatus: "Status"
+};
@@ -0,0 +1,35 @@
+/*
+ * Message catalog for the languages the bot speaks.
+ *
+ *   t('en', 'moreOf', {name: 'Rembrandt'})
+ */
+const catalogs = {
+    nl: require('./nl'),
+    en: require('./en')
+};
+
+const DEFAULT_LANGUAGE = 'nl';
+const LANGUAGES = Object.keys(catalogs);
+
+const t = (language, key, params) => {
+    const catalog = catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+    const entry = catalog[key];
+
+    if (entry === undefined) {
+        throw new Error(`Missing message ${key} for language ${language}`);
+    }
+    return typeof entry === 'function' ? entry(params || {}) : entry;
+};
+
+// Dutch speakers get Dutch, everyone else English; without a locale we stick to Dutch
+const fromLocale = (locale) => {
+    if (!locale) {
+        return DEFAULT_LANGUAGE;
+    }
+    return locale.indexOf('nl') === 0 ? 'nl' : 'en';
+};
+
+// Languages for the Wikidata label service, preferring the conversation language
+const labelLanguages = (language) => language === 'en' ? 'en,nl' : 'nl,en';
+
+module.exports = { t, fromLocale, labelLanguages, DEFAULT_LANGUAGE, LANGUAGES };
@@ -0,0 +1,135 @@
+const { monthName } = require('../bot/dates');
+
+/*
+ * Dutch messages. Entries with placeholders are functions of a params object.
+ */
+module.exports = {
+    // Handlers
+    searching: "Ik ben nu aan het zoeken, een momentje...",
+    searchingNearby: "Ik zoek monumenten bij jou in de buurt, een momentje...",
+    fetchingWorks: "Ik ben nu werken aan het ophalen...",
+    fetchingMonuments: "Ik ben nu monumenten aan het ophalen...",
+    notUnderstood: "Sorry, dit snap ik even niet.",
+    welcome: "Hoi! Typ de naam van een schilder of een onderwerp, een datum als 12 maart, of quiz om te raden wie iets schilderde.",
+    buttonExpired: "Deze knop werkt niet meer. Zoek gerust opnieuw.",
+    somethingWentWrong: ({err}) => `Er ging iets mis: ${err}`,
+    youWillSee: ({label, description}) => `Je gaat zo zien: ${label}, ${description}`,
+    socialFeedback: ({seen, watching}) => `${seen} mensen zagen deze afbeelding ook, ${watching} mensen kijken op dit moment`,
+    socialFeedbackSeen: ({seen}) => `${seen} mensen zagen deze afbeelding ook`,
+    inCollection: ({collection}) => `Dit kun je trouwens zien in de collectie van ${collection}`,
+    rights: ({rights}) => `Gebruiksrechten: ${rights}`,
+    moreOf: ({name}) => `Nog een werk van ${name}?`,
+    thisPainter: "deze schilder",
+    yesNice: "Ja, leuk!",
+    yesPlease: "Ja, graag!",
+    wantMore: "Wil je er meer zien?",
+    moreFromPainter: "Meer van schilder",
+    readMore: "Lees verder",
+    wantToKnowMore: "Wil je meer weten?",
+    nothingToRepeat: "Ik weet nog niet waar je meer van wilt zien. Zoek eerst een schilder of onderwerp.",
+    nothingShownYet: "Ik heb je nog niets laten zien. Zoek eerst een schilder of onderwerp.",
+    thatWas: ({label, description}) => `Dat was ${label}, ${description}.`,
+    madeBy: ({name}) => ` Het is gemaakt door ${name}.`,
+    languageChanged: "Vanaf nu praat ik Nederlands met je.",
+    meters: ({meters}) => `${meters} meter`,
+    kilometers: ({km}) => `${km.toFixed(1).replace('.', ',')} km`,
+
+    // Wikidata
+    wikidataUnavailable: "Wikidata is nu even niet bereikbaar. Probeer het later nog eens.",
+    invalidInput: "Sorry, dat begrijp ik niet.",
+    noMonuments: "Sorry, daar kan ik geen monumenten vinden.",
+    noMonumentsNearby: "Sorry, ik kan geen monumenten bij jou in de buurt vinden.",
+    noPaintings: "Sorry, daar kan ik geen schilderijen van vinden.",
+    noPainters: "Sorry, ik kan geen schilders vinden die zo heten.",
+    choosePainter: "Welke van deze schilders wil je hebben?",
+    paintersBornOn: ({day, month}) => `Deze schilders zijn geboren op ${day}-${month}. Kies er een.`,
+    paintersDiedOn: ({day, month}) => `Deze schilders zijn overleden op ${day}-${month}. Kies er een.`,
+    noSuchMonth: ({month}) => `Er is geen maand ${month}. Typ bijvoorbeeld 12-3 of 12 maart.`,
+    noSuchDay: ({day, month}) => `${day} ${monthName(month)} bestaat niet. Typ bijvoorbeeld 12-3 of 12 maart.`,
+
+    // Search
+    noResults: "Geen resultaten gevonden",
+    monumentsFound: "Deze monumenten heb ik gevonden:",
+    moreMonumentsFound: "Hier zijn er nog een paar:",
+    monumentsNearby: "Dit zijn de monumenten het dichtst bij jou in de buurt:",
+    worksFound: "Deze werken heb ik gevonden:",
+    noPlace: "Sorry, ik kan geen plaats vinden die zo heet.",
+    choosePlace: "Welke plaats bedoel je?",
+
+    // Searching all sources at once
+    chooseResult: ({legend}) => `Dit heb ik gevonden (${legend}):`,
+    nothingFound: "Sorry, ik kan niets vinden dat zo heet.",
+    sourceResults: {
+        wikidata: "een schilder uit Wikidata",
+        gvn: "een onderwerp uit het Geheugen van Nederland",
+        europeana: "een object uit Europeana"
+    },
+
+    // Het Geheugen van Nederland
+    noImage: "Geen beeld gevonden",
+    thisSubject: "dit onderwerp",
+    gvnUnavailable: "Het Geheugen van Nederland is nu even niet bereikbaar. Probeer het later nog eens.",
+
+    // Europeana
+    europeanaUnavailable: "Europeana is nu even niet bereikbaar. Probeer het later nog eens.",
+
+    // Favourites
+    save: "Bewaar",
+    remove: "Verwijder",
+    saveThis: "Wil je dit werk bewaren?",
+    savedFavourite: ({label}) => `${label} staat nu bij je favorieten. Typ "mijn favorieten" om ze te bekijken.`,
+    alreadyFavourite: ({label}) => `${label} staat al bij je favorieten.`,
+    removedFavourite: ({label}) => `${label} staat niet meer bij je favorieten.`,
+    notAFavourite: "Dat werk staat niet bij je favorieten.",
+    noFavourites: "Je hebt nog geen favorieten. Tik op Bewaar bij een kunstwerk om het te bewaren.",
+    yourFavourites: "Dit zijn je favorieten:",
+
+    // Artwork of the day
+    subscribed: ({time}) => `Vanaf nu krijg je elke dag om ${time} een kunstwerk van de dag. Reageer er af en toe op, dan blijft het komen. Typ "stop dagelijks" om je af te melden.`,
+    unsubscribed: "Je krijgt geen kunstwerk van de dag meer.",
+    notSubscribed: "Je had je niet aangemeld voor het kunstwerk van de dag.",
+    invalidTime: "Die tijd snap ik niet. Typ bijvoorbeeld \"dagelijks om 8:30\".",
+    artworkOfTheDay: "Hier is je kunstwerk van de dag!",
+    artworkOfTheDayBornToday: ({name}) => `Hier is je kunstwerk van de dag, van ${name}, die vandaag jarig is!`,
+    artworksSkipped: ({count}) => `Je hebt ${count === 1 ? "een kunstwerk" : `${count} kunstwerken`} van de dag gemist: als je meer dan een dag niets zegt, mag ik je niets sturen. Nu je weer iets zegt, krijg je het weer elke dag.`,
+
+    // Quiz
+    quizQuestion: "Wie heeft dit geschilderd?",
+    quizCorrect: ({name, streak}) => streak > 1 ? `Goed zo, het is ${name}! Dat is ${streak} keer op rij goed.` : `Goed zo, het is ${name}!`,
+    quizWrong: ({name}) => `Helaas, het is ${name}.`,
+    quizAnswered: "Deze vraag heb je al beantwoord. Typ quiz voor een nieuwe vraag.",
+    quizScore: ({score, answered, bestStreak}) => `Je hebt ${score} van de ${answered} vragen goed. Je langste reeks is ${bestStreak}.`,
+    quizNoScore: "Je hebt nog geen quizvragen beantwoord. Zin in een vraag?",
+    quizNext: "Nog een vraag",
+    leaderboardButton: "Ranglijst",
+    leaderboard: "De beste spelers van deze week:",
+    leaderboardEntry: ({rank, name, points}) => `${rank}. ${name}: ${points} ${points === 1 ? "punt" : "punten"}`,
+    leaderboardEmpty: "Deze week heeft nog niemand een vraag goed. Typ quiz om de eerste te zijn!",
+    you: "jij",
+    anonymousPlayer: "een anonieme speler",
+
+    // Admin pages
+    adminTitle: "Erfgoedbot beheer",
+    adminActivityNote: "Dit is wat de bot sinds de laatste herstart deed. Gebruikers zijn geanonimiseerd.",
+    adminFeatures: "Functies",
+    adminFeature: ({name}) => name === "socialFeedback" ? "Vertellen hoeveel mensen een kunstwerk zagen" : name.replace(/^source:/, "Bron: "),
+    adminOn: "aan",
+    adminOff: "uit",
+    adminSwitchOn: "Zet aan",
+    adminSwitchOff: "Zet uit",
+    adminConversations: "Recente gesprekken",
+    adminUser: ({user}) => `Gebruiker ${user}`,
+    adminTopPainters: "Meest gevraagde schilders",
+    adminTopSubjects: "Meest gevraagde onderwerpen van het GVN",
+    adminFailingQueries: "Mislukte zoekopdrachten",
+    adminSendErrors: "Fouten bij het versturen van berichten",
+    adminNothingYet: "Nog niets.",
+    adminName: "Naam",
+    adminRequests: "Keer gevraagd",
+    adminTime: "Tijd (UTC)",
+    adminEndpoint: "Bron",
+    adminError: "Fout",
+    adminQuery: "Zoekopdracht",
+    adminUserColumn: "Gebruiker",
+    adminStatus: "Status"
+};
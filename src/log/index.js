@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+/*
+ * Structured logging. Every line is a JSON object with the time, the level,
+ * a message, the correlation ID of the messaging event being handled and
+ * any fields passed along:
+ *
+ *   log.info("Received postback", {senderID: "123", payload: "Q5598"})
+ *
+ * Node cannot follow a chain of callbacks, so a correlation ID is current for
+ * the synchronous duration of withCorrelation, and callbacks that run later
+ * keep it when they are wrapped with bind. Lines about a user outside of that
+ * get the ID of the latest event of that user.
+ *
+ * Access tokens, secrets and signatures never make it into the log; sender
+ * IDs are replaced by a hash when redactSenders is set.
+ */
+const LEVELS = {debug: 10, info: 20, warn: 30, error: 40};
+
+const SECRET_FIELDS = /token|secret|password|signature/i;
+const SENDER_FIELDS = /^(senderID|recipientID|recipientId|userId)$/;
+const SECRET_PARAMS = /((?:access_token|wskey|token)=)[^&\s"]+/g;
+
+// Latest events are only remembered for this many users
+const MAX_SENDERS = 1000;
+
+const DEFAULTS = {level: 'info', redactSenders: false};
+
+let settings = Object.assign({}, DEFAULTS);
+const salt = crypto.randomBytes(16).toString('hex');
+let current = null;
+const latest = new Map();
+
+const configure = (options) => {
+    settings = Object.assign({}, DEFAULTS, options);
+    if (!LEVELS[settings.level]) {
+        throw new Error(`Unknown log level: ${settings.level}`);
+    }
+};
+
+// Lines go to stdout, warnings and errors to stderr, unless useOutput is given another writer
+const consoleOutput = (line, stream) => stream === 'err' ? console.error(line) : console.log(line);
+let output = consoleOutput;
+
+const useOutput = (write = consoleOutput) => {
+    output = write;
+};
+
+const newCorrelationId = () => crypto.randomBytes(8).toString('hex');
+
+const withCorrelation = (correlationId, fn) => {
+    const previous = current;
+    current = correlationId;
+    try {
+        return fn();
+    } finally {
+        current = previous;
+    }
+};
+
+// Wraps fn so it runs with the correlation ID that is current now
+const bind = (fn) => {
+    const correlationId = current;
+    return (...args) => withCorrelation(correlationId, () => fn(...args));
+};
+
+// Remembers the event being handled for a user
+const correlate = (senderID, correlationId) => {
+    const key = `${senderID}`;
+    latest.delete(key);
+    latest.set(key, correlationId);
+    if (latest.size > MAX_SENDERS) {
+        latest.delete(latest.keys().next().value);
+    }
+};
+
+const correlationId = (senderID) => current ||
+    (senderID !== undefined && senderID !== null ? latest.get(`${senderID}`) : undefined) || null;
+
+const anonymise = (senderID) => crypto.createHmac('sha256', salt).update(`${senderID}`).digest('hex').slice(0, 10);
+
+function redact(value, key) {
+    if (key && SECRET_FIELDS.test(key) && value !== undefined && value !== null) {
+        return '[redacted]';
+    }
+    if (key && SENDER_FIELDS.test(key) && settings.redactSenders && value !== undefined && value !== null) {
+        return anonymise(value);
+    }
+    if (typeof value === 'string') {
+        return value.replace(SECRET_PARAMS, '$1[redacted]');
+    }
+    if (value instanceof Error) {
+        return redact(Object.assign({name: value.name, message: value.message},
+            value.statusCode ? {statusCode: value.statusCode} : {},
+            value.error ? {error: value.error} : {},
+            settings.level === 'debug' ? {stack: value.stack} : {}));
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item));
+    }
+    if (value && typeof value === 'object') {
+        // Senders and recipients of the Send API and the webhook are objects with an id
+        const senderObject = (name) => (name === 'sender' || name === 'recipient') && settings.redactSenders;
+        return Object.keys(value).reduce((result, name) => {
+            result[name] = senderObject(key) && name === 'id' ? anonymise(value[name]) : redact(value[name], name);
+            return result;
+        }, {});
+    }
+    return value;
+}
+
+const write = (level) => (msg, fields = {}) => {
+    if (LEVELS[level] < LEVELS[settings.level]) {
+        return;
+    }
+
+    const entry = Object.assign({
+        time: new Date().toISOString(),
+        level: level,
+        msg: msg,
+        correlationId: correlationId(fields.senderID || fields.recipientID || fields.recipientId)
+    }, redact(fields));
+
+    output(JSON.stringify(entry), LEVELS[level] >= LEVELS.warn ? 'err' : 'out');
+};
+
+module.exports = {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    configure, useOutput, newCorrelationId, withCorrelation, bind, correlate, correlationId, redact, LEVELS
+};
@@ -0,0 +1,34 @@
+const createClient = require('../bot/europeana');
+
+const withSource = (name) => (item) => Object.assign({source: name}, item);
+
+// Images of objects from Dutch providers in Europeana; needs an apiKey in its config entry
+module.exports = ({name = 'europeana', icon = '🏛', apiKey, url, country, reusability} = {}) => {
+    const europeana = createClient({apiKey, url, country, reusability});
+
+    return {
+        name: name,
+        icon: icon,
+
+        // Search results are objects (EUR|item|<id>), makers link to their other objects (EUR|who|<name>)
+        owns: (id) => /^EUR\|(item|who)\|/.test(id),
+
+        search: (q, language, cb) => europeana.search(q, language, (err, images) =>
+            cb(err, err ? null : images.map((image) => ({id: `EUR|item|${image.id}`, title: image.label})))),
+
+        getItem: (id, language, cb) => europeana.record(id, language, (err, item) =>
+            cb(err, err ? null : withSource(name)(item))),
+
+        randomItem: (language, cb) => europeana.randomImage(language, (err, item) =>
+            cb(err, err ? null : withSource(name)(item))),
+
+        itemsByCreator: (id, language, cb) => {
+            const [x, kind, value] = id.match(/^EUR\|(item|who)\|(.*)$/);
+            if (kind === 'item') {
+                europeana.record(value, language, (err, item) => cb(err, err ? null : [withSource(name)(item)]));
+            } else {
+                europeana.byCreator(value, language, (err, items) => cb(err, err ? null : items.map(withSource(name))));
+            }
+        }
+    };
+};
@@ -0,0 +1,26 @@
+const createClient = require('../bot/gvn');
+
+const withSource = (name, cb) => (err, data) => cb(err, err ? null : Object.assign({source: name}, data.images));
+
+// Het Geheugen van Nederland: images of subjects, places and people, from the API at url
+module.exports = ({name = 'gvn', icon = '🖼', url} = {}) => {
+    const gvn = createClient({url});
+
+    return {
+        name: name,
+        icon: icon,
+
+        owns: (id) => /^GVN\|/.test(id),
+
+        search: (q, language, cb) => gvn.search(q, language, (err, subjects) =>
+            cb(err, err ? null : subjects.map((subject) => ({id: subject.payload, title: subject.title})))),
+
+        getItem: (id, language, cb) => gvn.imageByIdentifier(id, language, withSource(name, cb)),
+
+        randomItem: (language, cb) => gvn.randomImage(language, withSource(name, cb)),
+
+        // A subject has far too many images to show at once, so show one of them
+        itemsByCreator: (id, language, cb) => gvn.imageByFacet(id, language, withSource(name, (err, item) =>
+            cb(err, err ? null : [item])))
+    };
+};
@@ -0,0 +1,62 @@
+/*
+ * Registry of heritage sources.
+ *
+ * Every source is an adapter with the same node-style callback interface, so
+ * the bot can search and show items without knowing where they come from.
+ * Errors passed to the callbacks are messages that can be shown to the user.
+ *
+ *   name                                 unique name, also stored with items
+ *   icon                                 shown in front of search results
+ *   owns(id)                             true for search result ids of this source
+ *   search(q, language, cb)              cb(err, [{id, title}]), best matches first
+ *   getItem(id, language, cb)            cb(err, item)
+ *   randomItem(language, cb)             cb(err, item)
+ *   itemsByCreator(id, language, cb)     cb(err, [item]) for the id of a search result
+ *
+ * Items share one shape:
+ *
+ *   {source, id, label, description, image, url, collection, author, subjectName}
+ *
+ * where id is stable per source (a Wikidata Q-id, a GVN recordIdentifier, a
+ * Europeana record id) and author is the search result id of the maker or
+ * subject. Items may add a rights statement as rights.
+ */
+const ADAPTERS = {
+    wikidata: require('./wikidata'),
+    gvn: require('./gvn'),
+    europeana: require('./europeana')
+};
+
+const METHODS = ['owns', 'search', 'getItem', 'randomItem', 'itemsByCreator'];
+
+const DEFAULT_SOURCES = [{type: 'wikidata'}, {type: 'gvn'}];
+
+const checkAdapter = (adapter) => {
+    const missing = METHODS.filter((method) => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Source ${adapter.name} does not implement ${missing.join(', ')}`);
+    }
+    return adapter;
+};
+
+/*
+ * Create the sources from config entries like {"type": "gvn"}, in the order
+ * in which their search results are preferred.
+ */
+const createSources = (sourceConfigs = DEFAULT_SOURCES) => {
+    const adapters = sourceConfigs.map((sourceConfig) => {
+        const createAdapter = ADAPTERS[sourceConfig.type];
+        if (!createAdapter) {
+            throw new Error(`Unknown source type: ${sourceConfig.type}`);
+        }
+        return checkAdapter(createAdapter(sourceConfig));
+    });
+
+    return {
+        all: () => adapters,
+        get: (name) => adapters.find((adapter) => adapter.name === name) || null,
+        forId: (id) => adapters.find((adapter) => adapter.owns(id)) || null
+    };
+};
+
+module.exports = { createSources, checkAdapter, ADAPTERS, METHODS };
@@ -0,0 +1,35 @@
+const _ = require('lodash');
+const createClient = require('../bot/wikidata');
+
+const withSource = (name) => (item) => Object.assign({source: name}, item);
+
+// Paintings and the painters who made them, from the SPARQL endpoint in the config entry
+module.exports = ({name = 'wikidata', icon = '🎨', endpoint} = {}) => {
+    const wikidata = createClient({endpoint});
+
+    return {
+        name: name,
+        icon: icon,
+
+        owns: (id) => /^Q[1-9][0-9]*$/.test(id),
+
+        search: (q, language, cb) => wikidata.searchPainters(q, language, (err, data) =>
+            cb(err, err ? null : data.data.map((painter) => ({id: painter.payload, title: painter.title})))),
+
+        getItem: (id, language, cb) => wikidata.artwork(id, language, (err, item) =>
+            cb(err, err ? null : withSource(name)(item))),
+
+        // A random painting by a random painter with works in a Dutch collection
+        randomItem: (language, cb) => wikidata.randomArtist(language, (err, data) => {
+            if (err) {
+                cb(err, null);
+            } else {
+                wikidata.paintingsByArtist(_.sample(data.data).payload, language, (err, item) =>
+                    cb(err, err ? null : withSource(name)(item)));
+            }
+        }),
+
+        itemsByCreator: (id, language, cb) => wikidata.worksByArtist(id, language, (err, items) =>
+            cb(err, err ? null : items.map(withSource(name))))
+    };
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const dirname = require('path').dirname;
+
+/*
+ * Key/value store persisted as a single JSON file. The file is read once on
+ * creation and rewritten after every change; writes are serialized so a slow
+ * write is never overtaken by a later one.
+ */
+module.exports = (path) => {
+    if (!fs.existsSync(dirname(path))) {
+        fs.mkdirSync(dirname(path));
+    }
+
+    const data = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf-8')) : {};
+
+    let pending = Promise.resolve();
+
+    // A failed write is reported to its caller only; later writes still go ahead
+    const persist = () => {
+        const contents = JSON.stringify(data, null, 2);
+        pending = pending.catch(() => {}).then(() => new Promise((resolve, reject) =>
+            fs.writeFile(path, contents, 'utf-8', (err) => err ? reject(err) : resolve())
+        ));
+        return pending;
+    };
+
+    const get = (key) => Promise.resolve(data.hasOwnProperty(key) ? data[key] : null);
+
+    const set = (key, value) => {
+        data[key] = value;
+        return persist().then(() => value);
+    };
+
+    const remove = (key) => {
+        const existed = data.hasOwnProperty(key);
+        delete data[key];
+        return persist().then(() => existed);
+    };
+
+    const all = () => Promise.resolve(Object.assign({}, data));
+
+    return { get, set, remove, all };
+};
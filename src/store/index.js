@@ -0,0 +1,20 @@
+const memoryStore = require('./memory');
+const fileStore = require('./file');
+
+/*
+ * Create a store from a config entry like {"type": "file", "path": "data/sessions.json"}.
+ * Without a config entry an in-memory store is returned.
+ */
+const createStore = (storeConfig) => {
+    if (!storeConfig || !storeConfig.type || storeConfig.type === 'memory') {
+        return memoryStore();
+    }
+
+    if (storeConfig.type === 'file') {
+        return fileStore(storeConfig.path);
+    }
+
+    throw new Error(`Unknown store type: ${storeConfig.type}`);
+};
+
+module.exports = { createStore, memoryStore, fileStore };
@@ -0,0 +1,26 @@
+/*
+ * In-memory key/value store. Everything is lost on restart, so this is meant
+ * for development and tests.
+ *
+ * All stores share the same promise based interface: get, set, remove and all.
+ */
+module.exports = () => {
+    const data = new Map();
+
+    const get = (key) => Promise.resolve(data.has(key) ? data.get(key) : null);
+
+    const set = (key, value) => {
+        data.set(key, value);
+        return Promise.resolve(value);
+    };
+
+    const remove = (key) => Promise.resolve(data.delete(key));
+
+    const all = () => {
+        const result = {};
+        data.forEach((value, key) => result[key] = value);
+        return Promise.resolve(result);
+    };
+
+    return { get, set, remove, all };
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto'),
+    request = require('request'),
+    createSendQueue = require('../fb/send-queue'),
+    createMetrics = require('../bot/metrics'),
+    createActivity = require('../bot/activity'),
+    { t, fromLocale } = require('../i18n'),
+    log = require('../log');
+
+/*
+ * Channel for the Telegram Bot API, see ../channels for the interface.
+ *
+ * Users are known as tg:<chat id>, so they never mix with Messenger users in
+ * the stores. Quick replies and buttons become inline keyboards, whose
+ * callback queries go to the postback handler, and images are sent as
+ * photos. A carousel is sent as one photo per card.
+ *
+ * https://core.telegram.org/bots/api
+ */
+module.exports = (config, metrics = createMetrics(), activity = createActivity()) => {
+
+    // The token of the bot, from @BotFather
+    const TOKEN = config.token;
+    // Sent by Telegram with every update, as set with setWebhook
+    const SECRET_TOKEN = config.secretToken;
+    // The Bot API can be pointed elsewhere, for instance to a fake one in tests
+    const API_URL = config.apiUrl || 'https://api.telegram.org';
+    // Rate limit and retries for the outbound queue
+    const SEND_API = Object.assign({minInterval: 50, retries: 3, backoff: 500}, config.sendApi);
+
+    // Limits imposed by the Bot API on callback data and photo captions
+    const MAX_CALLBACK_DATA = 64;
+    const MAX_CAPTION = 1024;
+    // ...and the number of cards of a carousel we send as photos
+    const MAX_GENERIC_ELEMENTS = 10;
+
+    const PREFIX = 'tg:';
+
+    const userIdOf = (chatId) => `${PREFIX}${chatId}`;
+    const chatIdOf = (userId) => `${userId}`.slice(PREFIX.length);
+
+    /*
+     * Call a method of the Bot API. Resolves with its result, or rejects with
+     * an error carrying the status code and Bot API error. The token is part
+     * of the URL, so the URL is never logged.
+     *
+     */
+    function callBotAPI(method, params) {
+        return new Promise((resolve, reject) => request({
+            uri: `${API_URL}/bot${TOKEN}/${method}`,
+            method: 'POST',
+            json: params
+        }, function (error, response, body) {
+            metrics.sendFinished(response ? response.statusCode : 0);
+            if (!error && response.statusCode == 200 && body && body.ok) {
+                resolve(body.result);
+            } else {
+                const err = error || new Error(`Bot API ${method} responded with ${response.statusCode}`);
+                err.statusCode = response ? response.statusCode : undefined;
+                err.error = body && body.error_code ? {code: body.error_code, message: body.description} : undefined;
+                reject(err);
+            }
+        }));
+    }
+
+    // The correlation ID of the event each queued message answers
+    const correlations = new WeakMap();
+
+    const sendQueue = createSendQueue({
+        send: (step) => callBotAPI(step.method, step.params).then((result) => {
+            log.info("Sent Telegram message", {
+                correlationId: correlations.get(step) || null,
+                recipientId: userIdOf(step.params.chat_id),
+                method: step.method,
+                messageId: result && result.message_id
+            });
+            return result;
+        }),
+        minInterval: SEND_API.minInterval,
+        retries: SEND_API.retries,
+        backoff: SEND_API.backoff,
+        onFailure: (step, err) => {
+            activity.sendFailed(userIdOf(step.params.chat_id), err);
+            log.error("Failed calling Bot API", {
+                correlationId: correlations.get(step) || null,
+                recipientId: userIdOf(step.params.chat_id),
+                method: step.method,
+                err: err
+            });
+        }
+    });
+
+    // What a message looks like in the admin's conversation log
+    const describeMessage = (method, params) => method === 'sendPhoto' ? params.caption || '[image]' : params.text;
+
+    /*
+     * Queue a call for a user, so their messages are sent in order.
+     *
+     */
+    function send(recipientId, method, params) {
+        const step = {method: method, params: Object.assign({chat_id: chatIdOf(recipientId)}, params)};
+        if (method !== 'sendChatAction') {
+            activity.messageSent(recipientId, describeMessage(method, step.params));
+        }
+        correlations.set(step, log.correlationId(recipientId));
+        return sendQueue.enqueue(recipientId, step);
+    }
+
+    /*
+     * Callback data holds at most 64 bytes. Longer payloads, like those with
+     * a Europeana record ID, are kept here and sent as #<number> instead. The
+     * most recent ones are kept; older buttons stop working.
+     *
+     */
+    const MAX_KEPT_PAYLOADS = 1000;
+    const keptPayloads = new Map();
+    let lastPayloadKey = 0;
+
+    function callbackData(payload) {
+        if (Buffer.byteLength(payload) <= MAX_CALLBACK_DATA && payload.charAt(0) !== '#') {
+            return payload;
+        }
+        const key = `#${++lastPayloadKey}`;
+        keptPayloads.set(key, payload);
+        if (keptPayloads.size > MAX_KEPT_PAYLOADS) {
+            keptPayloads.delete(keptPayloads.keys().next().value);
+        }
+        return key;
+    }
+
+    // The payload of callback data, or null for a payload that is no longer kept
+    function payloadOf(data) {
+        if (data.charAt(0) !== '#') {
+            return data;
+        }
+        return keptPayloads.has(data) ? keptPayloads.get(data) : null;
+    }
+
+    // One button per row, as titles are often too long to fit side by side
+    const inlineKeyboard = (buttons) => ({
+        inline_keyboard: buttons.map((b) => [b.url ?
+            {text: b.title, url: b.url} :
+            {text: b.title, callback_data: callbackData(b.payload)}])
+    });
+
+    /*
+     * The Bot API has no way to look up a user, so the profile is taken from
+     * the last message or callback query of the user.
+     *
+     */
+    const profiles = new Map();
+
+    function rememberProfile(userId, from) {
+        if (from) {
+            profiles.set(userId, {first_name: from.first_name, locale: from.language_code});
+        }
+    }
+
+    function getUserProfile(userId) {
+        return Promise.resolve(profiles.get(userId) || {});
+    }
+
+    function sendTextMessage(recipientId, messageText) {
+        return send(recipientId, 'sendMessage', {text: messageText});
+    }
+
+    function sendImageMessage(recipientId, url) {
+        return send(recipientId, 'sendPhoto', {photo: `${url}`});
+    }
+
+    function sendQuickReplies(recipientId, quickReplies) {
+        return send(recipientId, 'sendMessage', {
+            text: quickReplies.text,
+            reply_markup: inlineKeyboard(quickReplies.data)
+        });
+    }
+
+    function sendButtonMessage(recipientId, buttons) {
+        return send(recipientId, 'sendMessage', {
+            text: buttons.text,
+            reply_markup: inlineKeyboard(buttons.data)
+        });
+    }
+
+    function sendGenericTemplate(recipientId, elements) {
+        return Promise.all(elements.slice(0, MAX_GENERIC_ELEMENTS).map((e) => {
+            const text = [e.title, e.subtitle].filter((x) => x).join('\n');
+            return e.image ?
+                send(recipientId, 'sendPhoto', {
+                    photo: `${e.image}`,
+                    caption: text.length > MAX_CAPTION ? `${text.slice(0, MAX_CAPTION - 1)}…` : text,
+                    reply_markup: inlineKeyboard(e.buttons)
+                }) :
+                send(recipientId, 'sendMessage', {text: text, reply_markup: inlineKeyboard(e.buttons)});
+        }));
+    }
+
+    function sendURL(recipientId, url, {text = 'Wil je meer weten?', title = 'Lees verder'} = {}) {
+        return send(recipientId, 'sendMessage', {
+            text: text,
+            reply_markup: inlineKeyboard([{title: title, url: url}])
+        });
+    }
+
+    function sendTypingOn(recipientId) {
+        return send(recipientId, 'sendChatAction', {action: 'typing'});
+    }
+
+    // Telegram stops showing the typing indicator by itself once a message arrives
+    function sendTypingOff() {
+        return Promise.resolve();
+    }
+
+    function sendTypingPause(recipientId, ms) {
+        sendTypingOn(recipientId);
+        return sendQueue.enqueue(recipientId, {pause: ms});
+    }
+
+    // Telegram has no rules for messages the user did not ask for
+    function canReach() {
+        return Promise.resolve(true);
+    }
+
+    function owns(userId) {
+        return `${userId}`.indexOf(PREFIX) === 0;
+    }
+
+    /*
+     * Middleware for the webhook route: rejects updates without the secret
+     * token that was given to setWebhook. Compared in constant time, via the
+     * digests so tokens of any length can be compared.
+     *
+     */
+    const digest = (value) => crypto.createHash('sha256').update(`${value}`).digest();
+
+    function requireSecretToken(req, res, next) {
+        const given = req.get('X-Telegram-Bot-Api-Secret-Token');
+        if (SECRET_TOKEN && given && crypto.timingSafeEqual(digest(given), digest(SECRET_TOKEN))) {
+            next();
+        } else {
+            log.warn("Rejecting a Telegram update", {reason: given ? 'wrong secret token' : 'missing secret token'});
+            res.sendStatus(403);
+        }
+    }
+
+    /*
+     * Tell Telegram where to send updates, with the secret token to send along.
+     *
+     */
+    function setWebhook(url) {
+        return callBotAPI('setWebhook', {
+            url: url,
+            secret_token: SECRET_TOKEN,
+            allowed_updates: ['message', 'callback_query']
+        });
+    }
+
+    // The user an update is from, or null for updates other than messages and callback queries
+    function senderOf(update) {
+        if (update.message) {
+            return userIdOf(update.message.chat.id);
+        }
+        if (update.callback_query) {
+            const query = update.callback_query;
+            return userIdOf(query.message ? query.message.chat.id : query.from.id);
+        }
+        return null;
+    }
+
+    // Commands like /quiz or /quiz@erfgoedbot are handled as the text quiz
+    const withoutCommand = (text) => text.replace(/^\/([a-z_]+)(@[A-Za-z0-9_]+)?/, '$1');
+
+    /*
+     * Message update. Text is handled like Messenger text, a shared location
+     * like a Messenger location attachment. Photos, stickers and the like
+     * are handled as attachments the bot does not understand.
+     *
+     */
+    function receivedMessage(update, {onTextMessage, onAttachments}) {
+        const message = update.message;
+        const senderID = senderOf(update);
+        rememberProfile(senderID, message.from);
+
+        log.info("Received Telegram message", {senderID: senderID, updateId: update.update_id, messageId: message.message_id});
+
+        if (message.location) {
+            onAttachments(senderID, [{
+                type: 'location',
+                payload: {coordinates: {lat: message.location.latitude, long: message.location.longitude}}
+            }]);
+        } else if (message.text) {
+            onTextMessage(withoutCommand(message.text), senderID);
+        } else {
+            onAttachments(senderID, []);
+        }
+    }
+
+    /*
+     * Callback query update, sent when a button of an inline keyboard is
+     * tapped. The query is answered right away, which stops the button from
+     * showing it is busy.
+     *
+     */
+    function receivedCallbackQuery(update, {onPostback}) {
+        const query = update.callback_query;
+        const senderID = senderOf(update);
+        rememberProfile(senderID, query.from);
+        const payload = payloadOf(query.data || '');
+
+        log.info("Received Telegram callback query", {senderID: senderID, updateId: update.update_id, payload: payload});
+
+        callBotAPI('answerCallbackQuery', Object.assign({callback_query_id: query.id},
+            payload === null ? {text: t(fromLocale(query.from.language_code), 'buttonExpired')} : {}))
+            .catch((err) => log.warn("Failed answering a callback query", {senderID: senderID, err: err}));
+
+        if (payload !== null) {
+            onPostback(senderID, payload);
+        }
+    }
+
+
+    return {
+        name: 'telegram',
+        owns: owns,
+        getUserProfile: getUserProfile,
+        canReach: canReach,
+        sendTypingOn: sendTypingOn,
+        sendTypingOff: sendTypingOff,
+        sendTypingPause: sendTypingPause,
+        sendURL: sendURL,
+        sendButtonMessage: sendButtonMessage,
+        sendQuickReplies: sendQuickReplies,
+        sendGenericTemplate: sendGenericTemplate,
+        sendTextMessage: sendTextMessage,
+        sendImageMessage: sendImageMessage,
+        requireSecretToken: requireSecretToken,
+        setWebhook: setWebhook,
+        senderOf: senderOf,
+        receivedMessage: receivedMessage,
+        receivedCallbackQuery: receivedCallbackQuery
+    };
+};
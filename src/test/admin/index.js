@@ -0,0 +1,103 @@
+const expect = require("expect");
+const express = require("express");
+const request = require("request");
+
+const log = require("../../log");
+const createAdmin = require("../../admin");
+const createActivity = require("../../bot/activity");
+const createFeatures = require("../../bot/features");
+const memoryStore = require("../../store/memory");
+
+describe("admin", () => {
+    let server, baseUrl, activity, features;
+
+    const start = (config) => new Promise((resolve) => {
+        const app = express();
+        app.use('/bot/admin', createAdmin(Object.assign({activity: activity, features: features}, config)));
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/bot/admin`;
+            resolve();
+        });
+    });
+
+    const call = (options) => new Promise((resolve, reject) =>
+        request(Object.assign({followRedirect: false}, options), (err, response, body) =>
+            err ? reject(err) : resolve({status: response.statusCode, headers: response.headers, body: body})));
+
+    const auth = {user: "admin", pass: "geheim"};
+
+    beforeEach(() => {
+        // Switching features is logged; keep the test output readable
+        log.configure({level: 'warn'});
+        activity = createActivity({salt: "salt"});
+        features = createFeatures(memoryStore(), {socialFeedback: true, 'source:gvn': true});
+    });
+
+    afterEach((done) => {
+        log.configure({});
+        server.close(done);
+    });
+
+    it("should not exist without a password", () => start({})
+        .then(() => call({uri: `${baseUrl}/`, auth: auth}))
+        .then((res) => expect(res.status).toEqual(404))
+    );
+
+    it("should ask for credentials", () => start({password: "geheim"})
+        .then(() => call({uri: `${baseUrl}/`}))
+        .then((res) => {
+            expect(res.status).toEqual(401);
+            expect(res.headers['www-authenticate']).toEqual('Basic realm="Erfgoedbot"');
+        })
+        .then(() => call({uri: `${baseUrl}/`, auth: {user: "admin", pass: "raden"}}))
+        .then((res) => expect(res.status).toEqual(401))
+    );
+
+    it("should show the activity with everything from users escaped", () => start({password: "geheim"})
+        .then(() => {
+            activity.messageReceived("123", "<script>alert('hoi')</script>");
+            activity.requested({id: "Q5598", name: "Rembrandt"});
+            activity.requested({id: "GVN|Onderwerp|Molens|120", name: "Molens"});
+            return call({uri: `${baseUrl}/`, auth: auth});
+        })
+        .then((res) => {
+            expect(res.status).toEqual(200);
+            expect(res.body).toInclude("Erfgoedbot beheer");
+            expect(res.body).toInclude("&lt;script&gt;alert(&#39;hoi&#39;)&lt;/script&gt;");
+            expect(res.body).toNotInclude("<script>");
+            expect(res.body).toNotInclude("123");
+            expect(res.body).toInclude("<td>Rembrandt</td><td>1</td>");
+            expect(res.body).toInclude("<td>Molens</td><td>1</td>");
+            expect(res.body).toInclude("Bron: gvn");
+        })
+    );
+
+    it("should switch features with the token from the page", () => start({password: "geheim", language: 'en'})
+        .then(() => call({uri: `${baseUrl}/`, auth: auth}))
+        .then((res) => {
+            const token = res.body.match(/name="token" value="([0-9a-f]+)"/)[1];
+            return call({
+                uri: `${baseUrl}/features`, method: 'POST', auth: auth,
+                form: {token: token, name: 'source:gvn', enabled: 'false'}
+            });
+        })
+        .then((res) => {
+            expect(res.status).toEqual(303);
+            expect(res.headers.location).toEqual('/bot/admin/');
+            expect(features.isEnabled('source:gvn')).toEqual(false);
+            return call({uri: `${baseUrl}/`, auth: auth});
+        })
+        .then((res) => expect(res.body).toMatch(/Source: gvn:\s*<strong>off<\/strong>/))
+    );
+
+    it("should refuse to switch features without the token", () => start({password: "geheim"})
+        .then(() => call({
+            uri: `${baseUrl}/features`, method: 'POST', auth: auth,
+            form: {name: 'socialFeedback', enabled: 'false'}
+        }))
+        .then((res) => {
+            expect(res.status).toEqual(403);
+            expect(features.isEnabled('socialFeedback')).toEqual(true);
+        })
+    );
+});
@@ -0,0 +1,80 @@
+const expect = require("expect");
+
+const createActivity = require("../../bot/activity");
+
+describe("activity", () => {
+    let activity, date;
+
+    beforeEach(() => {
+        date = new Date(Date.UTC(2017, 2, 12, 10, 0));
+        activity = createActivity({salt: "salt", now: () => date});
+    });
+
+    describe("conversations", () => {
+        it("should group messages by anonymised user, latest conversation first", () => {
+            activity.messageReceived("123", "rembrandt");
+            activity.messageSent("123", "Ik ga zoeken...");
+            activity.messageReceived("456", "molens");
+
+            const conversations = activity.conversations();
+            expect(conversations.length).toEqual(2);
+            expect(conversations[1].messages.map((m) => [m.incoming, m.text])).toEqual([
+                [true, "rembrandt"], [false, "Ik ga zoeken..."]
+            ]);
+            expect(conversations.map((c) => c.user)).toNotInclude("123").toNotInclude("456");
+            expect(conversations[1].user).toMatch(/^[0-9a-f]{10}$/);
+        });
+
+        it("should give the same user the same name", () => {
+            activity.messageReceived("123", "rembrandt");
+            activity.messageReceived("123", "meer");
+            expect(activity.conversations().length).toEqual(1);
+        });
+    });
+
+    describe("topRequests", () => {
+        it("should count painters and subjects apart", () => {
+            activity.requested({id: "Q5598", name: "Rembrandt"});
+            activity.requested({id: "Q5582", name: "Vincent van Gogh"});
+            activity.requested({id: "Q5598", name: "Rembrandt"});
+            activity.requested({id: "GVN|Onderwerp|Molens|120", name: "Molens"});
+
+            expect(activity.topRequests('painter')).toEqual([
+                {id: "Q5598", name: "Rembrandt", kind: 'painter', count: 2},
+                {id: "Q5582", name: "Vincent van Gogh", kind: 'painter', count: 1}
+            ]);
+            expect(activity.topRequests('subject').map((r) => r.name)).toEqual(["Molens"]);
+        });
+    });
+
+    describe("errors", () => {
+        it("should log failing queries with their endpoint and query", () => {
+            activity.queryFailed(`
+                https://query.wikidata.org/bigdata/namespace/wdq/sparql
+                ?format=json&query=${encodeURIComponent("SELECT ?item")}
+            `, new Error("ETIMEDOUT"));
+
+            expect(activity.queryFailures()).toEqual([
+                {endpoint: "query.wikidata.org", query: "SELECT ?item", error: "ETIMEDOUT", at: date}
+            ]);
+        });
+
+        it("should leave API keys out of failing API calls", () => {
+            activity.queryFailed("https://api.europeana.eu/record/v2/2021672/resource.json?wskey=secret", new Error("ETIMEDOUT"));
+
+            expect(activity.queryFailures()[0].query).toEqual("/record/v2/2021672/resource.json?wskey=[redacted]");
+        });
+
+        it("should log Send API errors without the sender ID", () => {
+            const err = Object.assign(new Error("Send API responded with 400 Bad Request"), {
+                statusCode: 400, error: {message: "(#100) No matching user found"}
+            });
+            activity.sendFailed("123", err);
+
+            const logged = activity.sendErrors()[0];
+            expect(logged.status).toEqual(400);
+            expect(logged.error).toEqual("(#100) No matching user found");
+            expect(logged.user).toNotEqual("123");
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const sinon = require("sinon");
+const expect = require("expect");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const createCache = require("../../bot/cache");
+const log = require("../../log");
+
+describe("cache", () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        time = 1000;
+    });
+
+    it("should return cached values until they expire", () => {
+        const cache = createCache({now});
+        cache.set("q", {results: 1}, 100);
+
+        time = 1099;
+        expect(cache.get("q")).toEqual({results: 1});
+
+        time = 1100;
+        expect(cache.get("q")).toEqual(undefined);
+    });
+
+    it("should evict the least recently used entry when full", () => {
+        const cache = createCache({maxSize: 2, now});
+        cache.set("a", 1, 100);
+        cache.set("b", 2, 100);
+        cache.get("a");
+        cache.set("c", 3, 100);
+
+        expect(cache.get("a")).toEqual(1);
+        expect(cache.get("b")).toEqual(undefined);
+        expect(cache.get("c")).toEqual(3);
+        expect(cache.stats().evictions).toEqual(1);
+    });
+
+    it("should count hits and misses", () => {
+        const cache = createCache({now});
+        cache.get("a");
+        cache.set("a", 1, 100);
+        cache.get("a");
+        cache.get("a");
+
+        expect(cache.stats()).toEqual({hits: 2, misses: 1, evictions: 0, size: 1, hitRatio: 2 / 3});
+    });
+
+    describe("persistence", () => {
+        const cachePath = path.join(os.tmpdir(), `erfgoedbot-cache-${process.pid}.json`);
+
+        afterEach(() => {
+            if (fs.existsSync(cachePath)) {
+                fs.unlinkSync(cachePath);
+            }
+        });
+
+        it("should load unexpired entries saved by a previous cache", () => {
+            const cache = createCache({path: cachePath, now});
+            cache.set("fresh", "yes", 1000);
+            cache.set("stale", "no", 10);
+
+            return cache.save().then(() => {
+                time = 1500;
+                const restored = createCache({path: cachePath, now});
+
+                expect(restored.get("fresh")).toEqual("yes");
+                expect(restored.get("stale")).toEqual(undefined);
+                expect(restored.stats().size).toEqual(1);
+            });
+        });
+
+        it("should start empty when the saved cache is corrupt", () => {
+            fs.writeFileSync(cachePath, '{"fresh": {"value": "ye');
+            sinon.stub(log, 'warn');
+
+            try {
+                const cache = createCache({path: cachePath, now});
+
+                expect(cache.stats().size).toEqual(0);
+                expect(log.warn.calledOnce).toEqual(true);
+            } finally {
+                log.warn.restore();
+            }
+        });
+    });
+});
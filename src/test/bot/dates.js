@@ -0,0 +1,63 @@
+const expect = require("expect");
+
+const { parse } = require("../../bot/dates");
+const { t } = require("../../i18n");
+
+describe("dates", () => {
+    const today = new Date(2017, 2, 31);
+
+    describe("parse", () => {
+        it("should understand numeric day-month dates", () => {
+            ["12-3", "12/03", "12.3", "12-3-1853", " 12 - 3 "].forEach((text) =>
+                expect(parse(text, today)).toEqual({day: 12, month: 3, event: "birth"})
+            );
+        });
+
+        it("should understand written month names and abbreviations", () => {
+            expect(parse("12 maart", today)).toEqual({day: 12, month: 3, event: "birth"});
+            expect(parse("1 Mei", today)).toEqual({day: 1, month: 5, event: "birth"});
+            expect(parse("3 okt.", today)).toEqual({day: 3, month: 10, event: "birth"});
+            expect(parse("30 maart 1853", today)).toEqual({day: 30, month: 3, event: "birth"});
+        });
+
+        it("should understand relative days", () => {
+            expect(parse("vandaag", today)).toEqual({day: 31, month: 3, event: "birth"});
+            expect(parse("morgen", today)).toEqual({day: 1, month: 4, event: "birth"});
+            expect(parse("gisteren", today)).toEqual({day: 30, month: 3, event: "birth"});
+        });
+
+        it("should understand questions about births and deaths", () => {
+            expect(parse("Wie is er geboren op 30 maart?", today)).toEqual({day: 30, month: 3, event: "birth"});
+            expect(parse("wie is er morgen jarig", today)).toEqual({day: 1, month: 4, event: "birth"});
+            expect(parse("schilders overleden op 29-7", today)).toEqual({day: 29, month: 7, event: "death"});
+            expect(parse("gestorven vandaag", today)).toEqual({day: 31, month: 3, event: "death"});
+        });
+
+        it("should reject dates that do not exist", () => {
+            expect(parse("31-02", today)).toEqual({error: "noSuchDay", day: 31, month: 2});
+            expect(parse("31 april", today)).toEqual({error: "noSuchDay", day: 31, month: 4});
+            expect(parse("12-13", today)).toEqual({error: "noSuchMonth", day: 12, month: 13});
+            expect(parse("0-5", today)).toEqual({error: "noSuchDay", day: 0, month: 5});
+        });
+
+        it("should name the message explaining a date that does not exist", () => {
+            const explain = (language, text) => {
+                const date = parse(text, today);
+                return t(language, date.error, date);
+            };
+
+            expect(explain("nl", "31-02")).toEqual("31 februari bestaat niet. Typ bijvoorbeeld 12-3 of 12 maart.");
+            expect(explain("nl", "12-13")).toEqual("Er is geen maand 13. Typ bijvoorbeeld 12-3 of 12 maart.");
+            expect(explain("en", "31-02")).toEqual("31-2 does not exist. Type a date like 12-3.");
+        });
+
+        it("should accept 29 February", () => {
+            expect(parse("29-2", today)).toEqual({day: 29, month: 2, event: "birth"});
+        });
+
+        it("should leave messages that are not about dates alone", () => {
+            ["jan-willem", "van gogh", "maart", "rembrandt 1606", "van gogh 30-3", "monumenten in alphen-aan-den-rijn"]
+                .forEach((text) => expect(parse(text, today)).toEqual(null));
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const rp = require("request-promise");
+const Bluebird = require('bluebird');
+require('sinon-as-promised')(Bluebird);
+const sinon = require("sinon");
+const expect = require("expect");
+
+const createEuropeana = require("../../bot/europeana");
+
+describe("europeana", () => {
+    const europeana = createEuropeana({apiKey: "api2demo", reusability: "open"});
+    let rpStub;
+
+    it("should need an API key", () => {
+        expect(() => createEuropeana({})).toThrow(/apiKey/);
+    });
+
+    describe("search", () => {
+        afterEach(() => rpStub.restore());
+
+        it("should search images from Dutch providers", (done) => {
+            rpStub = sinon.stub(rp, 'get').resolves(require("./res/europeana-search"));
+
+            europeana.search("molen", "nl", () => {
+                try {
+                    const uri = rpStub.firstCall.args[0].uri;
+                    expect(uri).toMatch(/^https:\/\/api\.europeana\.eu\/record\/v2\/search\.json\?query=molen&/);
+                    expect(uri).toMatch(/&wskey=api2demo$/);
+                    expect(uri).toContain(`qf=${encodeURIComponent('COUNTRY:"netherlands"')}`);
+                    expect(uri).toContain("qf=TYPE:IMAGE&media=true&thumbnail=true&reusability=open");
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should map the results onto images with their rights statement", (done) => {
+            rpStub = sinon.stub(rp, 'get').resolves(require("./res/europeana-search"));
+
+            europeana.search("molen", "nl", (err, images) => {
+                try {
+                    expect(err).toEqual(null);
+                    expect(images).toEqual([{
+                        image: "https://lh3.ggpht.com/molen=s0",
+                        label: "Winterlandschap met een molen",
+                        description: "Jacob van Ruisdael",
+                        subjectName: "Jacob van Ruisdael",
+                        author: "EUR|who|Jacob van Ruisdael",
+                        collection: "Rijksmuseum",
+                        rights: "http://creativecommons.org/publicdomain/mark/1.0/",
+                        id: "/90402/SK_A_4118",
+                        url: "https://www.europeana.eu/item/90402/SK_A_4118"
+                    }, {
+                        image: "https://api.europeana.eu/thumbnail/v2/url.json?uri=https%3A%2F%2Fwww.mauritshuis.nl%2F1023.jpg&type=IMAGE",
+                        label: "Molen bij Wijk bij Duurstede",
+                        description: "",
+                        subjectName: null,
+                        author: null,
+                        collection: "Mauritshuis",
+                        rights: "http://rightsstatements.org/vocab/InC/1.0/",
+                        id: "/2021672/resource_document_mauritshuis_1023",
+                        url: "https://www.europeana.eu/item/2021672/resource_document_mauritshuis_1023"
+                    }]);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should respond with a message when nothing was found", (done) => {
+            rpStub = sinon.stub(rp, 'get').resolves({success: true, itemsCount: 0, totalResults: 0, items: []});
+
+            europeana.search("xyzzy", "nl", (err, images) => {
+                try {
+                    expect(err).toEqual("Geen beeld gevonden");
+                    expect(images).toEqual(null);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    });
+
+    describe("record", () => {
+        afterEach(() => rpStub.restore());
+
+        it("should map the record onto an image in the requested language", (done) => {
+            rpStub = sinon.stub(rp, 'get').resolves(require("./res/europeana-record"));
+
+            europeana.record("/90402/SK_A_4118", "en", (err, image) => {
+                try {
+                    expect(rpStub.firstCall.args[0].uri)
+                        .toEqual("https://api.europeana.eu/record/v2/90402/SK_A_4118.json?wskey=api2demo");
+                    expect(err).toEqual(null);
+                    expect(image.label).toEqual("Winter landscape with a windmill");
+                    expect(image.author).toEqual("EUR|who|Jacob van Ruisdael");
+                    expect(image.image).toEqual("https://lh3.ggpht.com/molen=s0");
+                    expect(image.collection).toEqual("Rijksmuseum");
+                    expect(image.rights).toEqual("http://creativecommons.org/publicdomain/mark/1.0/");
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should respond with a message for unknown records", (done) => {
+            const notFound = new Error("404 - Invalid record identifier");
+            notFound.statusCode = 404;
+            rpStub = sinon.stub(rp, 'get').rejects(notFound);
+
+            europeana.record("/1/nope", "nl", (err, image) => {
+                try {
+                    expect(err).toEqual("Geen beeld gevonden");
+                    expect(image).toEqual(null);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const sinon = require("sinon");
+const expect = require("expect");
+
+const log = require("../../log");
+const createEventQueue = require("../../bot/event-queue");
+
+describe("event queue", () => {
+    let time, handled, queue;
+
+    beforeEach(() => {
+        time = 1000;
+        handled = [];
+        queue = createEventQueue({
+            handle: (event) => handled.push(event.id),
+            window: 60000,
+            now: () => time
+        });
+    });
+
+    it("should handle events later, in order", () => {
+        expect(queue.enqueue({id: 1, message: {mid: "mid.1"}})).toBe(true);
+        expect(queue.enqueue({id: 2, read: {watermark: 1}})).toBe(true);
+        expect(handled).toEqual([]);
+        return queue.drain().then(() => expect(handled).toEqual([1, 2]));
+    });
+
+    it("should drop events seen within the window", () => {
+        queue.enqueue({id: 1, message: {mid: "mid.1"}});
+        queue.enqueue({id: 2, sender: {id: "123"}, timestamp: 5, postback: {payload: "Q5598"}});
+        time += 59999;
+        expect(queue.enqueue({id: 3, message: {mid: "mid.1"}})).toBe(false);
+        expect(queue.enqueue({id: 4, sender: {id: "123"}, timestamp: 5, postback: {payload: "Q5598"}})).toBe(false);
+        expect(queue.enqueue({id: 5, sender: {id: "456"}, timestamp: 5, postback: {payload: "Q5598"}})).toBe(true);
+        return queue.drain().then(() => expect(handled).toEqual([1, 2, 5]));
+    });
+
+    it("should handle events again after the window", () => {
+        queue.enqueue({id: 1, message: {mid: "mid.1"}});
+        time += 60000;
+        expect(queue.enqueue({id: 2, message: {mid: "mid.1"}})).toBe(true);
+        return queue.drain().then(() => expect(handled).toEqual([1, 2]));
+    });
+
+    it("should keep going when handling an event fails", () => {
+        const failing = createEventQueue({
+            handle: (event) => {
+                if (event.fail) {
+                    throw new Error("failed");
+                }
+                handled.push(event.id);
+            }
+        });
+        sinon.stub(log, 'error');
+        failing.enqueue({id: 1, fail: true});
+        failing.enqueue({id: 2});
+        return failing.drain()
+            .then(() => log.error.restore(), (err) => {
+                log.error.restore();
+                throw err;
+            })
+            .then(() => expect(handled).toEqual([2]));
+    });
+});
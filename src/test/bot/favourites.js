@@ -0,0 +1,62 @@
+const expect = require("expect");
+
+const memoryStore = require("../../store/memory");
+const createFavourites = require("../../bot/favourites");
+
+describe("favourites", () => {
+    const zonnebloemen = {
+        source: "wikidata",
+        id: "Q19836161",
+        label: "Allotment with Sunflower",
+        description: "painting by Vincent van Gogh, 1887",
+        image: "http://commons.wikimedia.org/wiki/Special:FilePath/Zonnebloem.jpg?width=800",
+        url: "http://www.vggallery.com/painting/p_0388v.htm",
+        collection: "Van Gogh Museum",
+        author: "Q5582",
+        subjectName: "Vincent van Gogh"
+    };
+    const molen = {source: "gvn", id: "urn:gvn:SFA03:SFA022812340", label: "Molen", author: null};
+    let favourites;
+
+    beforeEach(() => {
+        favourites = createFavourites(memoryStore());
+    });
+
+    it("should start without favourites", () =>
+        favourites.list("123").then((saved) => expect(saved).toEqual([]))
+    );
+
+    it("should keep the latest favourites first, with only what is needed to show them", () =>
+        favourites.add("123", zonnebloemen)
+            .then(() => favourites.add("123", molen))
+            .then(() => favourites.list("123"))
+            .then((saved) => {
+                expect(saved.map((favourite) => favourite.id)).toEqual(["urn:gvn:SFA03:SFA022812340", "Q19836161"]);
+                expect(Object.keys(saved[0]).sort()).toEqual(["id", "label", "savedAt", "source"]);
+                expect(saved[1].subjectName).toEqual(undefined);
+                expect(saved[1].author).toEqual("Q5582");
+            })
+    );
+
+    it("should save an item only once per sender", () =>
+        favourites.add("123", zonnebloemen)
+            .then((added) => expect(added).toEqual(true))
+            .then(() => favourites.add("123", zonnebloemen))
+            .then((added) => expect(added).toEqual(false))
+            .then(() => favourites.add("456", zonnebloemen))
+            .then((added) => expect(added).toEqual(true))
+            .then(() => favourites.list("123"))
+            .then((saved) => expect(saved.length).toEqual(1))
+    );
+
+    it("should remove favourites by source and id", () =>
+        favourites.add("123", zonnebloemen)
+            .then(() => favourites.add("123", molen))
+            .then(() => favourites.remove("123", "wikidata", "Q19836161"))
+            .then((removed) => expect(removed.label).toEqual("Allotment with Sunflower"))
+            .then(() => favourites.remove("123", "gvn", "Q19836161"))
+            .then((removed) => expect(removed).toEqual(null))
+            .then(() => favourites.list("123"))
+            .then((saved) => expect(saved.map((favourite) => favourite.id)).toEqual(["urn:gvn:SFA03:SFA022812340"]))
+    );
+});
@@ -0,0 +1,41 @@
+const expect = require("expect");
+
+const memoryStore = require("../../store/memory");
+const createFeatures = require("../../bot/features");
+
+describe("features", () => {
+    let store, features;
+
+    beforeEach(() => {
+        store = memoryStore();
+        features = createFeatures(store, {socialFeedback: true, 'source:gvn': true});
+    });
+
+    it("should start with the defaults", () => {
+        expect(features.isEnabled('socialFeedback')).toEqual(true);
+        expect(features.all()).toEqual({socialFeedback: true, 'source:gvn': true});
+    });
+
+    it("should switch features and keep the switches", () =>
+        features.set('source:gvn', false)
+            .then(() => {
+                expect(features.isEnabled('source:gvn')).toEqual(false);
+                return createFeatures(store, {socialFeedback: true, 'source:gvn': true}).load();
+            })
+            .then((loaded) => expect(loaded).toEqual({socialFeedback: true, 'source:gvn': false}))
+    );
+
+    it("should reject unknown features", () =>
+        features.set('teleport', true)
+            .then(() => { throw new Error("Expected an unknown feature to be rejected"); }, (err) => {
+                expect(err.message).toEqual("Unknown feature: teleport");
+                expect(features.all().teleport).toEqual(undefined);
+            })
+    );
+
+    it("should ignore saved switches of features that no longer exist", () =>
+        store.set('source:europeana', false)
+            .then(() => features.load())
+            .then((loaded) => expect(loaded).toEqual({socialFeedback: true, 'source:gvn': true}))
+    );
+});
@@ -0,0 +1,73 @@
+const Bluebird = require('bluebird');
+require('sinon-as-promised')(Bluebird);
+const sinon = require("sinon");
+const expect = require("expect");
+
+const queries = require("../../bot/queries");
+const log = require("../../log");
+const { search } = require("../../bot/gvn")({url: "http://gvn.test/api"});
+
+describe("gvn", () => {
+
+    describe("search", () => {
+        afterEach(() => queries.query.restore());
+
+        it("should respond with matching subjects, the most illustrated first", (done) => {
+            sinon.stub(queries, 'query').resolves({
+                facets: [
+                    {name: "Onderwerp", values: ["Molens (12)", "Watermolens (40)", "Kerken (80)"]},
+                    {name: "Plaats", values: ["Molenaarsgraaf (12)"]},
+                    {name: "OnderwerpEN", values: ["Mills (40)"]}
+                ]
+            });
+
+            search("molen", 'nl', (err, subjects) => {
+                try {
+                    expect(err).toEqual(null);
+                    expect(subjects).toEqual([
+                        {title: "Watermolens", payload: "GVN|Onderwerp|Watermolens|40", count: 40},
+                        {title: "Molenaarsgraaf", payload: "GVN|Plaats|Molenaarsgraaf|12", count: 12},
+                        {title: "Molens", payload: "GVN|Onderwerp|Molens|12", count: 12}
+                    ]);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should respond with a message when the source is unavailable", (done) => {
+            sinon.stub(queries, 'query').rejects(new Error("ETIMEDOUT"));
+
+            search("molen", 'nl', (err, subjects) => {
+                try {
+                    expect(err).toEqual("Het Geheugen van Nederland is nu even niet bereikbaar. Probeer het later nog eens.");
+                    expect(subjects).toEqual(null);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should log an error of the callback and call it back with the apology", (done) => {
+            sinon.stub(queries, 'query').resolves({facets: []});
+            sinon.stub(log, 'error');
+
+            const callback = sinon.spy((err) => {
+                if (callback.callCount === 1) {
+                    throw new Error("Handler failed");
+                }
+                log.error.restore();
+                try {
+                    expect(err).toEqual("Het Geheugen van Nederland is nu even niet bereikbaar. Probeer het later nog eens.");
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+
+            search("molen", 'nl', callback);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+const expect = require("expect");
+
+const createMetrics = require("../../bot/metrics");
+
+describe("metrics", () => {
+    let metrics, date;
+
+    beforeEach(() => {
+        date = new Date(Date.UTC(2017, 2, 12, 10, 0));
+        metrics = createMetrics(() => date);
+    });
+
+    describe("render", () => {
+        it("should count events by type and intents", () => {
+            metrics.eventReceived('message');
+            metrics.eventReceived('message');
+            metrics.eventReceived('read');
+            metrics.intentHandled('quiz');
+
+            const text = metrics.render();
+            expect(text).toInclude('# TYPE erfgoedbot_messaging_events_total counter');
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="message"} 2');
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="read"} 1');
+            expect(text).toInclude('erfgoedbot_intents_total{intent="quiz"} 1');
+        });
+
+        it("should keep a latency histogram and failures per endpoint", () => {
+            metrics.queryFinished("https://query.wikidata.org/sparql?query=x", 0.3, null);
+            metrics.queryFinished("https://query.wikidata.org/sparql?query=y", 4, new Error("ETIMEDOUT"));
+
+            const text = metrics.render();
+            expect(text).toInclude('erfgoedbot_query_duration_seconds_bucket{endpoint="query.wikidata.org",le="0.25"} 0');
+            expect(text).toInclude('erfgoedbot_query_duration_seconds_bucket{endpoint="query.wikidata.org",le="0.5"} 1');
+            expect(text).toInclude('erfgoedbot_query_duration_seconds_bucket{endpoint="query.wikidata.org",le="+Inf"} 2');
+            expect(text).toInclude('erfgoedbot_query_duration_seconds_sum{endpoint="query.wikidata.org"} 4.3');
+            expect(text).toInclude('erfgoedbot_query_failures_total{endpoint="query.wikidata.org"} 1');
+        });
+
+        it("should count Send API results by status code", () => {
+            metrics.sendFinished(200);
+            metrics.sendFinished(400);
+            metrics.sendFinished(0);
+
+            const text = metrics.render();
+            expect(text).toInclude('erfgoedbot_send_api_requests_total{result="success",status="200"} 1');
+            expect(text).toInclude('erfgoedbot_send_api_requests_total{result="failure",status="400"} 1');
+            expect(text).toInclude('erfgoedbot_send_api_requests_total{result="failure",status="0"} 1');
+        });
+
+        it("should count distinct active users of the day", () => {
+            metrics.userActive("123");
+            metrics.userActive("123");
+            metrics.userActive("456");
+            expect(metrics.render()).toInclude('erfgoedbot_daily_active_users 2');
+
+            date = new Date(Date.UTC(2017, 2, 13, 0, 1));
+            metrics.userActive("789");
+            expect(metrics.render()).toInclude('erfgoedbot_daily_active_users 1');
+        });
+
+        it("should read the hits and misses of the cache", () => {
+            expect(metrics.render()).toInclude('erfgoedbot_cache_hits_total 0');
+
+            metrics.watchCache(() => ({hits: 3, misses: 2, evictions: 0, size: 2, hitRatio: 0.6}));
+
+            const text = metrics.render();
+            expect(text).toInclude('# TYPE erfgoedbot_cache_hits_total counter');
+            expect(text).toInclude('erfgoedbot_cache_hits_total 3');
+            expect(text).toInclude('erfgoedbot_cache_misses_total 2');
+            expect(text).toInclude('erfgoedbot_cache_entries 2');
+        });
+    });
+
+    describe("route", () => {
+        const request = (headers, query) => ({get: (name) => headers[name], query: query || {}});
+        const response = () => {
+            const res = {headers: {}};
+            res.sendStatus = (status) => { res.status = status; };
+            res.set = (name, value) => { res.headers[name] = value; };
+            res.send = (body) => { res.status = 200; res.body = body; };
+            return res;
+        };
+
+        it("should only render metrics for the token in the Authorization header", () => {
+            const route = createMetrics.route(metrics, "secret");
+            const authorized = response(), byQuery = response(), wrong = response(), missing = response();
+
+            route(request({Authorization: "Bearer secret"}), authorized);
+            route(request({}, {token: "secret"}), byQuery);
+            route(request({Authorization: "Bearer guess"}), wrong);
+            route(request({}), missing);
+
+            expect(authorized.status).toEqual(200);
+            expect(authorized.body).toInclude('# TYPE erfgoedbot_daily_active_users gauge');
+            expect(byQuery.status).toEqual(403);
+            expect(wrong.status).toEqual(403);
+            expect(missing.status).toEqual(403);
+        });
+
+        it("should not exist without a token", () => {
+            const res = response();
+            createMetrics.route(metrics, undefined)(request({}, {token: ""}), res);
+            expect(res.status).toEqual(404);
+        });
+    });
+});
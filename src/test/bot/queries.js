@@ -1,7 +1,15 @@
+const rp = require("request-promise");
+const Bluebird = require('bluebird');
+require('sinon-as-promised')(Bluebird);
+const sinon = require("sinon");
 const expect = require("expect");
+const createCache = require("../../bot/cache");
+const createMetrics = require("../../bot/metrics");
+const queries = require("../../bot/queries");
+const { QueryParameterError } = require("../../bot/sparql");
 
 const {
-    monuments, painterByDate, paintingsByArtist, searchPainters, randomArtist
+    monuments, places, monumentsNearby, painterByDate, paintingsByArtist, artwork, searchPainters, randomArtist
 } = require("../../bot/queries");
 
 const splitAndFilter = (str) => str
@@ -12,16 +20,50 @@ const splitAndFilter = (str) => str
 describe("queries", () => {
 
     describe("monuments", () => {
-        it("should build a sparql query based on the location name", () => {
-            const result = splitAndFilter(monuments("utrecht"));
+        it("should build a paged sparql query based on the location ID", () => {
+            const result = splitAndFilter(monuments("Q803", 4, 3));
 
-            expect(result.length).toEqual(6);
-            expect(result[0]).toEqual("SELECT ?item ?itemLabel ?itemDescription ?image WHERE {");
+            expect(result.length).toEqual(8);
+            expect(result[0]).toEqual("SELECT ?item ?itemLabel ?itemDescription (SAMPLE(?picture) AS ?image) WHERE {");
             expect(result[1]).toEqual("?item wdt:P1435 wd:Q916333 .");
-            expect(result[2]).toEqual("?item wdt:P131 wd:utrecht .");
-            expect(result[3]).toEqual("?item wdt:P18 ?image .");
+            expect(result[2]).toEqual("?item wdt:P131 wd:Q803 .");
+            expect(result[3]).toEqual("?item wdt:P18 ?picture .");
             expect(result[4]).toEqual(`SERVICE wikibase:label { bd:serviceParam wikibase:language "nl". }`);
-            expect(result[5]).toEqual("} LIMIT 100");
+            expect(result[5]).toEqual("} GROUP BY ?item ?itemLabel ?itemDescription");
+            expect(result[6]).toEqual("ORDER BY ?itemLabel ?item");
+            expect(result[7]).toEqual("LIMIT 4 OFFSET 3");
+        });
+    });
+
+    describe("places", () => {
+        it("should build a sparql query searching Dutch places by name", () => {
+            const result = splitAndFilter(places("bergen"));
+
+            expect(result.length).toEqual(11);
+            expect(result[0]).toEqual("SELECT DISTINCT ?item ?itemLabel ?provinceLabel WHERE {");
+            expect(result[2]).toEqual(`bd:serviceParam wikibase:endpoint "www.wikidata.org"; wikibase:api "EntitySearch"; mwapi:search "bergen"; mwapi:language "nl" .`);
+            expect(result[5]).toEqual("?item wdt:P17 wd:Q55 .");
+            expect(result[7]).toEqual("VALUES ?type { wd:Q2039348 wd:Q486972 }");
+            expect(result[10]).toEqual("} LIMIT 10");
+        });
+    });
+
+    describe("monumentsNearby", () => {
+        it("should build a sparql query around the given coordinates", () => {
+            const result = splitAndFilter(monumentsNearby(52.09, 5.12, 2));
+
+            expect(result.length).toEqual(11);
+            expect(result[0]).toEqual("SELECT ?item ?itemLabel ?itemDescription ?image ?distance WHERE {");
+            expect(result[1]).toEqual("SERVICE wikibase:around {");
+            expect(result[2]).toEqual("?item wdt:P625 ?location .");
+            expect(result[3]).toEqual(`bd:serviceParam wikibase:center "Point(5.12 52.09)"^^geo:wktLiteral .`);
+            expect(result[4]).toEqual(`bd:serviceParam wikibase:radius "2" .`);
+            expect(result[5]).toEqual("bd:serviceParam wikibase:distance ?distance .");
+            expect(result[6]).toEqual("}");
+            expect(result[7]).toEqual("?item wdt:P1435 ?heritage .");
+            expect(result[8]).toEqual("?item wdt:P18 ?image .");
+            expect(result[9]).toEqual(`SERVICE wikibase:label { bd:serviceParam wikibase:language "nl". }`);
+            expect(result[10]).toEqual("} ORDER BY ?distance LIMIT 10");
         });
     });
 
@@ -43,9 +85,21 @@ describe("queries", () => {
         });
     });
 
+    describe("painterByDate for deaths", () => {
+        it("should query the date of death instead of birth", () => {
+            const result = splitAndFilter(painterByDate(7, 29, "death"));
+
+            expect(result[4]).toEqual("?entity wdt:P570 ?date.");
+        });
+
+        it("should reject unknown events", () => {
+            expect(() => painterByDate(7, 29, "wedding")).toThrow(QueryParameterError);
+        });
+    });
+
     describe("paintingsByArtist", () => {
         it("should build a sparql query based on the artist ID", () => {
-            const id = 123;
+            const id = "Q123";
             const result = splitAndFilter(paintingsByArtist(id));
 
             expect(result.length).toEqual(7);
@@ -59,6 +113,17 @@ describe("queries", () => {
         });
     });
 
+    describe("artwork", () => {
+        it("should build a sparql query for a single artwork and its maker", () => {
+            const result = splitAndFilter(artwork("Q19836161"));
+
+            expect(result.length).toEqual(8);
+            expect(result[1]).toEqual("VALUES ?item { wd:Q19836161 }");
+            expect(result[5]).toEqual("OPTIONAL { ?item wdt:P170 ?creator . }");
+            expect(result[7]).toEqual("} LIMIT 1");
+        });
+    });
+
     describe("searchPainters", () => {
         it("should build a sparql query based on the query string", () => {
             const query = "gogh";
@@ -88,5 +153,100 @@ describe("queries", () => {
             expect(result[6]).toEqual(`SERVICE wikibase:label { bd:serviceParam wikibase:language "en,nl" }`);
             expect(result[7]).toEqual("} LIMIT 1000");
         });
-    })
-});
\ No newline at end of file
+    });
+
+    describe("hostile input", () => {
+        it("should keep quotes in a painter search inside the string literal", () => {
+            const result = splitAndFilter(searchPainters(`gogh") || CONTAINS(?x, "`));
+
+            expect(result[3]).toEqual(`FILTER( CONTAINS(LCASE(?label), "gogh\\") || CONTAINS(?x, \\"") || CONTAINS(LCASE(?altLabel), "gogh\\") || CONTAINS(?x, \\"") ) .`);
+        });
+
+        it("should keep braces in a place search inside the string literal", () => {
+            const result = splitAndFilter(places(`bergen" } ?s ?p ?o { "`));
+
+            expect(result[2]).toEqual(`bd:serviceParam wikibase:endpoint "www.wikidata.org"; wikibase:api "EntitySearch"; mwapi:search "bergen\\" } ?s ?p ?o { \\""; mwapi:language "nl" .`);
+        });
+
+        it("should reject anything but item IDs for artists and locations", () => {
+            expect(() => paintingsByArtist("Q5582 . ?x ?y ?z")).toThrow(QueryParameterError);
+            expect(() => monuments("Q803 }", 10, 0)).toThrow(QueryParameterError);
+        });
+
+        it("should reject dates that are not numbers", () => {
+            expect(() => painterByDate("jan", "willem")).toThrow(QueryParameterError);
+            expect(() => painterByDate("10) || (1", 5)).toThrow(QueryParameterError);
+        });
+
+        it("should reject coordinates that are not numbers", () => {
+            expect(() => monumentsNearby("52.09) ?x", 5.12, 2)).toThrow(QueryParameterError);
+        });
+    });
+
+    describe("query", () => {
+        let rpStub;
+        beforeEach(() => {
+            rpStub = sinon.stub(rp, 'get');
+            rpStub.resolves({results: {bindings: []}});
+        });
+
+        afterEach(() => {
+            rpStub.restore();
+            queries.useCache(null);
+            queries.useMetrics(createMetrics());
+        });
+
+        it("should only call the endpoint once for a cached query", () => {
+            queries.useCache(createCache());
+
+            return queries.query("SELECT 1")
+                .then(() => queries.query("SELECT 1"))
+                .then((data) => {
+                    expect(data).toEqual({results: {bindings: []}});
+                    expect(rpStub.callCount).toEqual(1);
+                    expect(queries.cacheStats().hits).toEqual(1);
+                });
+        });
+
+        it("should call the endpoint every time without a cache", () =>
+            queries.query("SELECT 1")
+                .then(() => queries.query("SELECT 1"))
+                .then(() => {
+                    expect(rpStub.callCount).toEqual(2);
+                    expect(queries.cacheStats()).toEqual(null);
+                })
+        );
+
+        it("should send keys along without caching them", () => {
+            const cache = createCache();
+            queries.useCache(cache);
+            const url = "https://api.europeana.eu/record/v2/search.json?query=molen";
+
+            return queries.query(null, url, queries.TTL.DEFAULT, {wskey: "api2demo"})
+                .then(() => queries.query(null, url, queries.TTL.DEFAULT, {wskey: "api2demo"}))
+                .then(() => {
+                    expect(rpStub.callCount).toEqual(1);
+                    expect(rpStub.firstCall.args[0].uri).toEqual(`${url}&wskey=api2demo`);
+                    expect(cache.get(url)).toEqual({results: {bindings: []}});
+                });
+        });
+
+        it("should measure the calls to the endpoint and count failures", () => {
+            const metrics = createMetrics();
+            queries.useMetrics(metrics);
+            const badRequest = Object.assign(new Error("Bad Request"), {statusCode: 400});
+
+            return queries.query("SELECT 1")
+                .then(() => {
+                    rpStub.rejects(badRequest);
+                    return queries.query("SELECT 2");
+                })
+                .then(() => { throw new Error("Expected the query to fail"); }, (err) => {
+                    expect(err).toBe(badRequest);
+                    const text = metrics.render();
+                    expect(text).toInclude('erfgoedbot_query_duration_seconds_count{endpoint="query.wikidata.org"} 2');
+                    expect(text).toInclude('erfgoedbot_query_failures_total{endpoint="query.wikidata.org"} 1');
+                });
+        });
+    });
+});
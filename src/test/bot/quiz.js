@@ -0,0 +1,92 @@
+const sinon = require("sinon");
+const expect = require("expect");
+
+const queries = require("../../bot/queries");
+const wikidata = require("../../bot/wikidata")();
+const { question, wrongAnswers, useWikidata } = require("../../bot/quiz");
+
+const binding = (id, name, born, movement) => Object.assign({
+    item: {type: "uri", value: `http://www.wikidata.org/entity/${id}`},
+    itemLabel: {type: "literal", value: name},
+    born: {type: "literal", value: `${born}`}
+}, movement ? {movement: {type: "uri", value: `http://www.wikidata.org/entity/${movement}`}} : {});
+
+describe("quiz", () => {
+    before(() => useWikidata(wikidata));
+
+    const rembrandt = {id: "Q5598", name: "Rembrandt", born: 1606, movements: ["Q17144"]};
+    const vermeer = {id: "Q41264", name: "Johannes Vermeer", born: 1632, movements: ["Q17144"]};
+    const hals = {id: "Q167654", name: "Frans Hals", born: 1582, movements: []};
+    const mondriaan = {id: "Q151803", name: "Piet Mondriaan", born: 1872, movements: ["Q171630"]};
+    const vanGogh = {id: "Q5582", name: "Vincent van Gogh", born: 1853, movements: ["Q166713"]};
+
+    describe("wrongAnswers", () => {
+        it("should prefer painters of the same movement, then of the same era", () => {
+            const answers = wrongAnswers(rembrandt, [rembrandt, mondriaan, vanGogh, hals, vermeer]);
+            expect(answers.map((p) => p.id)).toEqual(["Q41264", "Q167654"]);
+        });
+
+        it("should fill up with other painters", () => {
+            const answers = wrongAnswers(mondriaan, [rembrandt, mondriaan]);
+            expect(answers.map((p) => p.id)).toEqual(["Q5598"]);
+            expect(wrongAnswers(vanGogh, [rembrandt, vanGogh, hals]).length).toEqual(2);
+        });
+    });
+
+    describe("question", () => {
+        const artwork = {id: "Q219831", label: "De Nachtwacht", description: "schilderij van Rembrandt", image: "nachtwacht.jpg"};
+
+        afterEach(() => {
+            queries.query.restore();
+            wikidata.paintingsByArtist.restore();
+        });
+
+        it("should ask who painted an artwork, with the answer among three options", (done) => {
+            sinon.stub(queries, 'query', () => Promise.resolve({results: {bindings: [
+                binding("Q5598", "Rembrandt", 1606, "Q17144"),
+                binding("Q41264", "Johannes Vermeer", 1632, "Q17144"),
+                binding("Q167654", "Frans Hals", 1582),
+                binding("Q12345", "Q12345", 1600)
+            ]}}));
+            sinon.stub(wikidata, 'paintingsByArtist', (id, language, responseCallback) =>
+                responseCallback(null, Object.assign({}, artwork, {author: id})));
+
+            question('nl', (err, result) => {
+                expect(err).toEqual(null);
+                expect(result.options.length).toEqual(3);
+                expect(result.options.map((p) => p.id).sort()).toEqual(["Q167654", "Q41264", "Q5598"]);
+                expect(result.options).toInclude(result.answer);
+                expect(result.artwork.author).toEqual(result.answer.id);
+                done();
+            });
+        });
+
+        it("should try another painter when there is no painting", (done) => {
+            sinon.stub(queries, 'query', () => Promise.resolve({results: {bindings: [
+                binding("Q5598", "Rembrandt", 1606), binding("Q41264", "Johannes Vermeer", 1632), binding("Q167654", "Frans Hals", 1582)
+            ]}}));
+            const stub = sinon.stub(wikidata, 'paintingsByArtist', (id, language, responseCallback) => stub.callCount < 2 ?
+                responseCallback("Sorry, ik kan geen schilderijen vinden.", null) :
+                responseCallback(null, Object.assign({}, artwork, {author: id})));
+
+            question('nl', (err, result) => {
+                expect(err).toEqual(null);
+                expect(stub.callCount).toEqual(2);
+                expect(result.artwork.author).toEqual(result.answer.id);
+                done();
+            });
+        });
+
+        it("should apologise when Wikidata is unavailable", (done) => {
+            sinon.stub(queries, 'query', () => Promise.reject(new Error("ETIMEDOUT")));
+            sinon.stub(wikidata, 'paintingsByArtist');
+
+            question('en', (err, result) => {
+                expect(err).toBeA('string');
+                expect(result).toEqual(null);
+                expect(wikidata.paintingsByArtist.called).toEqual(false);
+                done();
+            });
+        });
+    });
+});
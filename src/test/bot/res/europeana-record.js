@@ -0,0 +1,38 @@
+// Record API response for /90402/SK_A_4118, trimmed to the fields the bot uses
+module.exports = {
+    "apikey": "api2demo",
+    "success": true,
+    "object": {
+        "about": "/90402/SK_A_4118",
+        "type": "IMAGE",
+        "proxies": [
+            {
+                "about": "/proxy/provider/90402/SK_A_4118",
+                "europeanaProxy": false,
+                "dcTitle": {
+                    "nl": ["Winterlandschap met een molen"],
+                    "en": ["Winter landscape with a windmill"]
+                },
+                "dcCreator": {
+                    "def": ["Jacob van Ruisdael"]
+                }
+            },
+            {
+                "about": "/proxy/europeana/90402/SK_A_4118",
+                "europeanaProxy": true
+            }
+        ],
+        "aggregations": [
+            {
+                "about": "/aggregation/provider/90402/SK_A_4118",
+                "edmDataProvider": {"def": ["Rijksmuseum"]},
+                "edmIsShownBy": "https://lh3.ggpht.com/molen=s0",
+                "edmObject": "https://lh3.ggpht.com/molen=s400",
+                "edmRights": {"def": ["http://creativecommons.org/publicdomain/mark/1.0/"]}
+            }
+        ],
+        "europeanaAggregation": {
+            "edmPreview": "https://api.europeana.eu/thumbnail/v2/url.json?uri=https%3A%2F%2Flh3.ggpht.com%2Fmolen&type=IMAGE"
+        }
+    }
+};
@@ -0,0 +1,38 @@
+// Search API response for "molen" with qf=COUNTRY:"netherlands"&qf=TYPE:IMAGE&media=true, trimmed to two items
+module.exports = {
+    "apikey": "api2demo",
+    "success": true,
+    "requestNumber": 999,
+    "itemsCount": 2,
+    "totalResults": 5432,
+    "items": [
+        {
+            "id": "/90402/SK_A_4118",
+            "type": "IMAGE",
+            "title": ["Winter landscape with a windmill"],
+            "dcTitleLangAware": {
+                "nl": ["Winterlandschap met een molen"],
+                "def": ["Winter landscape with a windmill"]
+            },
+            "dcCreator": ["Jacob van Ruisdael"],
+            "dataProvider": ["Rijksmuseum"],
+            "provider": ["Rijksmuseum"],
+            "country": ["netherlands"],
+            "rights": ["http://creativecommons.org/publicdomain/mark/1.0/"],
+            "edmPreview": ["https://api.europeana.eu/thumbnail/v2/url.json?uri=https%3A%2F%2Flh3.ggpht.com%2Fmolen&type=IMAGE"],
+            "edmIsShownBy": ["https://lh3.ggpht.com/molen=s0"],
+            "guid": "https://www.europeana.eu/item/90402/SK_A_4118?utm_source=api&utm_medium=api&utm_campaign=api2demo",
+            "link": "https://api.europeana.eu/record/90402/SK_A_4118.json?wskey=api2demo"
+        },
+        {
+            "id": "/2021672/resource_document_mauritshuis_1023",
+            "type": "IMAGE",
+            "title": ["Molen bij Wijk bij Duurstede"],
+            "dataProvider": ["Mauritshuis"],
+            "country": ["netherlands"],
+            "rights": ["http://rightsstatements.org/vocab/InC/1.0/"],
+            "edmPreview": ["https://api.europeana.eu/thumbnail/v2/url.json?uri=https%3A%2F%2Fwww.mauritshuis.nl%2F1023.jpg&type=IMAGE"],
+            "guid": "https://www.europeana.eu/item/2021672/resource_document_mauritshuis_1023?utm_source=api&utm_medium=api&utm_campaign=api2demo"
+        }
+    ]
+};
@@ -0,0 +1,67 @@
+module.exports = [
+    {
+        "item": {
+            "type": "uri",
+            "value": "http://www.wikidata.org/entity/Q1142019"
+        },
+        "itemLabel": {
+            "xml:lang": "nl",
+            "type": "literal",
+            "value": "Domkerk"
+        },
+        "itemDescription": {
+            "xml:lang": "nl",
+            "type": "literal",
+            "value": "kerkgebouw in Utrecht"
+        },
+        "image": {
+            "type": "uri",
+            "value": "http://commons.wikimedia.org/wiki/Special:FilePath/Utrecht%20Domkerk.jpg"
+        },
+        "distance": {
+            "datatype": "http://www.w3.org/2001/XMLSchema#double",
+            "type": "literal",
+            "value": "0.412"
+        }
+    },
+    {
+        "item": {
+            "type": "uri",
+            "value": "http://www.wikidata.org/entity/Q744059"
+        },
+        "itemLabel": {
+            "xml:lang": "nl",
+            "type": "literal",
+            "value": "Domtoren"
+        },
+        "image": {
+            "type": "uri",
+            "value": "http://commons.wikimedia.org/wiki/Special:FilePath/Domtoren%20Utrecht.jpg"
+        },
+        "distance": {
+            "datatype": "http://www.w3.org/2001/XMLSchema#double",
+            "type": "literal",
+            "value": "0.108"
+        }
+    },
+    {
+        "item": {
+            "type": "uri",
+            "value": "http://www.wikidata.org/entity/Q744059"
+        },
+        "itemLabel": {
+            "xml:lang": "nl",
+            "type": "literal",
+            "value": "Domtoren"
+        },
+        "image": {
+            "type": "uri",
+            "value": "http://commons.wikimedia.org/wiki/Special:FilePath/Domtoren%20Utrecht%202.jpg"
+        },
+        "distance": {
+            "datatype": "http://www.w3.org/2001/XMLSchema#double",
+            "type": "literal",
+            "value": "0.108"
+        }
+    }
+];
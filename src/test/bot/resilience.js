@@ -0,0 +1,121 @@
+const expect = require("expect");
+
+const createResilience = require("../../bot/resilience");
+const { TimeoutError, CircuitOpenError } = createResilience;
+
+const URI = "https://query.wikidata.org/bigdata/namespace/wdq/sparql?query=x";
+
+const failing = (err) => {
+    let calls = 0;
+    const fn = () => {
+        calls++;
+        return Promise.reject(err);
+    };
+    fn.calls = () => calls;
+    return fn;
+};
+
+const expectRejection = (promise, check) => promise.then(
+    () => { throw new Error("Expected a rejection"); },
+    check
+);
+
+describe("resilience", () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        time = 0;
+    });
+
+    it("should resolve with the result of a successful call", () =>
+        createResilience({now}).call(URI, () => Promise.resolve("data"))
+            .then((data) => expect(data).toEqual("data"))
+    );
+
+    it("should time out slow calls", () =>
+        expectRejection(
+            createResilience({timeout: 10, retries: 0, now}).call(URI, () => new Promise(() => {})),
+            (err) => expect(err).toBeA(TimeoutError)
+        )
+    );
+
+    it("should retry transient failures", () => {
+        let calls = 0;
+        const fn = () => ++calls < 3 ? Promise.reject({statusCode: 503}) : Promise.resolve("data");
+
+        return createResilience({retries: 2, backoff: 1, now}).call(URI, fn).then((data) => {
+            expect(data).toEqual("data");
+            expect(calls).toEqual(3);
+        });
+    });
+
+    it("should not retry client errors", () => {
+        const fn = failing({statusCode: 400});
+
+        return expectRejection(createResilience({retries: 2, backoff: 1, now}).call(URI, fn), (err) => {
+            expect(err.statusCode).toEqual(400);
+            expect(fn.calls()).toEqual(1);
+        });
+    });
+
+    it("should open the circuit after repeated failures and close it after a successful trial", () => {
+        const resilience = createResilience({retries: 0, failureThreshold: 2, resetTimeout: 1000, now});
+        const fn = failing(new Error("down"));
+
+        return expectRejection(resilience.call(URI, fn), () => {})
+            .then(() => expectRejection(resilience.call(URI, fn), () => {}))
+            .then(() => {
+                expect(resilience.state(URI)).toEqual("open");
+                return expectRejection(resilience.call(URI, fn), (err) => {
+                    expect(err).toBeA(CircuitOpenError);
+                    expect(fn.calls()).toEqual(2);
+                });
+            })
+            .then(() => {
+                time = 1000;
+                return resilience.call(URI, () => Promise.resolve("data"));
+            })
+            .then((data) => {
+                expect(data).toEqual("data");
+                expect(resilience.state(URI)).toEqual("closed");
+            });
+    });
+
+    it("should let only one trial call through a half-open circuit", () => {
+        const resilience = createResilience({retries: 0, failureThreshold: 1, resetTimeout: 1000, now});
+        let finishTrial;
+        const trial = () => new Promise((resolve) => {
+            finishTrial = resolve;
+        });
+        const other = failing(new Error("should not be called"));
+
+        return expectRejection(resilience.call(URI, failing(new Error("down"))), () => {})
+            .then(() => {
+                time = 1000;
+                const first = resilience.call(URI, trial);
+                return expectRejection(resilience.call(URI, other), (err) => {
+                    expect(err).toBeA(CircuitOpenError);
+                    expect(other.calls()).toEqual(0);
+                    expect(resilience.state(URI)).toEqual("half-open");
+                    finishTrial("data");
+                    return first;
+                });
+            })
+            .then((data) => {
+                expect(data).toEqual("data");
+                return resilience.call(URI, () => Promise.resolve("more data"));
+            })
+            .then((data) => expect(data).toEqual("more data"));
+    });
+
+    it("should keep circuits per endpoint", () => {
+        const resilience = createResilience({retries: 0, failureThreshold: 1, now});
+
+        return expectRejection(resilience.call(URI, failing(new Error("down"))), () => {})
+            .then(() => {
+                expect(resilience.state(URI)).toEqual("open");
+                expect(resilience.state("http://gvn.example.org/results")).toEqual("closed");
+            });
+    });
+});
@@ -0,0 +1,68 @@
+const expect = require("expect");
+
+const memoryStore = require("../../store/memory");
+const createSubscriptions = require("../../bot/subscriptions");
+
+// The dates below are in the time zone of the machine running the tests
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const createScheduler = require("../../bot/scheduler");
+
+describe("scheduler", () => {
+    let store, date, delivered;
+
+    const scheduler = (deliver) => createScheduler({
+        subscriptions: createSubscriptions(store, {now: () => date, timeZone: LOCAL_TIME_ZONE}),
+        deliver: deliver || ((senderID, subscription) => {
+            delivered.push([senderID, subscription.language]);
+            return Promise.resolve();
+        }),
+        now: () => date
+    });
+
+    beforeEach(() => {
+        store = memoryStore();
+        date = new Date(2017, 2, 12, 8, 0);
+        delivered = [];
+        return createSubscriptions(store, {now: () => date, timeZone: LOCAL_TIME_ZONE}).subscribe("123", {time: "09:00", language: "nl"});
+    });
+
+    it("should deliver subscriptions once their time has come, once a day", () => {
+        const daily = scheduler();
+        return daily.tick()
+            .then(() => expect(delivered).toEqual([]))
+            .then(() => date = new Date(2017, 2, 12, 9, 0))
+            .then(() => daily.tick())
+            .then(() => daily.tick())
+            .then(() => expect(delivered).toEqual([["123", "nl"]]))
+            .then(() => date = new Date(2017, 2, 13, 9, 1))
+            .then(() => daily.tick())
+            .then(() => expect(delivered).toEqual([["123", "nl"], ["123", "nl"]]));
+    });
+
+    it("should catch up after a restart without sending twice", () => {
+        date = new Date(2017, 2, 12, 15, 0);
+        return scheduler().tick()
+            .then(() => scheduler().tick())
+            .then(() => expect(delivered).toEqual([["123", "nl"]]));
+    });
+
+    it("should not retry failed deliveries the same day", () => {
+        date = new Date(2017, 2, 12, 9, 0);
+        let attempts = 0;
+        const daily = scheduler(() => {
+            attempts++;
+            return Promise.reject(new Error("(#10) This message is sent outside of allowed window."));
+        });
+
+        return daily.tick()
+            .then(() => daily.tick())
+            .then(() => expect(attempts).toEqual(1));
+    });
+
+    it("should not run checks side by side", () => {
+        date = new Date(2017, 2, 12, 9, 0);
+        const daily = scheduler();
+        return Promise.all([daily.tick(), daily.tick()])
+            .then(() => expect(delivered.length).toEqual(1));
+    });
+});
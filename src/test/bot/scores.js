@@ -0,0 +1,65 @@
+const expect = require("expect");
+
+const memoryStore = require("../../store/memory");
+const createScores = require("../../bot/scores");
+const { weekOf } = require("../../bot/scores");
+
+describe("scores", () => {
+    let scores, date;
+
+    beforeEach(() => {
+        date = new Date(2017, 2, 12, 10, 0);
+        scores = createScores(memoryStore(), () => date);
+    });
+
+    describe("weekOf", () => {
+        it("should give the ISO week", () => {
+            expect(weekOf(new Date(2017, 2, 12))).toEqual("2017-W10");
+            expect(weekOf(new Date(2017, 2, 13))).toEqual("2017-W11");
+            expect(weekOf(new Date(2017, 0, 1))).toEqual("2016-W52");
+            expect(weekOf(new Date(2015, 11, 31))).toEqual("2015-W53");
+        });
+    });
+
+    describe("record", () => {
+        it("should keep the score and the streak", () =>
+            scores.record("123", {correct: true, name: "Anna"})
+                .then(() => scores.record("123", {correct: true}))
+                .then((score) => {
+                    expect(score.score).toEqual(2);
+                    expect(score.streak).toEqual(2);
+                    expect(score.name).toEqual("Anna");
+                })
+                .then(() => scores.record("123", {correct: false}))
+                .then((score) => {
+                    expect(score.score).toEqual(2);
+                    expect(score.answered).toEqual(3);
+                    expect(score.streak).toEqual(0);
+                    expect(score.bestStreak).toEqual(2);
+                })
+        );
+
+        it("should start at zero for new players", () =>
+            scores.get("123").then((score) => {
+                expect(score.score).toEqual(0);
+                expect(score.answered).toEqual(0);
+            })
+        );
+    });
+
+    describe("leaderboard", () => {
+        it("should rank the points of this week", () =>
+            scores.record("123", {correct: true, name: "Anna"})
+                .then(() => { date = new Date(2017, 2, 13, 10, 0); })
+                .then(() => scores.record("456", {correct: true, name: "Bert"}))
+                .then(() => scores.record("456", {correct: true, name: "Bert"}))
+                .then(() => scores.record("789", {correct: true, name: "Carla"}))
+                .then(() => scores.record("123", {correct: false, name: "Anna"}))
+                .then(() => scores.leaderboard())
+                .then((leaderboard) => expect(leaderboard).toEqual([
+                    {senderID: "456", name: "Bert", points: 2},
+                    {senderID: "789", name: "Carla", points: 1}
+                ]))
+        );
+    });
+});
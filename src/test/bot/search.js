@@ -1,76 +1,113 @@
 const sinon = require("sinon");
 const expect = require("expect");
 
-const wikidata = require("../../bot/wikidata");
-const {  paintingsByArtist, searchPainters, painterByDate, getMonuments, randomArtist } = require("../../bot/search");
+const wikidata = require("../../bot/wikidata")();
+const { createSources } = require("../../sources");
+const memoryStore = require("../../store/memory");
+const createFeatures = require("../../bot/features");
+const log = require("../../log");
+const {  itemsByCreator, artworkOfTheDay, useSources, useWikidata, useFeatures, searchAll, painterByDate, getMonuments, searchPlaces, monumentsNearby, randomArtist } = require("../../bot/search");
 
 describe("search", () => {
+    before(() => useWikidata(wikidata));
 
-    describe("paintingsByArtist", () => {
-        it("should invoke wikidata.paintingsByArtist and handle success", (done) => {
-            const searchResult = {payload: "payload"};
-            const finalize = (e) => {
-                wikidata.paintingsByArtist.restore();
-                done(e);
-            };
+    describe("itemsByCreator", () => {
+        const sources = createSources([{type: 'wikidata'}]);
+        const source = sources.get('wikidata');
+        before(() => useSources(sources));
+        after(() => useSources(createSources()));
+        afterEach(() => source.itemsByCreator.restore());
 
-            const assertCallback = (err, data) => {
+        it("should respond with a carousel of the works of a painter", (done) => {
+            const items = [{id: "Q1", label: "Zonnebloemen"}, {id: "Q2", label: "De aardappeleters"}];
+            sinon.stub(source, 'itemsByCreator', (id, language, responseCallback) => responseCallback(null, items));
+
+            itemsByCreator("Q5582", 'nl', (err, data) => {
                 try {
                     expect(err).toEqual(null);
                     expect(data).toEqual({
-                        images: searchResult,
-                        type: 'images'
+                        type: 'carousel',
+                        text: 'Deze werken heb ik gevonden:',
+                        author: 'Q5582',
+                        items: items
                     });
-                    finalize();
+                    done();
                 } catch(e) {
-                    finalize(e);
+                    done(e);
                 }
-            };
+            });
+        });
+
+        it("should respond with a single work as an image", (done) => {
+            sinon.stub(source, 'itemsByCreator', (id, language, responseCallback) =>
+                responseCallback(null, [{id: "Q1", label: "Zonnebloemen"}]));
 
-            sinon.stub(wikidata, 'paintingsByArtist', (id, responseCallback) => {
+            itemsByCreator("Q5582", 'nl', (err, data) => {
                 try {
-                    expect(id).toEqual(123);
-                    responseCallback(null, searchResult, assertCallback);
-                } catch (e) {
-                    finalize(e);
+                    expect(data).toEqual({type: 'images', images: {id: "Q1", label: "Zonnebloemen"}});
+                    done();
+                } catch(e) {
+                    done(e);
                 }
             });
-
-            paintingsByArtist(123, assertCallback);
         });
 
-        it("should invoke wikidata.paintingsByArtist and handle an error", (done) => {
-            const error = {error: "error"};
-            const finalize = (e) => {
-                wikidata.paintingsByArtist.restore();
-                done(e);
-            };
+        it("should respond with a message for ids of sources that are not configured", (done) => {
+            sinon.stub(source, 'itemsByCreator');
 
-            const assertCallback = (err, data) => {
+            itemsByCreator("GVN|Onderwerp|Molens|120", 'nl', (err, data) => {
                 try {
-                    expect(err).toEqual(error);
+                    expect(source.itemsByCreator.called).toEqual(false);
+                    expect(err).toEqual('Geen resultaten gevonden');
                     expect(data).toEqual(null);
-                    finalize();
+                    done();
                 } catch(e) {
-                    finalize(e);
+                    done(e);
                 }
-            };
+            });
+        });
+    });
+
+    describe("artworkOfTheDay", () => {
+        afterEach(() => {
+            wikidata.painterByDate.restore();
+            wikidata.paintingsByArtist.restore();
+        });
 
-            sinon.stub(wikidata, 'paintingsByArtist', (id, responseCallback) => {
+        it("should show a work by a painter born today who has works with an image", (done) => {
+            sinon.stub(wikidata, 'painterByDate', (month, day, event, language, responseCallback) => {
+                expect([month, day, event]).toEqual([3, 30, 'birth']);
+                responseCallback(null, {data: [{title: "Vincent van Gogh", payload: "Q5582"}, {title: "Onbekend", payload: "Q1"}]});
+            });
+            sinon.stub(wikidata, 'paintingsByArtist', (id, language, responseCallback) => id === "Q5582" ?
+                responseCallback(null, {id: "Q19836161", label: "Allotment with Sunflower", author: "Q5582"}) :
+                responseCallback("Sorry, daar kan ik geen schilderijen van vinden.", null));
+
+            artworkOfTheDay(new Date(2017, 2, 30), 'nl', (err, data) => {
                 try {
-                    responseCallback(error, null, assertCallback);
-                } catch (e) {
-                    finalize(e);
+                    expect(err).toEqual(null);
+                    expect(data).toEqual({
+                        type: 'images',
+                        bornToday: true,
+                        images: {
+                            source: 'wikidata',
+                            subjectName: "Vincent van Gogh",
+                            id: "Q19836161",
+                            label: "Allotment with Sunflower",
+                            author: "Q5582"
+                        }
+                    });
+                    done();
+                } catch(e) {
+                    done(e);
                 }
             });
-
-            paintingsByArtist(123, assertCallback);
         });
     });
 
     describe("getMonuments", () => {
         it("should invoke wikidata.getMonuments and handle success", (done) => {
-            const searchResult = {payload: "payload"};
+            const searchResult = {monuments: [{label: "Domtoren"}], next: 3};
             const finalize = (e) => {
                 wikidata.getMonuments.restore();
                 done(e);
@@ -80,8 +117,10 @@ describe("search", () => {
                 try {
                     expect(err).toEqual(null);
                     expect(data).toEqual({
-                        images: searchResult,
-                        type: 'images'
+                        items: [{label: "Domtoren"}],
+                        text: 'Deze monumenten heb ik gevonden:',
+                        more: 'MON|Q803|3',
+                        type: 'carousel'
                     });
                     finalize();
                 } catch(e) {
@@ -89,9 +128,37 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'getMonuments', (responseCallback) => responseCallback(null, searchResult, assertCallback));
+            sinon.stub(wikidata, 'getMonuments', (location, offset, language, responseCallback) => {
+                try {
+                    expect(location).toEqual("Q803");
+                    expect(offset).toEqual(0);
+                    responseCallback(null, searchResult);
+                } catch (e) {
+                    finalize(e);
+                }
+            });
+
+            getMonuments("Q803", 0, 'nl', assertCallback);
+        });
+
+        it("should not offer more monuments on the last page", (done) => {
+            const finalize = (e) => {
+                wikidata.getMonuments.restore();
+                done(e);
+            };
+
+            sinon.stub(wikidata, 'getMonuments', (location, offset, language, responseCallback) =>
+                responseCallback(null, {monuments: [], next: null}));
 
-            getMonuments(assertCallback);
+            getMonuments("Q803", 3, 'nl', (err, data) => {
+                try {
+                    expect(data.more).toEqual(null);
+                    expect(data.text).toEqual('Hier zijn er nog een paar:');
+                    finalize();
+                } catch(e) {
+                    finalize(e);
+                }
+            });
         });
 
         it("should invoke wikidata.getMonuments and handle an error", (done) => {
@@ -111,17 +178,85 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'getMonuments', (responseCallback) => responseCallback(error, null, assertCallback));
+            sinon.stub(wikidata, 'getMonuments', (location, offset, language, responseCallback) => responseCallback(error, null));
 
-            getMonuments(assertCallback);
+            getMonuments("Q803", 0, 'nl', assertCallback);
         });
     });
 
-    describe("searchPainters", () => {
-        it("should invoke wikidata.searchPainters and handle success", (done) => {
-            const searchResult = {payload: "payload"};
+    describe("searchPlaces", () => {
+        let monumentsStub;
+        afterEach(() => {
+            wikidata.searchPlaces.restore();
+            if (monumentsStub) {
+                monumentsStub.restore();
+                monumentsStub = null;
+            }
+        });
+
+        it("should ask which place is meant when the name is ambiguous", (done) => {
+            sinon.stub(wikidata, 'searchPlaces', (name, language, responseCallback) => responseCallback(null, [
+                {id: "Q9934", label: "Bergen", province: "Noord-Holland"},
+                {id: "Q9833", label: "Bergen", province: "Limburg"}
+            ]));
+
+            searchPlaces("bergen", 'nl', (err, data) => {
+                try {
+                    expect(err).toEqual(null);
+                    expect(data).toEqual({
+                        type: 'buttons',
+                        buttons: {
+                            text: 'Welke plaats bedoel je?',
+                            data: [
+                                {title: 'Bergen (Noord-Holland)', payload: 'MON|Q9934|0'},
+                                {title: 'Bergen (Limburg)', payload: 'MON|Q9833|0'}
+                            ]
+                        }
+                    });
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should show monuments right away for a single place", (done) => {
+            sinon.stub(wikidata, 'searchPlaces', (name, language, responseCallback) =>
+                responseCallback(null, [{id: "Q803", label: "Utrecht", province: "Utrecht"}]));
+            monumentsStub = sinon.stub(wikidata, 'getMonuments', (location, offset, language, responseCallback) =>
+                responseCallback(null, {monuments: [], next: null}));
+
+            searchPlaces("utrecht", 'nl', (err, data) => {
+                try {
+                    expect(monumentsStub.calledWith("Q803", 0)).toEqual(true);
+                    expect(data.type).toEqual('carousel');
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should respond with a message when no place was found", (done) => {
+            sinon.stub(wikidata, 'searchPlaces', (name, language, responseCallback) => responseCallback(null, []));
+
+            searchPlaces("atlantis", 'nl', (err, data) => {
+                try {
+                    expect(err).toEqual('Sorry, ik kan geen plaats vinden die zo heet.');
+                    expect(data).toEqual(null);
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+        });
+    });
+
+    describe("monumentsNearby", () => {
+        it("should invoke wikidata.monumentsNearby and handle success", (done) => {
+            const searchResult = [{label: "Domtoren"}];
             const finalize = (e) => {
-                wikidata.searchPainters.restore();
+                wikidata.monumentsNearby.restore();
                 done(e);
             };
 
@@ -129,8 +264,9 @@ describe("search", () => {
                 try {
                     expect(err).toEqual(null);
                     expect(data).toEqual({
-                        buttons: searchResult,
-                        type: 'buttons'
+                        items: searchResult,
+                        text: 'Dit zijn de monumenten het dichtst bij jou in de buurt:',
+                        type: 'carousel'
                     });
                     finalize();
                 } catch(e) {
@@ -138,22 +274,23 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'searchPainters', (q, responseCallback) => {
+            sinon.stub(wikidata, 'monumentsNearby', (lat, long, language, responseCallback) => {
                 try {
-                    expect(q).toEqual("q");
-                    responseCallback(null, searchResult, assertCallback);
+                    expect(lat).toEqual(52.09);
+                    expect(long).toEqual(5.12);
+                    responseCallback(null, searchResult);
                 } catch (e) {
                     finalize(e);
                 }
             });
 
-            searchPainters("q", assertCallback);
+            monumentsNearby(52.09, 5.12, 'nl', assertCallback);
         });
 
-        it("should invoke wikidata.searchPainters and handle an error", (done) => {
+        it("should invoke wikidata.monumentsNearby and handle an error", (done) => {
             const error = {error: "error"};
             const finalize = (e) => {
-                wikidata.searchPainters.restore();
+                wikidata.monumentsNearby.restore();
                 done(e);
             };
 
@@ -167,15 +304,151 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'searchPainters', (q, responseCallback) => {
+            sinon.stub(wikidata, 'monumentsNearby', (lat, long, language, responseCallback) => responseCallback(error, null));
+
+            monumentsNearby(52.09, 5.12, 'nl', assertCallback);
+        });
+    });
+
+    describe("searchAll", () => {
+        const sources = createSources([{type: 'wikidata'}, {type: 'gvn', url: "http://gvn.test/api"}]);
+        const wikidataSource = sources.get('wikidata');
+        const gvnSource = sources.get('gvn');
+
+        before(() => useSources(sources));
+        after(() => useSources(createSources()));
+
+        afterEach(() => {
+            wikidataSource.search.restore();
+            gvnSource.search.restore();
+        });
+
+        const hits = (data) => data.map((hit) => ({id: hit.payload, title: hit.title}));
+        const painters = (data) => sinon.stub(wikidataSource, 'search', (q, language, responseCallback) =>
+            responseCallback(null, hits(data)));
+        const subjects = (data) => sinon.stub(gvnSource, 'search', (q, language, responseCallback) =>
+            responseCallback(null, hits(data)));
+
+        it("should merge painters and subjects into one ranked list labelled by source", (done) => {
+            painters([
+                {title: "Willem Witsen", payload: "Q2627353"},
+                {title: "Witte de With", payload: "Q123"}
+            ]);
+            subjects([
+                {title: "Zwaluwen in de witte lucht", payload: "GVN|Onderwerp|Zwaluwen in de witte lucht|3"},
+                {title: "Wit", payload: "GVN|Onderwerp|Wit|12"},
+                {title: "Witte Wieven", payload: "GVN|Onderwerp|Witte Wieven|40"}
+            ]);
+
+            searchAll(" Wit", 'nl', (err, data) => {
                 try {
-                    responseCallback(error, null, assertCallback);
-                } catch (e) {
-                    finalize(e);
+                    expect(err).toEqual(null);
+                    expect(data.type).toEqual('buttons');
+                    expect(data.buttons.text).toEqual(
+                        "Dit heb ik gevonden (🖼 een onderwerp uit het Geheugen van Nederland, 🎨 een schilder uit Wikidata):");
+                    expect(data.buttons.data.map((choice) => choice.title)).toEqual([
+                        "🖼 Wit",
+                        "🎨 Witte de With",
+                        "🖼 Witte Wieven",
+                        "🎨 Willem Witsen",
+                        "🖼 Zwaluwen in de witte lucht"
+                    ]);
+                    expect(data.buttons.data[1]).toEqual({
+                        title: "🎨 Witte de With",
+                        name: "Witte de With",
+                        source: 'wikidata',
+                        payload: "Q123"
+                    });
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should answer with the sources that are available", (done) => {
+            sinon.stub(wikidataSource, 'search', (q, language, responseCallback) =>
+                responseCallback("Wikidata is nu even niet bereikbaar.", null));
+            subjects([{title: "Molens", payload: "GVN|Onderwerp|Molens|120"}]);
+
+            searchAll("molen", 'nl', (err, data) => {
+                try {
+                    expect(err).toEqual(null);
+                    expect(data.buttons.data.map((choice) => choice.payload)).toEqual(["GVN|Onderwerp|Molens|120"]);
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should apologise when no source has anything", (done) => {
+            sinon.stub(wikidataSource, 'search', (q, language, responseCallback) =>
+                responseCallback("Sorry, ik kan geen schilders vinden die zo heten.", null));
+            subjects([]);
+
+            searchAll("xyzzy", 'nl', (err, data) => {
+                try {
+                    expect(err).toEqual("Sorry, ik kan niets vinden dat zo heet.");
+                    expect(data).toEqual(null);
+                    done();
+                } catch(e) {
+                    done(e);
                 }
             });
+        });
+
+        it("should leave out the sources that are switched off", () => {
+            const features = createFeatures(memoryStore(), {'source:wikidata': true, 'source:gvn': true});
+            painters([{title: "Molenaer", payload: "Q3806459"}]);
+            subjects([{title: "Molens", payload: "GVN|Onderwerp|Molens|120"}]);
+            useFeatures(features);
+
+            return features.set('source:gvn', false)
+                .then(() => new Promise((resolve) => searchAll("molen", 'nl', (err, data) => resolve(data))))
+                .then((data) => {
+                    expect(data.buttons.data.map((choice) => choice.payload)).toEqual(["Q3806459"]);
+                    expect(gvnSource.search.called).toEqual(false);
+                })
+                .then(() => useFeatures(null), (err) => {
+                    useFeatures(null);
+                    throw err;
+                });
+        });
 
-            searchPainters("q", assertCallback);
+        it("should pass on the apology when every source failed", (done) => {
+            sinon.stub(wikidataSource, 'search', (q, language, responseCallback) =>
+                responseCallback("Wikidata is nu even niet bereikbaar.", null));
+            sinon.stub(gvnSource, 'search', (q, language, responseCallback) =>
+                responseCallback("Het Geheugen van Nederland is nu even niet bereikbaar.", null));
+
+            searchAll("molen", 'nl', (err) => {
+                try {
+                    expect(err).toEqual("Wikidata is nu even niet bereikbaar.");
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should apologise when a source throws", (done) => {
+            painters([{title: "Molenaer", payload: "Q3806459"}]);
+            sinon.stub(gvnSource, 'search', () => {
+                throw new Error("Broken source");
+            });
+            sinon.stub(log, 'error');
+
+            searchAll("molen", 'nl', (err, data) => {
+                log.error.restore();
+                try {
+                    expect(err).toEqual("Er ging iets mis: Broken source");
+                    expect(data).toEqual(null);
+                    done();
+                } catch(e) {
+                    done(e);
+                }
+            });
         });
     });
 
@@ -200,7 +473,7 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'painterByDate', (d, m, responseCallback) => {
+            sinon.stub(wikidata, 'painterByDate', (d, m, event, language, responseCallback) => {
                 try {
                     expect(d).toEqual(1);
                     expect(m).toEqual(2);
@@ -210,7 +483,7 @@ describe("search", () => {
                 }
             });
 
-            painterByDate(1, 2, assertCallback);
+            painterByDate(1, 2, 'birth', 'nl', assertCallback);
         });
 
         it("should invoke wikidata.painterByDate and handle null", (done) => {
@@ -229,7 +502,7 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'painterByDate', (d, m, responseCallback) => {
+            sinon.stub(wikidata, 'painterByDate', (d, m, event, language, responseCallback) => {
                 try {
                     expect(d).toEqual(1);
                     expect(m).toEqual(2);
@@ -239,7 +512,7 @@ describe("search", () => {
                 }
             });
 
-            painterByDate(1, 2, assertCallback);
+            painterByDate(1, 2, 'birth', 'nl', assertCallback);
         });
     });
 
@@ -264,10 +537,10 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'randomArtist', (responseCallback) =>
+            sinon.stub(wikidata, 'randomArtist', (language, responseCallback) =>
                 responseCallback(null, searchResult, assertCallback));
 
-            randomArtist(assertCallback);
+            randomArtist('nl', assertCallback);
         });
 
         it("should invoke wikidata.randomArtist and handle an error", (done) => {
@@ -287,10 +560,10 @@ describe("search", () => {
                 }
             };
 
-            sinon.stub(wikidata, 'randomArtist', (responseCallback) =>
+            sinon.stub(wikidata, 'randomArtist', (language, responseCallback) =>
                 responseCallback(error, null, assertCallback));
 
-            randomArtist(assertCallback);
+            randomArtist('nl', assertCallback);
         });
     });
 
@@ -0,0 +1,54 @@
+const expect = require("expect");
+
+const memoryStore = require("../../store/memory");
+const createSessions = require("../../bot/session");
+
+describe("session", () => {
+    let sessions;
+
+    beforeEach(() => {
+        sessions = createSessions(memoryStore());
+    });
+
+    it("should start with an empty session for unknown senders", () =>
+        sessions.get("123").then((session) => expect(session).toEqual({
+            lastArtist: null,
+            lastArtwork: null,
+            searchHistory: [],
+            choices: [],
+            language: null,
+            quiz: null,
+            step: "idle"
+        }))
+    );
+
+    it("should merge updates into the existing session", () =>
+        sessions.update("123", {lastArtist: {id: "Q5582", name: "Vincent van Gogh"}})
+            .then(() => sessions.update("123", {step: "viewing"}))
+            .then(() => sessions.get("123"))
+            .then((session) => {
+                expect(session.lastArtist).toEqual({id: "Q5582", name: "Vincent van Gogh"});
+                expect(session.step).toEqual("viewing");
+            })
+    );
+
+    it("should keep the latest searches first and cap the history", () => {
+        const searches = Array.from({length: 12}, (x, i) => `search ${i}`);
+
+        return searches
+            .reduce((chain, q) => chain.then(() => sessions.addSearch("123", q)), Promise.resolve())
+            .then(() => sessions.get("123"))
+            .then((session) => {
+                expect(session.searchHistory.length).toEqual(10);
+                expect(session.searchHistory[0]).toEqual("search 11");
+                expect(session.step).toEqual("choosing");
+            });
+    });
+
+    it("should forget a session on reset", () =>
+        sessions.update("123", {step: "viewing"})
+            .then(() => sessions.reset("123"))
+            .then(() => sessions.get("123"))
+            .then((session) => expect(session.step).toEqual("idle"))
+    );
+});
@@ -0,0 +1,95 @@
+const expect = require("expect");
+
+const { sparql, entity, property, literal, languages, integer, decimal, QueryParameterError } = require("../../bot/sparql");
+
+describe("sparql", () => {
+
+    describe("sparql", () => {
+        it("should render typed parameters into the query", () => {
+            expect(sparql`?item wdt:P170 ${entity("Q5582")} ; rdfs:label ${literal("gogh")} . LIMIT ${integer(3)}`)
+                .toEqual(`?item wdt:P170 wd:Q5582 ; rdfs:label "gogh" . LIMIT 3`);
+        });
+
+        it("should refuse untyped parameters", () => {
+            expect(() => sparql`FILTER(CONTAINS(?label, "${"gogh"}"))`).toThrow(QueryParameterError);
+        });
+    });
+
+    describe("entity", () => {
+        it("should accept Wikidata item IDs", () => {
+            expect(sparql`${entity("Q803")}`).toEqual("wd:Q803");
+        });
+
+        it("should reject anything else", () => {
+            ["123", "Q", "Q0", "q803", "P170", "Q803 . ?x ?y ?z", "Q803}", "", null, undefined].forEach((id) =>
+                expect(() => entity(id)).toThrow(QueryParameterError)
+            );
+        });
+    });
+
+    describe("property", () => {
+        it("should accept Wikidata property IDs", () => {
+            expect(sparql`${property("P569")}`).toEqual("wdt:P569");
+        });
+
+        it("should reject anything else", () => {
+            ["Q5", "P", "P569 ?x", "569", null].forEach((id) =>
+                expect(() => property(id)).toThrow(QueryParameterError)
+            );
+        });
+    });
+
+    describe("literal", () => {
+        it("should escape quotes, backslashes and line breaks", () => {
+            expect(sparql`${literal(`gogh") || true || ("`)}`).toEqual(`"gogh\\") || true || (\\""`);
+            expect(sparql`${literal("back\\slash")}`).toEqual(`"back\\\\slash"`);
+            expect(sparql`${literal("it's")}`).toEqual(`"it\\'s"`);
+            expect(sparql`${literal("two\nlines\r\ttab")}`).toEqual(`"two\\nlines\\r\\ttab"`);
+        });
+
+        it("should keep braces and other characters inside the literal", () => {
+            expect(sparql`${literal("} DELETE { ?s ?p ?o } #")}`).toEqual(`"} DELETE { ?s ?p ?o } #"`);
+        });
+
+        it("should reject non-strings", () => {
+            expect(() => literal({toString: () => "gogh"})).toThrow(QueryParameterError);
+            expect(() => literal(undefined)).toThrow(QueryParameterError);
+        });
+    });
+
+    describe("languages", () => {
+        it("should accept a comma separated list of language codes", () => {
+            expect(sparql`${languages("en,nl")}`).toEqual(`"en,nl"`);
+        });
+
+        it("should reject anything else", () => {
+            ["", "en, nl", "EN", "nl\". }", "english", null].forEach((codes) =>
+                expect(() => languages(codes)).toThrow(QueryParameterError)
+            );
+        });
+    });
+
+    describe("integer", () => {
+        it("should accept whole numbers and numeric strings", () => {
+            expect(sparql`${integer(12)} ${integer("03")} ${integer(-1)}`).toEqual("12 3 -1");
+        });
+
+        it("should reject anything else", () => {
+            ["12) || (1", "1.5", "1e3", "twaalf", "", NaN, Infinity, null].forEach((n) =>
+                expect(() => integer(n)).toThrow(QueryParameterError)
+            );
+        });
+    });
+
+    describe("decimal", () => {
+        it("should accept decimal numbers", () => {
+            expect(sparql`${decimal(52.09)} ${decimal("-5.12")} ${decimal(2)}`).toEqual("52.09 -5.12 2");
+        });
+
+        it("should reject anything else", () => {
+            ["52.09)", "1e3", "5,12", "", NaN, Infinity, 1e-7, null].forEach((n) =>
+                expect(() => decimal(n)).toThrow(QueryParameterError)
+            );
+        });
+    });
+});
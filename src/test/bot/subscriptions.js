@@ -0,0 +1,94 @@
+const expect = require("expect");
+
+const memoryStore = require("../../store/memory");
+const createSubscriptions = require("../../bot/subscriptions");
+const { parseTime } = require("../../bot/subscriptions");
+
+// The dates below are in the time zone of the machine running the tests
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+describe("subscriptions", () => {
+    let subscriptions, date;
+
+    beforeEach(() => {
+        date = new Date(2017, 2, 12, 10, 0);
+        subscriptions = createSubscriptions(memoryStore(), {now: () => date, timeZone: LOCAL_TIME_ZONE});
+    });
+
+    describe("parseTime", () => {
+        it("should understand hours with or without minutes", () => {
+            expect(parseTime("8")).toEqual("08:00");
+            expect(parseTime("om 8:30")).toEqual("08:30");
+            expect(parseTime("at 20.15")).toEqual("20:15");
+            expect(parseTime("7 uur")).toEqual("07:00");
+        });
+
+        it("should reject anything else", () => {
+            ["24", "8:60", "morgen", "8:5", "om"].forEach((text) => expect(parseTime(text)).toEqual(null));
+        });
+    });
+
+    describe("due", () => {
+        it("should start with the first occurrence of the time from now on", () =>
+            subscriptions.subscribe("123", {time: "09:00", language: "nl"})
+                .then(() => subscriptions.subscribe("456", {time: "10:30", language: "en"}))
+                .then(() => subscriptions.due(date))
+                .then((due) => expect(due).toEqual([]))
+                .then(() => subscriptions.due(new Date(2017, 2, 12, 10, 30)))
+                .then((due) => expect(due.map((d) => d.senderID)).toEqual(["456"]))
+                .then(() => subscriptions.due(new Date(2017, 2, 13, 9, 0)))
+                .then((due) => expect(due.map((d) => d.senderID)).toEqual(["123"]))
+        );
+
+        it("should take the time in Amsterdam by default", () => {
+            const amsterdam = createSubscriptions(memoryStore(), {now: () => new Date(Date.UTC(2017, 2, 12, 7, 0))});
+            return amsterdam.subscribe("123", {time: "09:00", language: "nl"})
+                .then(() => amsterdam.due(new Date(Date.UTC(2017, 2, 12, 7, 59))))
+                .then((due) => expect(due).toEqual([]))
+                .then(() => amsterdam.due(new Date(Date.UTC(2017, 2, 12, 8, 0))))
+                .then((due) => expect(due.map((d) => d.senderID)).toEqual(["123"]));
+        });
+
+        it("should not be due again on the day it was sent", () => {
+            const later = new Date(2017, 2, 12, 11, 0);
+            return subscriptions.subscribe("123", {time: "10:30", language: "nl"})
+                .then(() => subscriptions.markSent("123", later))
+                .then(() => subscriptions.due(later))
+                .then((due) => expect(due).toEqual([]));
+        });
+    });
+
+    it("should remember the last message of subscribers only", () => {
+        const later = new Date(2017, 2, 13, 18, 0);
+        return subscriptions.subscribe("123", {time: "09:00", language: "nl"})
+            .then(() => subscriptions.get("123"))
+            .then((subscription) => expect(subscription.lastMessageAt).toEqual(date.getTime()))
+            .then(() => subscriptions.seen("123", later))
+            .then(() => subscriptions.seen("456", later))
+            .then(() => Promise.all([subscriptions.get("123"), subscriptions.get("456")]))
+            .then(([subscription, other]) => {
+                expect(subscription.lastMessageAt).toEqual(later.getTime());
+                expect(other).toEqual(null);
+            });
+    });
+
+    it("should count the skipped artworks until the subscriber is back", () =>
+        subscriptions.subscribe("123", {time: "09:00", language: "nl"})
+            .then(() => subscriptions.markSkipped("123"))
+            .then(() => subscriptions.markSkipped("123"))
+            .then(() => subscriptions.seen("123", date))
+            .then((subscription) => expect(subscription.skipped).toEqual(2))
+            .then(() => subscriptions.seen("123", date))
+            .then((subscription) => expect(subscription.skipped).toEqual(0))
+    );
+
+    it("should forget unsubscribed senders", () =>
+        subscriptions.subscribe("123", {time: "09:00", language: "nl"})
+            .then(() => subscriptions.unsubscribe("123"))
+            .then((unsubscribed) => expect(unsubscribed).toEqual(true))
+            .then(() => subscriptions.unsubscribe("123"))
+            .then((unsubscribed) => expect(unsubscribed).toEqual(false))
+            .then(() => subscriptions.get("123"))
+            .then((subscription) => expect(subscription).toEqual(null))
+    );
+});
@@ -0,0 +1,56 @@
+const sinon = require("sinon");
+const expect = require("expect");
+
+const log = require("../../log");
+const createTelegram = require("../../telegram/telegram-lib");
+
+describe("Telegram webhook", () => {
+    const telegram = createTelegram({token: "123:abc", secretToken: "secret"});
+    const update = (id, text) => ({
+        update_id: id,
+        message: {message_id: id, from: {id: 42, first_name: "Anna"}, chat: {id: 42, type: "private"}, text: text}
+    });
+
+    it("should answer first, handle updates afterwards and drop redelivered ones", () => {
+        const metrics = require("../../bot/metrics")();
+        const handled = [];
+        const underTest = require("../../bot/telegram-webhook")(telegram, {
+            onTextMessage: (text, senderID) => handled.push([text, senderID])
+        }, metrics);
+
+        underTest({body: update(1, "vermeer")}, {sendStatus: (statusCode) => handled.push(statusCode)});
+        underTest({body: update(1, "vermeer")}, {sendStatus: (statusCode) => handled.push(statusCode)});
+        underTest({body: update(2, "quiz")}, {sendStatus: (statusCode) => handled.push(statusCode)});
+        expect(handled).toEqual([200, 200, 200]);
+
+        return underTest.drain().then(() => {
+            expect(handled).toEqual([200, 200, 200, ["vermeer", "tg:42"], ["quiz", "tg:42"]]);
+            const text = metrics.render();
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="message"} 2');
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="duplicate"} 1');
+        });
+    });
+
+    it("should pass callback queries on as postbacks", () => {
+        const postbacks = [];
+        const underTest = require("../../bot/telegram-webhook")(createTelegram({token: "123:abc", apiUrl: "http://127.0.0.1:1"}), {
+            onPostback: (senderID, payload) => postbacks.push([senderID, payload])
+        });
+        // Answering the callback query fails, which is only logged
+        sinon.stub(log, 'error');
+
+        underTest({body: {update_id: 3, callback_query: {
+            id: "cq1", from: {id: 42}, message: {message_id: 4, chat: {id: 42}}, data: "Q41264"
+        }}}, {sendStatus: () => {}});
+
+        return underTest.drain()
+            .then(() => new Promise((resolve) => setTimeout(resolve, 50)))
+            .then(() => {
+                log.error.restore();
+                expect(postbacks).toEqual([["tg:42", "Q41264"]]);
+            }, (err) => {
+                log.error.restore();
+                throw err;
+            });
+    });
+});
@@ -0,0 +1,67 @@
+const expect = require("expect");
+
+const memoryStore = require("../../store/memory");
+const createViews = require("../../bot/views");
+
+describe("views", () => {
+    const nachtwacht = {source: "wikidata", id: "Q219831"};
+    let views, time;
+
+    beforeEach(() => {
+        time = 1000000;
+        views = createViews(memoryStore(), {window: 600000, minSeen: 2, minWatching: 2}, () => time);
+    });
+
+    const viewBy = (senderID) => () => views.record(senderID, nachtwacht);
+
+    describe("record", () => {
+        it("should count the other people who saw an artwork", () =>
+            views.record("1", nachtwacht)
+                .then((counts) => expect(counts).toEqual({seen: 0, watching: 0}))
+                .then(viewBy("2"))
+                .then(viewBy("1"))
+                .then((counts) => expect(counts).toEqual({seen: 1, watching: 1}))
+        );
+
+        it("should only count recent viewers as watching", () =>
+            views.record("1", nachtwacht)
+                .then(() => { time += 700000; })
+                .then(viewBy("2"))
+                .then(() => { time += 1000; })
+                .then(viewBy("3"))
+                .then((counts) => expect(counts).toEqual({seen: 2, watching: 1}))
+        );
+
+        it("should forget viewers after the window, but keep counting them", () => {
+            const store = memoryStore();
+            views = createViews(store, {window: 600000}, () => time);
+
+            return views.record("1", nachtwacht)
+                .then(viewBy("2"))
+                .then(() => { time += 700000; })
+                .then(viewBy("3"))
+                .then((counts) => expect(counts).toEqual({seen: 2, watching: 0}))
+                .then(() => store.get("wikidata|Q219831"))
+                .then((stored) => expect(stored).toEqual({seen: 3, viewers: {"3": time}}));
+        });
+
+        it("should count artworks of different sources apart", () =>
+            views.record("1", nachtwacht)
+                .then(() => views.record("2", {source: "gvn", id: "Q219831"}))
+                .then((counts) => expect(counts).toEqual({seen: 0, watching: 0}))
+        );
+    });
+
+    describe("socialProof", () => {
+        it("should only tell counts that reach the threshold", () => {
+            expect(views.socialProof({seen: 1, watching: 1})).toEqual(null);
+            expect(views.socialProof({seen: 2, watching: 1})).toEqual({seen: 2, watching: 0});
+            expect(views.socialProof({seen: 8, watching: 3})).toEqual({seen: 8, watching: 3});
+        });
+
+        it("should not tell anything when social feedback is switched off", () => {
+            const switchedOff = createViews(memoryStore(), {minSeen: 2, enabled: () => false});
+            expect(switchedOff.socialProof({seen: 8, watching: 3})).toEqual(null);
+        });
+    });
+});
@@ -3,7 +3,7 @@ const expect = require("expect");
 describe("webhook", () => {
     it("should handle messages", (done) => {
         const expectedHandlers = {expected: "handler"};
-        const eventPayload = {message: "message payload"};
+        const eventPayload = {sender: {id: "123"}, message: "message payload"};
         const req = {body: {object: 'page', entry: [
             {messaging: [eventPayload]}
         ]}};
@@ -23,7 +23,7 @@ describe("webhook", () => {
 
     it("should handle postbacks", (done) => {
         const expectedHandlers = {expected: "handler"};
-        const eventPayload = {postback: "postback payload"};
+        const eventPayload = {sender: {id: "123"}, postback: "postback payload"};
         const req = {body: {object: 'page', entry: [
             {messaging: [eventPayload]}
         ]}};
@@ -77,6 +77,83 @@ describe("webhook", () => {
         underTest(req, {sendStatus: () => {}});
     });
 
+    it("should count events by type and the active users", () => {
+        const metrics = require("../../bot/metrics")();
+        const req = {body: {object: 'page', entry: [
+            {messaging: [
+                {sender: {id: "123"}, message: {text: "rembrandt"}},
+                {sender: {id: "456"}, message: {is_echo: true}},
+                {sender: {id: "123"}, postback: {payload: "Q5598"}},
+                {sender: {id: "123"}, read: {watermark: 1}},
+                {sender: {id: "123"}, optin: {}}
+            ]}
+        ]}};
+        const noop = () => {};
+        const underTest = require("../../bot/webhook")({
+            receivedMessage: noop, receivedPostback: noop, receivedMessageRead: noop
+        }, {}, metrics);
+        underTest(req, {sendStatus: noop});
+
+        return underTest.drain().then(() => {
+            const text = metrics.render();
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="message"} 2');
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="postback"} 1');
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="read"} 1');
+            expect(text).toInclude('erfgoedbot_messaging_events_total{type="unknown"} 1');
+            expect(text).toInclude('erfgoedbot_daily_active_users 1');
+        });
+    });
+
+    it("should answer before handling the events", () => {
+        const handled = [];
+        const req = {body: {object: 'page', entry: [
+            {messaging: [{sender: {id: "123"}, message: {mid: "mid.1", text: "rembrandt"}}]}
+        ]}};
+        const underTest = require("../../bot/webhook")({
+            receivedMessage: (data) => handled.push(data.message.mid)
+        }, {});
+        underTest(req, {sendStatus: (statusCode) => handled.push(statusCode)});
+
+        expect(handled).toEqual([200]);
+        return underTest.drain().then(() => expect(handled).toEqual([200, "mid.1"]));
+    });
+
+    it("should drop redelivered messages and postbacks", () => {
+        const metrics = require("../../bot/metrics")();
+        const handled = [];
+        const callback = () => ({body: {object: 'page', entry: [
+            {messaging: [
+                {sender: {id: "123"}, timestamp: 1000, message: {mid: "mid.1", text: "rembrandt"}},
+                {sender: {id: "123"}, timestamp: 2000, postback: {payload: "Q5598"}}
+            ]}
+        ]}});
+        const underTest = require("../../bot/webhook")({
+            receivedMessage: (data) => handled.push(data.message.mid),
+            receivedPostback: (data) => handled.push(data.postback.payload)
+        }, {}, metrics);
+        underTest(callback(), {sendStatus: () => {}});
+        underTest(callback(), {sendStatus: () => {}});
+
+        return underTest.drain().then(() => {
+            expect(handled).toEqual(["mid.1", "Q5598"]);
+            expect(metrics.render()).toInclude('erfgoedbot_messaging_events_total{type="duplicate"} 2');
+        });
+    });
+
+    it("should answer 404 to callbacks for other objects", (done) => {
+        const underTest = require("../../bot/webhook")({}, {});
+        const req = {body: {object: 'user', entry: []}};
+
+        underTest(req, {sendStatus: (statusCode) => {
+            try {
+                expect(statusCode).toEqual(404);
+                done();
+            } catch (e) {
+                done(e);
+            }
+        }});
+    });
+
     it("should send 200 OK", (done) => {
         const underTest = require("../../bot/webhook")({}, {});
         const req = {body: {object: 'page', entry: []}};
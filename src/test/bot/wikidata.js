@@ -5,10 +5,11 @@ const sinon = require("sinon");
 const expect = require("expect");
 
 const queries = require("../../bot/queries");
+const log = require("../../log");
 
 const {
-    paintingsByArtist, searchPainters, painterByDate, getMonuments, randomArtist
-} = require("../../bot/wikidata");
+    paintingsByArtist, worksByArtist, artwork, searchPainters, painterByDate, getMonuments, searchPlaces, monumentsNearby, randomArtist
+} = require("../../bot/wikidata")();
 
 
 describe("wikidata", () => {
@@ -30,7 +31,7 @@ describe("wikidata", () => {
                 const expectedQuery = "[RANDOM ARTIST QUERY]";
                 sinon.stub(queries, 'randomArtist', () => expectedQuery);
 
-                randomArtist((msg) => {
+                randomArtist("nl", (msg) => {
                     queries.randomArtist.restore();
                     try {
                         expect(spy.calledWith(expectedQuery)).toEqual(true);
@@ -43,12 +44,67 @@ describe("wikidata", () => {
             });
         });
 
+        describe("unavailable source", () => {
+            it("should apologize when the query fails", (done) => {
+                rpStub.rejects(new Error("ECONNREFUSED"));
+                queries.useResilience(require("../../bot/resilience")({retries: 0}));
+
+                searchPainters("gogh", "nl", (msg, payload) => {
+                    queries.useResilience(require("../../bot/resilience")());
+                    try {
+                        expect(msg).toEqual("Wikidata is nu even niet bereikbaar. Probeer het later nog eens.");
+                        expect(payload).toEqual(null);
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                });
+            });
+        });
+
+        describe("failing callback", () => {
+            beforeEach(() => sinon.stub(log, 'error'));
+            afterEach(() => log.error.restore());
+
+            it("should log the error of the callback and call it back with the apology", (done) => {
+                const cb = sinon.spy((msg) => {
+                    if (cb.callCount === 1) {
+                        throw new Error("Handler failed");
+                    }
+                    try {
+                        expect(msg).toEqual("Wikidata is nu even niet bereikbaar. Probeer het later nog eens.");
+                        expect(log.error.firstCall.args[1].err.message).toEqual("Handler failed");
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                });
+
+                searchPainters("gogh", "nl", cb);
+            });
+        });
+
+        describe("invalid input", () => {
+            it("should respond with a message instead of querying", (done) => {
+                painterByDate("willem", "jan", "birth", "nl", (msg, payload) => {
+                    try {
+                        expect(spy.called).toEqual(false);
+                        expect(msg).toEqual("Sorry, dat begrijp ik niet.");
+                        expect(payload).toEqual(null);
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                });
+            });
+        });
+
         describe("searchPainters", () => {
             it("should invoke query at let it invoke handlePainters", (done) => {
                 const expectedQuery = "[artist QUERY]";
                 sinon.stub(queries, 'searchPainters', (q) => `[${q} QUERY]`);
 
-                searchPainters("ARTIST", (msg) => {
+                searchPainters("ARTIST", "nl", (msg) => {
                     queries.searchPainters.restore();
                     try {
                         expect(spy.calledWith(expectedQuery)).toEqual(true);
@@ -59,15 +115,29 @@ describe("wikidata", () => {
                     }
                 });
             });
-        });
 
+            it("should ask for English labels and answer in English", (done) => {
+                sinon.stub(queries, 'searchPainters', (q, language) => `[${q} ${language} QUERY]`);
+
+                searchPainters("ARTIST", "en", (msg) => {
+                    queries.searchPainters.restore();
+                    try {
+                        expect(spy.calledWith("[artist en,nl QUERY]")).toEqual(true);
+                        expect(msg).toEqual("Sorry, I can't find any painters with that name.");
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                });
+            });
+        });
 
         describe("painterByDate", () => {
             it("should invoke query at let it invoke handlePainters", (done) => {
                 const expectedQuery = "[11-10 QUERY]";
                 sinon.stub(queries, 'painterByDate', (m, d) => `[${d}-${m} QUERY]`);
 
-                painterByDate(10, 11, (_, payload) => {
+                painterByDate(10, 11, "birth", "nl", (_, payload) => {
                     queries.painterByDate.restore();
                     try {
                         expect(spy.calledWith(expectedQuery)).toEqual(true);
@@ -91,7 +161,7 @@ describe("wikidata", () => {
 
             sinon.stub(queries, 'randomArtist');
 
-            randomArtist((msg, payload) => {
+            randomArtist("nl", (msg, payload) => {
                 queries.randomArtist.restore();
                 rpStub.restore();
                 try {
@@ -130,7 +200,7 @@ describe("wikidata", () => {
                 const expectedQuery = "[123 QUERY]";
                 sinon.stub(queries, 'paintingsByArtist', (id) => `[${id} QUERY]`);
 
-                paintingsByArtist(123, (msg) => {
+                paintingsByArtist(123, "nl", (msg) => {
                     queries.paintingsByArtist.restore();
                     try {
                         expect(spy.calledWith(expectedQuery)).toEqual(true);
@@ -144,15 +214,34 @@ describe("wikidata", () => {
         });
 
         describe("getMonuments", () => {
-            it("should invoke query at let it invoke handleImages", (done) => {
-                const expectedQuery = "[Q803 QUERY]";
-                sinon.stub(queries, 'monuments', (q) => `[${q} QUERY]`);
+            it("should invoke query at let it respond when no monuments were found", (done) => {
+                const expectedQuery = "[Q803 11 3 QUERY]";
+                sinon.stub(queries, 'monuments', (location, limit, offset) => `[${location} ${limit} ${offset} QUERY]`);
 
-                getMonuments((msg) => {
+                getMonuments("Q803", 3, "nl", (msg) => {
                     queries.monuments.restore();
                     try {
                         expect(spy.calledWith(expectedQuery)).toEqual(true);
-                        expect(msg).toEqual("Sorry, daar kan ik geen schilderijen van vinden.");
+                        expect(msg).toEqual("Sorry, daar kan ik geen monumenten vinden.");
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                });
+            });
+        });
+
+        describe("searchPlaces", () => {
+            it("should invoke query and respond with an empty list when nothing was found", (done) => {
+                const expectedQuery = "[bergen QUERY]";
+                sinon.stub(queries, 'places', (name) => `[${name} QUERY]`);
+
+                searchPlaces("bergen", "nl", (msg, places) => {
+                    queries.places.restore();
+                    try {
+                        expect(spy.calledWith(expectedQuery)).toEqual(true);
+                        expect(msg).toEqual(null);
+                        expect(places).toEqual([]);
                         done();
                     } catch (e) {
                         done(e);
@@ -170,7 +259,7 @@ describe("wikidata", () => {
 
             sinon.stub(queries, 'paintingsByArtist');
 
-            paintingsByArtist(0, (msg, payload) => {
+            paintingsByArtist(0, "nl", (msg, payload) => {
                 queries.paintingsByArtist.restore();
                 rpStub.restore();
                 try {
@@ -191,4 +280,134 @@ describe("wikidata", () => {
             });
         });
     });
-});
\ No newline at end of file
+
+
+    describe("worksByArtist", () => {
+        it("should respond with all unique paintings of the artist", (done) => {
+            const rpStub = sinon.stub(rp, 'get');
+            const paintings = require("./res/paintings");
+            rpStub.resolves({results: {bindings: paintings.concat(paintings)}});
+
+            sinon.stub(queries, 'paintingsByArtist');
+
+            worksByArtist("Q5582", "nl", (msg, payload) => {
+                queries.paintingsByArtist.restore();
+                rpStub.restore();
+                try {
+                    expect(msg).toEqual(null);
+                    expect(payload.length).toEqual(paintings.length);
+                    expect(payload[0].author).toEqual("Q5582");
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    });
+
+    describe("artwork", () => {
+        it("should respond with the artwork and its maker", (done) => {
+            const rpStub = sinon.stub(rp, 'get');
+            const [painting] = require("./res/paintings");
+            rpStub.resolves({results: {bindings: [Object.assign({
+                creator: {type: "uri", value: "http://www.wikidata.org/entity/Q5582"},
+                creatorLabel: {"xml:lang": "nl", type: "literal", value: "Vincent van Gogh"}
+            }, painting)]}});
+
+            sinon.stub(queries, 'artwork');
+
+            artwork("Q19836161", "nl", (msg, payload) => {
+                queries.artwork.restore();
+                rpStub.restore();
+                try {
+                    expect(msg).toEqual(null);
+                    expect(payload.id).toEqual('Q19836161');
+                    expect(payload.author).toEqual('Q5582');
+                    expect(payload.subjectName).toEqual('Vincent van Gogh');
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    });
+
+    describe("monuments pages", () => {
+        it("should respond with one page of monuments and the next offset", (done) => {
+            const rpStub = sinon.stub(rp, 'get');
+            const monuments = require("./res/monuments");
+            rpStub.resolves({results: {bindings: Array.from({length: 11}, (x, i) => monuments[i % monuments.length])}});
+
+            sinon.stub(queries, 'monuments');
+
+            getMonuments("Q803", 0, "nl", (msg, payload) => {
+                queries.monuments.restore();
+                rpStub.restore();
+                try {
+                    expect(msg).toEqual(null);
+                    expect(payload.monuments.length).toEqual(10);
+                    expect(payload.monuments[0]).toEqual({
+                        image: 'http://commons.wikimedia.org/wiki/Special:FilePath/Utrecht%20Domkerk.jpg?width=800',
+                        label: 'Domkerk',
+                        description: 'kerkgebouw in Utrecht',
+                        id: 'Q1142019'
+                    });
+                    expect(payload.next).toEqual(10);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    });
+
+    describe("monumentsNearby", () => {
+        it("should respond with unique monuments sorted by distance", (done) => {
+            const rpStub = sinon.stub(rp, 'get');
+            rpStub.resolves({results: {bindings: require("./res/monuments")}});
+
+            sinon.stub(queries, 'monumentsNearby');
+
+            monumentsNearby(52.09, 5.12, "nl", (msg, payload) => {
+                try {
+                    expect(queries.monumentsNearby.calledWith(52.09, 5.12, 2)).toEqual(true);
+                    expect(msg).toEqual(null);
+                    expect(payload).toEqual([{
+                        image: 'http://commons.wikimedia.org/wiki/Special:FilePath/Domtoren%20Utrecht.jpg?width=800',
+                        label: 'Domtoren',
+                        description: '',
+                        id: 'Q744059',
+                        distance: 0.108
+                    }, {
+                        image: 'http://commons.wikimedia.org/wiki/Special:FilePath/Utrecht%20Domkerk.jpg?width=800',
+                        label: 'Domkerk',
+                        description: 'kerkgebouw in Utrecht',
+                        id: 'Q1142019',
+                        distance: 0.412
+                    }]);
+                    done();
+                } catch (e) {
+                    done(e);
+                } finally {
+                    queries.monumentsNearby.restore();
+                    rpStub.restore();
+                }
+            });
+        });
+
+        it("should respond with a message when no monuments were found", (done) => {
+            const rpStub = sinon.stub(rp, 'get');
+            rpStub.resolves({results: {bindings: []}});
+
+            monumentsNearby(0, 0, "nl", (msg) => {
+                rpStub.restore();
+                try {
+                    expect(msg).toEqual("Sorry, ik kan geen monumenten bij jou in de buurt vinden.");
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const sinon = require("sinon");
+const expect = require("expect");
+
+const log = require("../../log");
+const { createChannels, checkChannel, METHODS } = require("../../channels");
+
+describe("channels", () => {
+    // A channel that records its calls, for users whose ID starts with its prefix
+    const fakeChannel = (name, prefix, calls) => Object.assign(METHODS.reduce((channel, method) => Object.assign(channel, {
+        [method]: (...args) => {
+            calls.push([name, method].concat(args));
+            return Promise.resolve();
+        }
+    }), {}), {
+        name: name,
+        owns: (userId) => userId.indexOf(prefix) === 0,
+        canReach: () => Promise.resolve(name === 'telegram')
+    });
+
+    let calls, channels;
+
+    beforeEach(() => {
+        calls = [];
+        channels = createChannels([fakeChannel('messenger', '1', calls), fakeChannel('telegram', 'tg:', calls)]);
+    });
+
+    it("should pass calls on to the channel of the user", () => {
+        channels.sendTextMessage("123", "Hallo");
+        channels.sendImageMessage("tg:42", "http://example.org/1.jpg");
+        channels.sendTypingPause("tg:42", 1000);
+
+        expect(calls).toEqual([
+            ['messenger', 'sendTextMessage', "123", "Hallo"],
+            ['telegram', 'sendImageMessage', "tg:42", "http://example.org/1.jpg"],
+            ['telegram', 'sendTypingPause', "tg:42", 1000]
+        ]);
+        expect(channels.forId("tg:42").name).toEqual('telegram');
+    });
+
+    it("should ask the channel of the user whether it can be reached", () =>
+        Promise.all([channels.canReach("123", 0), channels.canReach("tg:42", 0)])
+            .then((reachable) => expect(reachable).toEqual([false, true]))
+    );
+
+    describe("users of no channel", () => {
+        beforeEach(() => sinon.stub(log, 'warn'));
+        afterEach(() => log.warn.restore());
+
+        it("should log calls and resolve them like failed ones", () =>
+            Promise.all([
+                channels.sendTextMessage("wa:31612345678", "Hallo"),
+                channels.getUserProfile("wa:31612345678"),
+                channels.canReach("wa:31612345678", 0)
+            ]).then((results) => {
+                expect(results).toEqual([null, {}, false]);
+                expect(calls).toEqual([]);
+                expect(log.warn.firstCall.args).toEqual(["No channel for user", {userId: "wa:31612345678", method: 'sendTextMessage'}]);
+            })
+        );
+    });
+
+    it("should reject channels that do not implement the whole interface", () => {
+        expect(() => checkChannel({name: 'sms', sendTextMessage: () => {}})).toThrow(/Channel sms does not implement owns/);
+    });
+});
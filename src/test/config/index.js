@@ -0,0 +1,155 @@
+const expect = require("expect");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { load, ConfigError } = require("../../config");
+
+describe("config", () => {
+    let dir;
+
+    // The least a bot needs to talk to Messenger
+    const env = (variables) => Object.assign({
+        MESSENGER_PAGE_ACCESS_TOKEN: "token",
+        MESSENGER_VALIDATION_TOKEN: "erfgoed"
+    }, variables);
+
+    const writeConfig = (environment, config) =>
+        fs.writeFileSync(path.join(dir, `${environment}.json`), JSON.stringify(config));
+
+    const errorsOf = (options) => {
+        try {
+            load(options);
+        } catch (err) {
+            expect(err).toBeA(ConfigError);
+            return err.errors;
+        }
+        throw new Error("The configuration should not be valid");
+    };
+
+    beforeEach(() => {
+        dir = path.join(os.tmpdir(), `erfgoedbot-config-${process.pid}-${Date.now()}`);
+        fs.mkdirSync(dir);
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    it("should fill in the defaults", () => {
+        const config = load({env: env({GVN_URL: "http://gvn.example.org/api"}), dir: dir});
+
+        expect(config.port).toEqual(8080);
+        expect(config.graphApiVersion).toEqual("v2.6");
+        expect(config.wikidataEndpoint).toEqual("https://query.wikidata.org/bigdata/namespace/wdq/sparql");
+        expect(config.requireSignature).toEqual(false);
+        expect(config.sessionStore).toEqual({type: "memory"});
+        expect(config.timeZone).toEqual("Europe/Amsterdam");
+        expect(config.sources).toEqual([{type: "wikidata"}, {type: "gvn", url: "http://gvn.example.org/api"}]);
+    });
+
+    it("should start with Wikidata alone without a GVN url", () => {
+        const config = load({env: {MODE: "mock"}, dir: dir});
+
+        expect(config.sources).toEqual([{type: "wikidata"}]);
+    });
+
+    it("should read the file of the environment over the defaults", () => {
+        writeConfig("production", {
+            appSecret: "secret",
+            port: 3000,
+            sendApi: {retries: 5},
+            sources: [{type: "wikidata"}]
+        });
+        writeConfig("development", {port: 4000});
+
+        const config = load({env: env({NODE_ENV: "production"}), dir: dir});
+
+        expect(config.port).toEqual(3000);
+        expect(config.requireSignature).toEqual(true);
+        expect(config.sendApi).toEqual({minInterval: 50, retries: 5, backoff: 500, mock: false});
+        expect(config.sources).toEqual([{type: "wikidata"}]);
+    });
+
+    it("should read the production file without NODE_ENV, as deployments have no other", () => {
+        writeConfig("production", {appSecret: "secret", port: 3000});
+
+        const config = load({env: env(), dir: dir});
+
+        expect(config.port).toEqual(3000);
+        expect(config.requireSignature).toEqual(true);
+    });
+
+    it("should let environment variables override the file", () => {
+        writeConfig("development", {port: 4000, log: {level: "debug"}, sources: [{type: "wikidata"}]});
+
+        const config = load({env: env({
+            PORT: "5000",
+            LOG_REDACT_SENDERS: "true",
+            MODE: "mock",
+            SESSION_STORE_PATH: "data/sessions.json",
+            GRAPH_API_VERSION: "v2.12",
+            EUROPEANA_API_KEY: "key"
+        }), dir: dir});
+
+        expect(config.port).toEqual(5000);
+        expect(config.log).toEqual({level: "debug", redactSenders: true});
+        expect(config.sendApi.mock).toEqual(true);
+        expect(config.sessionStore).toEqual({type: "file", path: "data/sessions.json"});
+        expect(config.graphApiVersion).toEqual("v2.12");
+        expect(config.sources).toEqual([{type: "wikidata"}, {type: "europeana", apiKey: "key"}]);
+    });
+
+    it("should report every problem at once", () => {
+        writeConfig("development", {
+            port: "eighty",
+            log: {level: "loud"},
+            sessionStore: {type: "file"},
+            cach: {maxSize: 10},
+            sources: [{type: "gvn"}, {type: "rijksmuseum"}]
+        });
+
+        expect(errorsOf({env: {}, dir: dir})).toEqual([
+            'port should be a number, not "eighty"',
+            'sessionStore needs a path for a file store',
+            'log.level should be one of debug, info, warn, error, not "loud"',
+            'sources[0] needs the url of GVN',
+            'sources[1].type should be one of wikidata, gvn, europeana, not "rijksmuseum"',
+            'cach is not a setting',
+            'pageAccessToken is required',
+            'validationToken is required'
+        ]);
+    });
+
+    it("should require an app secret when signatures are checked", () => {
+        expect(errorsOf({env: env({NODE_ENV: "production"}), dir: dir}))
+            .toEqual(['appSecret is required to check signatures']);
+        expect(load({env: env({NODE_ENV: "production", REQUIRE_SIGNATURE: "false"}), dir: dir}).requireSignature)
+            .toEqual(false);
+    });
+
+    it("should only take known time zones", () => {
+        expect(errorsOf({env: env({TIME_ZONE: "Amsterdam"}), dir: dir}))
+            .toEqual(['timeZone should be a time zone like Europe/Amsterdam']);
+        expect(load({env: env({TIME_ZONE: "UTC"}), dir: dir}).timeZone).toEqual("UTC");
+    });
+
+    it("should require a secret token for Telegram updates", () => {
+        expect(errorsOf({env: env({TELEGRAM_BOT_TOKEN: "123:abc"}), dir: dir}))
+            .toEqual(['telegram needs a secretToken to check updates']);
+        expect(load({env: env({TELEGRAM_BOT_TOKEN: "123:abc", TELEGRAM_SECRET_TOKEN: "secret"}), dir: dir}).telegram)
+            .toEqual({
+                token: "123:abc",
+                secretToken: "secret",
+                apiUrl: "https://api.telegram.org",
+                sendApi: {minInterval: 50, retries: 3, backoff: 500}
+            });
+    });
+
+    it("should report files that are not JSON", () => {
+        fs.writeFileSync(path.join(dir, "development.json"), "{port: 80}");
+
+        expect(errorsOf({env: env(), dir: dir})[0]).toInclude("development.json could not be read");
+    });
+});
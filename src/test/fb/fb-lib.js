@@ -0,0 +1,82 @@
+const expect = require("expect");
+
+const log = require("../../log");
+const createFakeGraphApi = require("./res/fake-graph-api");
+const createFb = require("../../fb/fb-lib");
+
+const fb = createFb({});
+
+describe("fb-lib", () => {
+    describe("receivedMessage", () => {
+        const event = (message) => ({
+            sender: {id: "123"},
+            recipient: {id: "456"},
+            timestamp: 1,
+            message: message
+        });
+
+        it("should route quick replies to onQuickReply", (done) => {
+            fb.receivedMessage(event({mid: "mid.1", text: "Vincent van Gogh", quick_reply: {payload: "Q5582"}}), {
+                onTextMessage: () => done(new Error("onTextMessage should not be called")),
+                onQuickReply: (senderID, payload) => {
+                    try {
+                        expect(senderID).toEqual("123");
+                        expect(payload).toEqual("Q5582");
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                }
+            });
+        });
+
+        it("should route text messages to onTextMessage", (done) => {
+            fb.receivedMessage(event({mid: "mid.1", text: "gogh"}), {
+                onTextMessage: (messageText, senderID) => {
+                    try {
+                        expect(messageText).toEqual("gogh");
+                        expect(senderID).toEqual("123");
+                        done();
+                    } catch (e) {
+                        done(e);
+                    }
+                },
+                onQuickReply: () => done(new Error("onQuickReply should not be called"))
+            });
+        });
+    });
+
+    describe("sendGenericTemplate", () => {
+        let graphApi, sender;
+
+        beforeEach(() => {
+            // The Send API client logs every message; keep the test output readable
+            log.configure({level: 'warn'});
+            graphApi = createFakeGraphApi();
+            return graphApi.start().then((graphApiUrl) => {
+                sender = createFb({pageAccessToken: "token", graphApiUrl: graphApiUrl});
+            });
+        });
+
+        afterEach(() => {
+            log.configure({});
+            return graphApi.stop();
+        });
+
+        it("should cut titles, subtitles and button titles to what Messenger accepts", () => {
+            const long = "Gezicht op Delft, met in de verte de Nieuwe Kerk en op de voorgrond de Kolk en de Schiedamse Poort";
+
+            return sender.sendGenericTemplate("123", [{title: long, subtitle: long, image: "http://example.org/1.jpg", buttons: [
+                {title: "Meer van deze schilder", payload: "Q41264"},
+                {title: "Lees verder", url: "https://www.wikidata.org/wiki/Q219831"}
+            ]}])
+                .then(() => {
+                    const element = graphApi.requests[0].body.message.attachment.payload.elements[0];
+                    expect(element.title.length).toEqual(80);
+                    expect(element.title).toEqual(`${long.slice(0, 79)}…`);
+                    expect(element.subtitle).toEqual(`${long.slice(0, 79)}…`);
+                    expect(element.buttons.map((button) => button.title)).toEqual(["Meer van deze schil…", "Lees verder"]);
+                });
+        });
+    });
+});
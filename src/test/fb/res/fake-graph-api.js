@@ -0,0 +1,37 @@
+const http = require("http");
+
+/*
+ * A local stand-in for the Graph API Send endpoint. It records every request
+ * and answers with queued responses, or with a success when none are queued.
+ */
+module.exports = () => {
+    const requests = [];
+    const responses = [];
+    let messageCount = 0;
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => body += chunk);
+        req.on("end", () => {
+            const json = JSON.parse(body);
+            requests.push({url: req.url, body: json});
+
+            const next = responses.shift() || {
+                status: 200,
+                body: {recipient_id: json.recipient.id, message_id: `mid.${++messageCount}`}
+            };
+            setTimeout(() => {
+                res.writeHead(next.status, {"Content-Type": "application/json"});
+                res.end(JSON.stringify(next.body));
+            }, next.delay || 0);
+        });
+    });
+
+    return {
+        requests,
+        respondWith: (status, body, delay) => responses.push({status, body, delay}),
+        start: () => new Promise((resolve) => server.listen(0, "127.0.0.1", () =>
+            resolve(`http://127.0.0.1:${server.address().port}`))),
+        stop: () => new Promise((resolve) => server.close(resolve))
+    };
+};
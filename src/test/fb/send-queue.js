@@ -0,0 +1,119 @@
+const sinon = require("sinon");
+const expect = require("expect");
+
+const log = require("../../log");
+const createFakeGraphApi = require("./res/fake-graph-api");
+const createFb = require("../../fb/fb-lib");
+const createSendQueue = require("../../fb/send-queue");
+
+describe("Send API queue", () => {
+    let graphApi, fb;
+
+    beforeEach(() => {
+        // The Send API client logs every message; keep the test output readable
+        Object.keys(log.LEVELS).forEach((level) => sinon.stub(log, level));
+
+        graphApi = createFakeGraphApi();
+        return graphApi.start().then((graphApiUrl) => {
+            fb = createFb({
+                pageAccessToken: "token",
+                graphApiUrl: graphApiUrl,
+                sendApi: {minInterval: 0, retries: 2, backoff: 5}
+            });
+        });
+    });
+
+    afterEach(() => {
+        Object.keys(log.LEVELS).forEach((level) => log[level].restore());
+        return graphApi.stop();
+    });
+
+    const texts = () => graphApi.requests
+        .filter((r) => r.body.message && r.body.message.text)
+        .map((r) => r.body.message.text);
+
+    it("should send messages to a recipient strictly in order", () => {
+        graphApi.respondWith(200, {recipient_id: "123", message_id: "mid.slow"}, 50);
+
+        return Promise.all([
+            fb.sendTextMessage("123", "een"),
+            fb.sendTextMessage("123", "twee"),
+            fb.sendTextMessage("123", "drie")
+        ]).then(() => {
+            expect(texts()).toEqual(["een", "twee", "drie"]);
+            expect(graphApi.requests[0].url).toEqual("/v2.6/me/messages?access_token=token");
+        });
+    });
+
+    it("should show the typing indicator during a pause and hold back later messages", () => {
+        const started = Date.now();
+        fb.sendTextMessage("123", "een");
+        fb.sendTypingPause("123", 30);
+
+        return fb.sendTextMessage("123", "twee").then(() => {
+            expect(Date.now() - started).toBeGreaterThanOrEqualTo(30);
+            expect(graphApi.requests.map((r) => r.body.sender_action || r.body.message.text))
+                .toEqual(["een", "typing_on", "twee"]);
+        });
+    });
+
+    it("should retry transient failures", () => {
+        graphApi.respondWith(500, {error: {message: "Internal error"}});
+        graphApi.respondWith(400, {error: {message: "Temporary send message failure", code: 1200}});
+
+        return fb.sendTextMessage("123", "een").then((body) => {
+            expect(body.recipient_id).toEqual("123");
+            expect(texts()).toEqual(["een", "een", "een"]);
+        });
+    });
+
+    it("should report permanent failures and carry on with the queue", () => {
+        graphApi.respondWith(400, {error: {message: "Invalid recipient", code: 100}});
+
+        const first = fb.sendTextMessage("123", "een");
+        const second = fb.sendTextMessage("123", "twee");
+
+        return Promise.all([first, second]).then(([failed, sent]) => {
+            expect(failed).toEqual(null);
+            expect(sent.recipient_id).toEqual("123");
+            expect(log.error.firstCall.args[0]).toEqual("Failed calling Send API");
+            expect(log.error.firstCall.args[1].err.statusCode).toEqual(400);
+            expect(texts()).toEqual(["een", "twee"]);
+        });
+    });
+
+    it("should give up after the configured number of retries", () => {
+        graphApi.respondWith(503, {});
+        graphApi.respondWith(503, {});
+        graphApi.respondWith(503, {});
+
+        return fb.sendTextMessage("123", "een").then((body) => {
+            expect(body).toEqual(null);
+            expect(texts().length).toEqual(3);
+        });
+    });
+
+    it("should space out sends to different recipients by the minimum interval", () => {
+        const sentAt = [];
+        const queue = createSendQueue({
+            send: () => Promise.resolve(sentAt.push(Date.now())),
+            minInterval: 20
+        });
+
+        return Promise.all([
+            queue.enqueue("123", {}),
+            queue.enqueue("456", {}),
+            queue.enqueue("789", {})
+        ]).then(() => {
+            expect(sentAt[1] - sentAt[0]).toBeGreaterThanOrEqualTo(15);
+            expect(sentAt[2] - sentAt[1]).toBeGreaterThanOrEqualTo(15);
+        });
+    });
+
+    it("should only reach users within 24 hours of their last message", () => {
+        const hours = (n) => Date.now() - n * 60 * 60 * 1000;
+
+        return Promise.all([fb.canReach("123", hours(23)), fb.canReach("123", hours(25)), fb.canReach("123", undefined)])
+            .then((reachable) => expect(reachable).toEqual([true, false, false]));
+    });
+});
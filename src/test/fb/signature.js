@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const expect = require("expect");
+const express = require("express");
+const bodyParser = require("body-parser");
+const request = require("request");
+
+const log = require("../../log");
+const createFb = require("../../fb/fb-lib");
+
+describe("webhook signatures", () => {
+    const APP_SECRET = "app secret";
+    const body = JSON.stringify({object: 'page', entry: []});
+    const sign = (algorithm, payload, secret = APP_SECRET) =>
+        `${algorithm}=${crypto.createHmac(algorithm, secret).update(payload).digest('hex')}`;
+
+    let server, webhookUrl, received;
+
+    const start = (config) => new Promise((resolve) => {
+        const fb = createFb(Object.assign({appSecret: APP_SECRET}, config));
+        const app = express();
+        app.use(bodyParser.json({verify: fb.verifyRequestSignature}));
+        app.post('/webhook', fb.requireValidSignature, (req, res) => {
+            received.push(req.body);
+            res.sendStatus(200);
+        });
+        server = app.listen(0, '127.0.0.1', () => {
+            webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+            resolve();
+        });
+    });
+
+    const post = (headers, payload = body) => new Promise((resolve, reject) => request({
+        uri: webhookUrl,
+        method: 'POST',
+        headers: Object.assign({'Content-Type': 'application/json'}, headers),
+        body: payload
+    }, (err, response) => err ? reject(err) : resolve(response.statusCode)));
+
+    beforeEach(() => {
+        received = [];
+        // Rejections are logged as warnings
+        log.configure({level: 'error'});
+    });
+
+    afterEach((done) => {
+        log.configure({});
+        server.close(done);
+    });
+
+    describe("in production", () => {
+        beforeEach(() => start({requireSignature: true}));
+
+        it("should accept a valid SHA-256 signature", () =>
+            post({'X-Hub-Signature-256': sign('sha256', body)}).then((status) => {
+                expect(status).toEqual(200);
+                expect(received).toEqual([{object: 'page', entry: []}]);
+            })
+        );
+
+        it("should accept a valid SHA-1 signature when there is no SHA-256 one", () =>
+            post({'X-Hub-Signature': sign('sha1', body)}).then((status) => expect(status).toEqual(200))
+        );
+
+        it("should prefer the SHA-256 signature", () =>
+            post({'X-Hub-Signature-256': sign('sha256', body), 'X-Hub-Signature': 'sha1=0000'})
+                .then((status) => expect(status).toEqual(200))
+                .then(() => post({'X-Hub-Signature-256': 'sha256=0000', 'X-Hub-Signature': sign('sha1', body)}))
+                .then((status) => expect(status).toEqual(403))
+        );
+
+        it("should reject signatures made with another secret", () =>
+            post({'X-Hub-Signature-256': sign('sha256', body, "guessed")}).then((status) => {
+                expect(status).toEqual(403);
+                expect(received).toEqual([]);
+            })
+        );
+
+        it("should reject a body that was tampered with", () =>
+            post({'X-Hub-Signature-256': sign('sha256', body)}, JSON.stringify({object: 'page', entry: [{}]}))
+                .then((status) => expect(status).toEqual(403))
+        );
+
+        it("should reject malformed signatures", () =>
+            Promise.all([
+                post({'X-Hub-Signature-256': 'sha256'}),
+                post({'X-Hub-Signature-256': sign('sha1', body)}),
+                post({'X-Hub-Signature-256': 'sha256=not hex'})
+            ]).then((statuses) => expect(statuses).toEqual([403, 403, 403]))
+        );
+
+        it("should reject unsigned callbacks", () =>
+            post({}).then((status) => {
+                expect(status).toEqual(403);
+                expect(received).toEqual([]);
+            })
+        );
+    });
+
+    describe("outside production", () => {
+        beforeEach(() => start({requireSignature: false}));
+
+        it("should accept unsigned callbacks", () =>
+            post({}).then((status) => expect(status).toEqual(200))
+        );
+
+        it("should still reject invalid signatures", () =>
+            post({'X-Hub-Signature': 'sha1=0000'}).then((status) => expect(status).toEqual(403))
+        );
+    });
+
+    describe("without an app secret", () => {
+        beforeEach(() => start({appSecret: undefined, requireSignature: true}));
+
+        it("should reject signed callbacks, as they cannot be verified", () =>
+            post({'X-Hub-Signature-256': sign('sha256', body)}).then((status) => expect(status).toEqual(403))
+        );
+    });
+});
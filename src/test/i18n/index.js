@@ -0,0 +1,55 @@
+const expect = require("expect");
+
+const { t, fromLocale, labelLanguages, LANGUAGES } = require("../../i18n");
+const nl = require("../../i18n/nl");
+const en = require("../../i18n/en");
+
+describe("i18n", () => {
+
+    describe("catalogs", () => {
+        it("should have the same messages in every language", () => {
+            expect(Object.keys(en).sort()).toEqual(Object.keys(nl).sort());
+            expect(LANGUAGES).toEqual(['nl', 'en']);
+        });
+    });
+
+    describe("t", () => {
+        it("should fill in message parameters", () => {
+            expect(t('nl', 'moreOf', {name: "Rembrandt"})).toEqual("Nog een werk van Rembrandt?");
+            expect(t('en', 'moreOf', {name: "Rembrandt"})).toEqual("Another work by Rembrandt?");
+        });
+
+        it("should format numbers the way the language does", () => {
+            expect(t('nl', 'kilometers', {km: 1.25})).toEqual("1,3 km");
+            expect(t('en', 'kilometers', {km: 1.25})).toEqual("1.3 km");
+        });
+
+        it("should fall back to Dutch for unknown languages", () => {
+            expect(t('fr', 'readMore')).toEqual(t('nl', 'readMore'));
+        });
+
+        it("should throw on unknown messages", () => {
+            expect(() => t('nl', 'doesNotExist')).toThrow(/Missing message doesNotExist/);
+        });
+    });
+
+    describe("fromLocale", () => {
+        it("should speak Dutch to Dutch and Flemish locales and English to others", () => {
+            expect(fromLocale("nl_NL")).toEqual('nl');
+            expect(fromLocale("nl_BE")).toEqual('nl');
+            expect(fromLocale("en_GB")).toEqual('en');
+            expect(fromLocale("de_DE")).toEqual('en');
+        });
+
+        it("should default to Dutch without a locale", () => {
+            expect(fromLocale(undefined)).toEqual('nl');
+        });
+    });
+
+    describe("labelLanguages", () => {
+        it("should prefer labels in the conversation language", () => {
+            expect(labelLanguages('en')).toEqual('en,nl');
+            expect(labelLanguages('nl')).toEqual('nl,en');
+        });
+    });
+});
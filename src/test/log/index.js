@@ -0,0 +1,104 @@
+const expect = require("expect");
+
+const log = require("../../log");
+
+describe("log", () => {
+    let lines;
+
+    beforeEach(() => {
+        lines = [];
+        log.useOutput((line, stream) => lines.push(Object.assign(JSON.parse(line), {stream: stream})));
+        log.configure({level: 'info'});
+    });
+
+    afterEach(() => {
+        log.useOutput();
+        log.configure({});
+    });
+
+    it("should write JSON lines with the level and fields", () => {
+        log.info("Received postback", {senderID: "123", payload: "Q5598"});
+        log.error("Failed to save cache", {err: new Error("ENOSPC")});
+
+        expect(lines.length).toEqual(2);
+        expect(lines[0].level).toEqual('info');
+        expect(lines[0].msg).toEqual("Received postback");
+        expect(lines[0].payload).toEqual("Q5598");
+        expect(lines[0].stream).toEqual('out');
+        expect(lines[0].time).toMatch(/^\d{4}-\d\d-\d\dT/);
+        expect(lines[1].err).toEqual({name: "Error", message: "ENOSPC"});
+        expect(lines[1].stream).toEqual('err');
+    });
+
+    it("should leave out levels below the configured one", () => {
+        log.configure({level: 'warn'});
+        log.debug("Message data");
+        log.info("Sent message");
+        log.warn("GVN query failed");
+
+        expect(lines.map((line) => line.msg)).toEqual(["GVN query failed"]);
+    });
+
+    it("should reject unknown levels", () => {
+        expect(() => log.configure({level: 'chatty'})).toThrow(/Unknown log level/);
+    });
+
+    it("should redact tokens, secrets and signatures", () => {
+        log.info("Calling", {
+            uri: "https://graph.facebook.com/v2.6/me/messages?access_token=EAAB123&fields=x",
+            qs: {access_token: "EAAB123"},
+            appSecret: "shh",
+            nested: [{signature: "sha1=abc"}]
+        });
+
+        expect(lines[0].uri).toEqual("https://graph.facebook.com/v2.6/me/messages?access_token=[redacted]&fields=x");
+        expect(lines[0].qs.access_token).toEqual('[redacted]');
+        expect(lines[0].appSecret).toEqual('[redacted]');
+        expect(lines[0].nested[0].signature).toEqual('[redacted]');
+        expect(JSON.stringify(lines)).toNotInclude("EAAB123");
+    });
+
+    it("should only redact sender IDs when asked to", () => {
+        const event = {sender: {id: "123"}, recipient: {id: "456"}, message: {text: "rembrandt"}};
+        log.info("Event", {senderID: "123", event: event});
+        log.configure({level: 'info', redactSenders: true});
+        log.info("Event", {senderID: "123", event: event});
+
+        expect(lines[0].senderID).toEqual("123");
+        expect(lines[0].event.sender.id).toEqual("123");
+        expect(lines[1].senderID).toMatch(/^[0-9a-f]{10}$/);
+        expect(lines[1].event.sender.id).toEqual(lines[1].senderID);
+        expect(lines[1].event.message.text).toEqual("rembrandt");
+    });
+
+    describe("correlation IDs", () => {
+        it("should be current for the duration of withCorrelation", () => {
+            log.withCorrelation("abc", () => log.info("Handling intent"));
+            log.info("Node app is running");
+
+            expect(lines[0].correlationId).toEqual("abc");
+            expect(lines[1].correlationId).toEqual(null);
+        });
+
+        it("should be carried along by bound callbacks", () => {
+            const callback = log.withCorrelation("abc", () => log.bind(() => log.info("Query finished")));
+            return new Promise((resolve) => setTimeout(resolve, 0))
+                .then(() => callback())
+                .then(() => expect(lines[0].correlationId).toEqual("abc"));
+        });
+
+        it("should fall back to the latest event of the user", () => {
+            log.correlate("123", "abc");
+            log.correlate("123", "def");
+            log.info("Sent message", {recipientId: "123"});
+            log.info("Sent message", {recipientId: "456"});
+
+            expect(lines[0].correlationId).toEqual("def");
+            expect(lines[1].correlationId).toEqual(null);
+        });
+
+        it("should be unique per event", () => {
+            expect(log.newCorrelationId()).toNotEqual(log.newCorrelationId());
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const sinon = require("sinon");
+const expect = require("expect");
+
+const queries = require("../../bot/queries");
+const { t } = require("../../i18n");
+const { createSources, checkAdapter } = require("../../sources");
+
+describe("sources", () => {
+
+    describe("createSources", () => {
+        it("should create the configured sources in order", () => {
+            const sources = createSources([{type: 'gvn'}, {type: 'wikidata', name: 'wd'}]);
+
+            expect(sources.all().map((source) => source.name)).toEqual(['gvn', 'wd']);
+            expect(sources.get('wd').icon).toEqual('🎨');
+            expect(sources.get('europeana')).toEqual(null);
+        });
+
+        it("should create Wikidata and GVN without config", () => {
+            expect(createSources().all().map((source) => source.name)).toEqual(['wikidata', 'gvn']);
+        });
+
+        it("should find the source of a search result id", () => {
+            const sources = createSources();
+
+            expect(sources.forId("Q5582").name).toEqual('wikidata');
+            expect(sources.forId("GVN|Onderwerp|Molens|120").name).toEqual('gvn');
+            expect(sources.forId("MON|Q803|0")).toEqual(null);
+        });
+
+        it("should create Europeana with an API key from its config entry", () => {
+            const sources = createSources([{type: 'wikidata'}, {type: 'europeana', apiKey: "api2demo"}]);
+
+            expect(sources.forId("EUR|item|/90402/SK_A_4118").name).toEqual('europeana');
+            expect(sources.forId("EUR|who|Jacob van Ruisdael").name).toEqual('europeana');
+            expect(() => createSources([{type: 'europeana'}])).toThrow(/Europeana needs an apiKey/);
+        });
+
+        it("should throw on unknown source types", () => {
+            expect(() => createSources([{type: 'nope'}])).toThrow(/Unknown source type: nope/);
+        });
+    });
+
+    describe("checkAdapter", () => {
+        it("should reject adapters that do not implement the whole interface", () => {
+            expect(() => checkAdapter({name: 'half', owns: () => false, search: () => {}}))
+                .toThrow(/Source half does not implement getItem, randomItem, itemsByCreator/);
+        });
+    });
+
+    describe("wikidata", () => {
+        const source = createSources([{type: 'wikidata'}]).get('wikidata');
+
+        const painting = {
+            item: {value: "http://www.wikidata.org/entity/Q1"},
+            itemLabel: {value: "Zonnebloemen"},
+            image: {value: "http://commons.wikimedia.org/Zonnebloemen.jpg"}
+        };
+
+        afterEach(() => queries.query.restore());
+
+        it("should respond with painters as search results", (done) => {
+            sinon.stub(queries, 'query', () => Promise.resolve({results: {bindings: [
+                {item: {value: "http://www.wikidata.org/entity/Q5582"}, itemLabel: {value: "Vincent van Gogh"}}
+            ]}}));
+
+            source.search("gogh", 'nl', (err, hits) => {
+                try {
+                    expect(err).toEqual(null);
+                    expect(hits).toEqual([{id: "Q5582", title: "Vincent van Gogh"}]);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should label the works of a painter with the source", (done) => {
+            sinon.stub(queries, 'query', () => Promise.resolve({results: {bindings: [painting]}}));
+
+            source.itemsByCreator("Q5582", 'nl', (err, items) => {
+                try {
+                    expect(items.length).toEqual(1);
+                    expect(items[0]).toInclude({source: 'wikidata', id: "Q1", label: "Zonnebloemen", author: "Q5582"});
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should query the endpoint of its config entry", (done) => {
+            const stub = sinon.stub(queries, 'query', () => Promise.resolve({results: {bindings: [painting]}}));
+            const mirror = createSources([{type: 'wikidata', endpoint: "http://sparql.test/sparql"}]).get('wikidata');
+
+            mirror.itemsByCreator("Q5582", 'nl', () => {
+                try {
+                    expect(stub.firstCall.args[1]).toEqual("http://sparql.test/sparql");
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    });
+
+    describe("gvn", () => {
+        const source = createSources([{type: 'gvn', url: "http://gvn.test/api"}]).get('gvn');
+
+        // A record for every search, without a bigger image in its DIDL
+        const records = (url) => Promise.resolve(/type=didl/.test(url) ? {} : {records: [
+            {title: "Molen", recordIdentifier: "urn:gvn:1", thumbnail: "http://gvn.test/molen.jpg"}
+        ]});
+
+        afterEach(() => queries.query.restore());
+
+        it("should respond with one image of a subject", (done) => {
+            sinon.stub(queries, 'query', (q, url) => records(url));
+
+            source.itemsByCreator("GVN|Onderwerp|Molens|120", 'nl', (err, items) => {
+                try {
+                    expect(err).toEqual(null);
+                    expect(items.length).toEqual(1);
+                    expect(items[0]).toInclude({source: 'gvn', id: "urn:gvn:1", label: "Molen", author: "GVN|Onderwerp|Molens|120"});
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should pass on errors", (done) => {
+            sinon.stub(queries, 'query', () => Promise.resolve({records: []}));
+
+            source.itemsByCreator("GVN|Onderwerp|Molens|120", 'nl', (err, items) => {
+                try {
+                    expect(err).toEqual(t('nl', 'noImage'));
+                    expect(items).toEqual(null);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+
+        it("should keep the url of every gvn source to itself", (done) => {
+            const stub = sinon.stub(queries, 'query', (q, url) => records(url));
+            const other = createSources([{type: 'gvn', name: 'other', url: "http://other.test/api"}]).get('other');
+
+            other.getItem("urn:gvn:1", 'nl', () => source.getItem("urn:gvn:1", 'nl', () => {
+                try {
+                    expect(stub.firstCall.args[1]).toMatch(/^http:\/\/other\.test\/api\//);
+                    expect(stub.lastCall.args[1]).toMatch(/^http:\/\/gvn\.test\/api\//);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            }));
+        });
+    });
+});
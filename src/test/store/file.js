@@ -0,0 +1,58 @@
+const sinon = require("sinon");
+const expect = require("expect");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const fileStore = require("../../store/file");
+
+describe("file store", () => {
+    let storePath;
+
+    beforeEach(() => {
+        storePath = path.join(os.tmpdir(), `erfgoedbot-store-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(storePath)) {
+            fs.unlinkSync(storePath);
+        }
+    });
+
+    it("should return null for unknown keys", () =>
+        fileStore(storePath).get("unknown").then((value) => expect(value).toEqual(null))
+    );
+
+    it("should persist values across instances", () =>
+        fileStore(storePath).set("123", {step: "viewing"})
+            .then(() => fileStore(storePath).get("123"))
+            .then((value) => expect(value).toEqual({step: "viewing"}))
+    );
+
+    it("should remove values", () => {
+        const store = fileStore(storePath);
+        return store.set("123", {step: "viewing"})
+            .then(() => store.remove("123"))
+            .then((existed) => {
+                expect(existed).toEqual(true);
+                return fileStore(storePath).all();
+            })
+            .then((all) => expect(all).toEqual({}));
+    });
+
+    it("should keep writing after a write failed", () => {
+        const store = fileStore(storePath);
+        sinon.stub(fs, 'writeFile', (file, contents, encoding, cb) => {
+            fs.writeFile.restore();
+            cb(new Error("ENOSPC: no space left on device"));
+        });
+
+        return store.set("123", {step: "viewing"})
+            .then(() => {
+                throw new Error("The write should have failed");
+            }, (err) => expect(err.message).toInclude("ENOSPC"))
+            .then(() => store.set("456", {step: "quiz"}))
+            .then(() => fileStore(storePath).all())
+            .then((all) => expect(all).toEqual({"123": {step: "viewing"}, "456": {step: "quiz"}}));
+    });
+});
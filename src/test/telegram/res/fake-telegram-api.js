@@ -0,0 +1,35 @@
+const http = require("http");
+
+/*
+ * A local stand-in for the Telegram Bot API. It records every call with the
+ * token, method and parameters, and answers with queued responses, or with
+ * a success when none are queued.
+ */
+module.exports = () => {
+    const calls = [];
+    const responses = [];
+    let messageCount = 0;
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => body += chunk);
+        req.on("end", () => {
+            const [x, token, method] = req.url.match(/^\/bot([^/]+)\/([A-Za-z]+)$/) || [];
+            calls.push({token: token, method: method, params: JSON.parse(body)});
+
+            const next = responses.shift() || {status: 200, body: {ok: true, result: {message_id: ++messageCount}}};
+            res.writeHead(next.status, {"Content-Type": "application/json"});
+            res.end(JSON.stringify(next.body));
+        });
+    });
+
+    return {
+        calls,
+        // The calls of a method other than the typing indicator and answering callback queries
+        sent: () => calls.filter((call) => call.method !== "sendChatAction" && call.method !== "answerCallbackQuery"),
+        respondWith: (status, body) => responses.push({status, body}),
+        start: () => new Promise((resolve) => server.listen(0, "127.0.0.1", () =>
+            resolve(`http://127.0.0.1:${server.address().port}`))),
+        stop: () => new Promise((resolve) => server.close(resolve))
+    };
+};
@@ -0,0 +1,264 @@
+const sinon = require("sinon");
+const expect = require("expect");
+
+const createFakeTelegramApi = require("./res/fake-telegram-api");
+const createTelegram = require("../../telegram/telegram-lib");
+const { memoryStore } = require("../../store");
+const search = require("../../bot/search");
+const log = require("../../log");
+
+describe("Telegram channel", () => {
+    let api, telegram;
+
+    // Resolves once the fake API got at least count calls besides typing indicators
+    const sentCalls = (count) => new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (api.sent().length >= count) {
+                resolve(api.sent());
+            } else if (Date.now() - started > 1000) {
+                reject(new Error(`Expected ${count} calls, got ${JSON.stringify(api.sent())}`));
+            } else {
+                setTimeout(check, 5);
+            }
+        };
+        check();
+    });
+
+    // Callback queries are answered without waiting for it
+    const answered = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+    const message = (fields) => ({
+        update_id: 1,
+        message: Object.assign({
+            message_id: 10,
+            from: {id: 42, first_name: "Anna", language_code: "en"},
+            chat: {id: 42, type: "private"}
+        }, fields)
+    });
+
+    const callbackQuery = (data) => ({
+        update_id: 2,
+        callback_query: {
+            id: "cq1",
+            from: {id: 42, first_name: "Anna", language_code: "nl"},
+            message: {message_id: 11, chat: {id: 42, type: "private"}},
+            data: data
+        }
+    });
+
+    beforeEach(() => {
+        // The channel logs every message; keep the test output readable
+        Object.keys(log.LEVELS).forEach((level) => sinon.stub(log, level));
+
+        api = createFakeTelegramApi();
+        return api.start().then((apiUrl) => {
+            telegram = createTelegram({
+                token: "123:abc",
+                secretToken: "secret",
+                apiUrl: apiUrl,
+                sendApi: {minInterval: 0, retries: 1, backoff: 5}
+            });
+        });
+    });
+
+    afterEach(() => {
+        Object.keys(log.LEVELS).forEach((level) => log[level].restore());
+        return api.stop();
+    });
+
+    describe("sending", () => {
+        it("should send text and photos to the chat of the user, in order", () => {
+            telegram.sendTextMessage("tg:42", "Je gaat zo zien: De Nachtwacht");
+            telegram.sendImageMessage("tg:42", "http://example.org/nachtwacht.jpg");
+
+            return telegram.sendTextMessage("tg:42", "Mooi, he?").then(() => {
+                expect(api.calls.map((call) => call.token)).toEqual(["123:abc", "123:abc", "123:abc"]);
+                expect(api.sent().map((call) => [call.method, call.params])).toEqual([
+                    ["sendMessage", {chat_id: "42", text: "Je gaat zo zien: De Nachtwacht"}],
+                    ["sendPhoto", {chat_id: "42", photo: "http://example.org/nachtwacht.jpg"}],
+                    ["sendMessage", {chat_id: "42", text: "Mooi, he?"}]
+                ]);
+            });
+        });
+
+        it("should send quick replies and links as inline keyboards", () => {
+            telegram.sendQuickReplies("tg:42", {text: "Welke schilder bedoel je?", data: [
+                {title: "Rembrandt", payload: "Q5598"},
+                {title: "Rembrandt Bugatti", payload: "Q732627"}
+            ]});
+
+            return telegram.sendURL("tg:42", "https://www.wikidata.org/wiki/Q219831", {text: "Meer?", title: "Lees verder"})
+                .then(() => expect(api.sent().map((call) => call.params.reply_markup)).toEqual([
+                    {inline_keyboard: [
+                        [{text: "Rembrandt", callback_data: "Q5598"}],
+                        [{text: "Rembrandt Bugatti", callback_data: "Q732627"}]
+                    ]},
+                    {inline_keyboard: [[{text: "Lees verder", url: "https://www.wikidata.org/wiki/Q219831"}]]}
+                ]));
+        });
+
+        it("should send a carousel as photos with captions and buttons", () =>
+            telegram.sendGenericTemplate("tg:42", [
+                {title: "De Nachtwacht", subtitle: "Rembrandt, Rijksmuseum", image: "http://example.org/1.jpg", buttons: [
+                    {title: "Bewaren", payload: "FAV|add|wikidata|Q219831"},
+                    {title: "Lees verder", url: "https://www.wikidata.org/wiki/Q219831"}
+                ]},
+                {title: "Zonder afbeelding", subtitle: "", buttons: []}
+            ]).then(() => expect(api.sent().map((call) => [call.method, call.params])).toEqual([
+                ["sendPhoto", {
+                    chat_id: "42",
+                    photo: "http://example.org/1.jpg",
+                    caption: "De Nachtwacht\nRembrandt, Rijksmuseum",
+                    reply_markup: {inline_keyboard: [
+                        [{text: "Bewaren", callback_data: "FAV|add|wikidata|Q219831"}],
+                        [{text: "Lees verder", url: "https://www.wikidata.org/wiki/Q219831"}]
+                    ]}
+                }],
+                ["sendMessage", {chat_id: "42", text: "Zonder afbeelding", reply_markup: {inline_keyboard: []}}]
+            ]))
+        );
+
+        it("should show the typing indicator during a pause", () => {
+            telegram.sendTypingPause("tg:42", 20);
+
+            return telegram.sendTextMessage("tg:42", "Klaar").then(() =>
+                expect(api.calls.map((call) => call.method)).toEqual(["sendChatAction", "sendMessage"]));
+        });
+
+        it("should retry when Telegram asks to slow down", () => {
+            api.respondWith(429, {ok: false, error_code: 429, description: "Too Many Requests: retry after 1"});
+
+            return telegram.sendTextMessage("tg:42", "Hallo").then((result) => {
+                expect(result).toEqual({message_id: 1});
+                expect(api.sent().length).toEqual(2);
+            });
+        });
+    });
+
+    describe("receiving", () => {
+        it("should handle text as text messages, without the slash of commands", () => {
+            const handlers = {onTextMessage: sinon.spy()};
+            telegram.receivedMessage(message({text: "/quiz@erfgoedbot"}), handlers);
+            telegram.receivedMessage(message({text: "Vermeer"}), handlers);
+
+            expect(handlers.onTextMessage.args).toEqual([["quiz", "tg:42"], ["Vermeer", "tg:42"]]);
+        });
+
+        it("should handle a shared location like a Messenger location", () => {
+            const handlers = {onAttachments: sinon.spy()};
+            telegram.receivedMessage(message({location: {latitude: 52.36, longitude: 4.88}}), handlers);
+
+            expect(handlers.onAttachments.args).toEqual([
+                ["tg:42", [{type: "location", payload: {coordinates: {lat: 52.36, long: 4.88}}}]]
+            ]);
+        });
+
+        it("should remember the profile of the user", () => {
+            telegram.receivedMessage(message({text: "Vermeer"}), {onTextMessage: () => {}});
+
+            return telegram.getUserProfile("tg:42")
+                .then((profile) => expect(profile).toEqual({first_name: "Anna", locale: "en"}));
+        });
+
+        it("should answer callback queries and pass their payload on as a postback", () => {
+            const handlers = {onPostback: sinon.spy()};
+            telegram.receivedCallbackQuery(callbackQuery("Q5598"), handlers);
+
+            expect(handlers.onPostback.args).toEqual([["tg:42", "Q5598"]]);
+            return answered().then(() =>
+                expect(api.calls).toEqual([{token: "123:abc", method: "answerCallbackQuery", params: {callback_query_id: "cq1"}}]));
+        });
+
+        it("should keep payloads that do not fit in callback data", () => {
+            const payload = "EUR|item|/2021672/resource_document_mauritshuis_670_de_schilderkunst_van_vermeer";
+            const handlers = {onPostback: sinon.spy()};
+
+            return telegram.sendQuickReplies("tg:42", {text: "Meer?", data: [{title: "Ja", payload: payload}]})
+                .then(() => {
+                    const data = api.sent()[0].params.reply_markup.inline_keyboard[0][0].callback_data;
+                    expect(data).toEqual("#1");
+                    telegram.receivedCallbackQuery(callbackQuery(data), handlers);
+                    telegram.receivedCallbackQuery(callbackQuery("#2"), handlers);
+
+                    expect(handlers.onPostback.args).toEqual([["tg:42", payload]]);
+                    return answered();
+                })
+                .then(() => expect(api.calls.filter((call) => call.method === "answerCallbackQuery")
+                    .map((call) => call.params.text)).toEqual([undefined, "Deze knop werkt niet meer. Zoek gerust opnieuw."]));
+        });
+
+        it("should only accept updates with the secret token", () => {
+            const next = sinon.spy();
+            const res = {sendStatus: sinon.spy()};
+            const req = (token) => ({get: (header) => header === 'X-Telegram-Bot-Api-Secret-Token' ? token : undefined});
+
+            telegram.requireSecretToken(req("secret"), res, next);
+            telegram.requireSecretToken(req("guess"), res, next);
+            telegram.requireSecretToken(req(undefined), res, next);
+
+            expect(next.callCount).toEqual(1);
+            expect(res.sendStatus.args).toEqual([[403], [403]]);
+        });
+    });
+
+    describe("conversations", () => {
+        let handlers, sessions;
+
+        beforeEach(() => {
+            sessions = require("../../bot/session")(memoryStore());
+            handlers = require("../../bot/handlers")({
+                channel: telegram,
+                sessions: sessions,
+                favourites: require("../../bot/favourites")(memoryStore()),
+                subscriptions: require("../../bot/subscriptions")(memoryStore()),
+                scores: require("../../bot/scores")(memoryStore()),
+                views: require("../../bot/views")(memoryStore()),
+                metrics: require("../../bot/metrics")(),
+                activity: require("../../bot/activity")(),
+                delays: {afterImage: 0, beforeFeedback: 0, beforeCollection: 0}
+            });
+        });
+
+        afterEach(() => {
+            if (search.searchAll.restore) {
+                search.searchAll.restore();
+            }
+        });
+
+        it("should welcome the user in the language of their Telegram app", () => {
+            telegram.receivedMessage(message({text: "/start"}), handlers);
+
+            return sentCalls(1).then((calls) => expect(calls[0].params.text).toMatch(/^Hi! Type the name of a painter/));
+        });
+
+        it("should remember the default language for users without one in their Telegram app", () => {
+            const update = message({text: "/start"});
+            delete update.message.from.language_code;
+            telegram.receivedMessage(update, handlers);
+
+            return sentCalls(1)
+                .then((calls) => {
+                    expect(calls[0].params.text).toMatch(/^Hoi!/);
+                    return sessions.get("tg:42");
+                })
+                .then((session) => expect(session.language).toEqual("nl"));
+        });
+
+        it("should offer the painters found as buttons", () => {
+            sinon.stub(search, 'searchAll', (q, language, cb) => cb(null, {
+                type: 'buttons',
+                buttons: {text: "Which painter do you mean?", data: [{title: "Johannes Vermeer", payload: "Q41264"}]}
+            }));
+            telegram.receivedMessage(message({text: "Vermeer"}), handlers);
+
+            return sentCalls(2).then((calls) => {
+                expect(search.searchAll.args[0].slice(0, 2)).toEqual(["vermeer", "en"]);
+                expect(calls.map((call) => call.params.text)).toEqual(["I'm searching, just a moment...", "Which painter do you mean?"]);
+                expect(calls[1].params.reply_markup).toEqual({
+                    inline_keyboard: [[{text: "Johannes Vermeer", callback_data: "Q41264"}]]
+                });
+            });
+        });
+    });
+});